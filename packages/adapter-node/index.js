@@ -18,6 +18,11 @@ export default function (opts = {}) {
 	return {
 		name: '@sveltejs/adapter-node',
 
+		supports: {
+			webSockets: true,
+			longLivedRequests: true
+		},
+
 		async adapt(builder) {
 			builder.rimraf(out);
 
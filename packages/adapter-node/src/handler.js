@@ -3,7 +3,7 @@ import fs from 'fs';
 import path from 'path';
 import sirv from 'sirv';
 import { fileURLToPath } from 'url';
-import { getRequest, setResponse } from '@sveltejs/kit/node';
+import { getRequest, handleUpgrade, setResponse } from '@sveltejs/kit/node';
 import { Server } from 'SERVER';
 import { manifest } from 'MANIFEST';
 import { env } from './env.js';
@@ -67,42 +67,69 @@ const ssr = async (req, res) => {
 	setResponse(
 		res,
 		await server.respond(request, {
-			getClientAddress: () => {
-				if (address_header) {
-					const value = /** @type {string} */ (req.headers[address_header]) || '';
-
-					if (address_header === 'x-forwarded-for') {
-						const addresses = value.split(',');
-
-						if (xff_depth < 1) {
-							throw new Error(`${ENV_PREFIX + 'XFF_DEPTH'} must be a positive integer`);
-						}
-
-						if (xff_depth > addresses.length) {
-							throw new Error(
-								`${ENV_PREFIX + 'XFF_DEPTH'} is ${xff_depth}, but only found ${
-									addresses.length
-								} addresses`
-							);
-						}
-						return addresses[addresses.length - xff_depth].trim();
-					}
+			getClientAddress: () => get_client_address(req)
+		})
+	);
+};
+
+/**
+ * Handles the `upgrade` event of the HTTP server, for WebSocket connections.
+ * Resolves to `false` without touching the socket if no `socket` handler matches the request
+ * @param {import('http').IncomingMessage} req
+ * @param {import('stream').Duplex} socket
+ * @param {Buffer} head
+ * @returns {Promise<boolean>}
+ */
+export function upgrade(req, socket, head) {
+	return handleUpgrade(origin || get_origin(req.headers), req, socket, head, (request, upgrade) =>
+		server.respond(request, {
+			getClientAddress: () => get_client_address(req),
+			upgrade
+		})
+	).catch((error) => {
+		console.error(error);
+		socket.destroy();
+		return true;
+	});
+}
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @returns {string}
+ */
+function get_client_address(req) {
+	if (address_header) {
+		const value = /** @type {string} */ (req.headers[address_header]) || '';
+
+		if (address_header === 'x-forwarded-for') {
+			const addresses = value.split(',');
 
-					return value;
-				}
+			if (xff_depth < 1) {
+				throw new Error(`${ENV_PREFIX + 'XFF_DEPTH'} must be a positive integer`);
+			}
 
-				return (
-					req.connection?.remoteAddress ||
-					// @ts-expect-error
-					req.connection?.socket?.remoteAddress ||
-					req.socket?.remoteAddress ||
-					// @ts-expect-error
-					req.info?.remoteAddress
+			if (xff_depth > addresses.length) {
+				throw new Error(
+					`${ENV_PREFIX + 'XFF_DEPTH'} is ${xff_depth}, but only found ${
+						addresses.length
+					} addresses`
 				);
 			}
-		})
+			return addresses[addresses.length - xff_depth].trim();
+		}
+
+		return value;
+	}
+
+	return (
+		req.connection?.remoteAddress ||
+		// @ts-expect-error
+		req.connection?.socket?.remoteAddress ||
+		req.socket?.remoteAddress ||
+		// @ts-expect-error
+		req.info?.remoteAddress
 	);
-};
+}
 
 /** @param {import('polka').Middleware[]} handlers */
 function sequence(handlers) {
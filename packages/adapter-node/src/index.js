@@ -1,4 +1,4 @@
-import { handler } from './handler.js';
+import { handler, upgrade } from './handler.js';
 import { env } from './env.js';
 import polka from 'polka';
 
@@ -12,4 +12,9 @@ server.listen({ path, host, port }, () => {
 	console.log(`Listening on ${path ? path : host + ':' + port}`);
 });
 
+server.server.on('upgrade', async (req, socket, head) => {
+	// nothing else is listening for upgrades, so unhandled connections are closed
+	if (!(await upgrade(req, socket, head))) socket.destroy();
+});
+
 export { server };
@@ -6,7 +6,10 @@ export default function (options) {
 		name: '@sveltejs/adapter-static',
 
 		async adapt(builder) {
-			if (!options?.fallback && !builder.config.kit.prerender.default) {
+			// with hash-based routing, every route is rendered by a single page
+			const hash_routing = builder.config.kit.router.type === 'hash';
+
+			if (!options?.fallback && !builder.config.kit.prerender.default && !hash_routing) {
 				throw Error(
 					'adapter-static requires `config.kit.prerender.default` to be `true` unless you set the `fallback: true` option to create a single-page app. See https://github.com/sveltejs/kit/tree/master/packages/adapter-static#spa-mode for more information'
 				);
@@ -27,7 +30,7 @@ export default function (options) {
 			const {
 				pages = 'build',
 				assets = pages,
-				fallback,
+				fallback = hash_routing ? 'index.html' : undefined,
 				precompress
 			} = options ??
 			platform?.defaults(builder.config) ??
@@ -2,10 +2,14 @@
 // for information about these interfaces
 // and what to do when importing types
 declare namespace App {
+	// interface Error {}
+
 	interface Locals {
 		userid: string;
 	}
 
+	// interface PageState {}
+
 	// interface Platform {}
 
 	// interface PrivateEnv {}
@@ -2,7 +2,9 @@
 // for information about these interfaces
 // and what to do when importing types
 declare namespace App {
+	// interface Error {}
 	// interface Locals {}
+	// interface PageState {}
 	// interface Platform {}
 	// interface PrivateEnv {}
 	// interface PublicEnv {}
@@ -23,7 +23,9 @@ export function create_builder({ config, build_data, prerendered, log }) {
 	/** @param {import('types').RouteData} route */
 	// TODO routes should come pre-filtered
 	function not_prerendered(route) {
-		const path = route.type === 'page' && !route.id.includes('[') && `/${route.id}`;
+		// a page with a `+server.js` still needs the server, even if the page itself was prerendered
+		const path =
+			route.type === 'page' && !route.endpoint && !route.id.includes('[') && `/${route.id}`;
 		if (path) {
 			return !prerendered_paths.has(path) && !prerendered_paths.has(path + '/');
 		}
@@ -31,6 +33,23 @@ export function create_builder({ config, build_data, prerendered, log }) {
 		return true;
 	}
 
+	/**
+	 * @param {import('types').PageData} route
+	 * @returns {import('types').HttpMethod[]}
+	 */
+	function get_page_methods(route) {
+		/** @type {Set<import('types').HttpMethod>} */
+		const methods = new Set(['GET']);
+
+		if (route.endpoint) {
+			for (const method of build_data.server.methods[route.endpoint] || []) {
+				methods.add(method);
+			}
+		}
+
+		return Array.from(methods);
+	}
+
 	const pipe = promisify(pipeline);
 
 	/**
@@ -77,7 +96,8 @@ export function create_builder({ config, build_data, prerendered, log }) {
 					content: segment
 				})),
 				pattern: route.pattern,
-				methods: route.type === 'page' ? ['GET'] : build_data.server.methods[route.file]
+				methods:
+					route.type === 'page' ? get_page_methods(route) : build_data.server.methods[route.file]
 			}));
 
 			const seen = new Set();
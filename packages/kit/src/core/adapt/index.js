@@ -12,6 +12,22 @@ export async function adapt(config, build_data, prerendered, { log }) {
 
 	console.log(colors.bold().cyan(`\n> Using ${name}`));
 
+	const { sockets } = build_data.server;
+
+	if (sockets.length > 0 && !config.kit.adapter.supports?.webSockets) {
+		throw new Error(
+			`${name} does not support WebSocket connections, which are handled by the socket export in ${sockets.join(
+				', '
+			)}. See https://kit.svelte.dev/docs/routing#server-websockets`
+		);
+	}
+
+	if (config.kit.version.push && !config.kit.adapter.supports?.longLivedRequests) {
+		throw new Error(
+			`${name} does not support long-lived requests, which config.kit.version.push relies on. Use pollInterval instead. See https://kit.svelte.dev/docs/configuration#version`
+		);
+	}
+
 	const builder = create_builder({ config, build_data, prerendered, log });
 	await adapt(builder);
 
@@ -59,6 +59,13 @@ const directive_defaults = {
 const get_defaults = (prefix = '') => ({
 	extensions: ['.svelte'],
 	kit: {
+		a11y: {
+			announcer: {
+				enabled: true,
+				politeness: 'assertive'
+			},
+			focus: 'body'
+		},
 		adapter: null,
 		alias: {},
 		amp: undefined,
@@ -72,6 +79,10 @@ const get_defaults = (prefix = '') => ({
 			directives: directive_defaults,
 			reportOnly: directive_defaults
 		},
+		csrf: {
+			checkOrigin: true,
+			trustedOrigins: []
+		},
 		endpointExtensions: undefined,
 		env: {
 			publicPrefix: 'PUBLIC_'
@@ -89,6 +100,9 @@ const get_defaults = (prefix = '') => ({
 		host: undefined,
 		hydrate: undefined,
 		inlineStyleThreshold: 0,
+		loadCache: {
+			maxAge: 30000
+		},
 		methodOverride: {
 			parameter: '_method',
 			allowed: []
@@ -119,17 +133,23 @@ const get_defaults = (prefix = '') => ({
 			pages: undefined
 		},
 		protocol: undefined,
-		router: undefined,
+		router: {
+			type: 'pathname'
+		},
 		routes: undefined,
 		ssr: undefined,
 		target: undefined,
 		trailingSlash: 'never',
 		version: {
 			name: Date.now().toString(),
-			pollInterval: 0
+			pollInterval: 0,
+			push: false
 		},
 		// TODO cleanup for 1.0
-		vite: undefined
+		vite: undefined,
+		webSockets: {
+			maxPayload: 1024 * 1024
+		}
 	}
 });
 
@@ -315,6 +335,30 @@ test('fails if prerender.entries are invalid', () => {
 	}, /^Each member of config\.kit.prerender.entries must be either '\*' or an absolute path beginning with '\/' — saw 'foo'$/);
 });
 
+test('fails if router.type is invalid', () => {
+	assert.throws(() => {
+		validate_config({
+			kit: {
+				router: {
+					// @ts-expect-error - given value expected to throw
+					type: 'search'
+				}
+			}
+		});
+	}, /^config\.kit\.router\.type should be either "pathname" or "hash"$/);
+});
+
+test('fails if router is a boolean', () => {
+	assert.throws(() => {
+		validate_config({
+			kit: {
+				// @ts-expect-error - given value expected to throw
+				router: false
+			}
+		});
+	}, /^config\.kit\.router has been moved to config\.kit\.browser\.router$/);
+});
+
 /**
  * @param {string} name
  * @param {{ base?: string, assets?: string }} input
@@ -58,6 +58,14 @@ const options = object(
 		}),
 
 		kit: object({
+			a11y: object({
+				announcer: object({
+					enabled: boolean(true),
+					politeness: list(['assertive', 'polite'])
+				}),
+				focus: list(['body', 'autofocus'])
+			}),
+
 			adapter: validate(null, (input, keypath) => {
 				if (typeof input !== 'object' || !input.adapt) {
 					let message = `${keypath} should be an object with an "adapt" method`;
@@ -118,6 +126,11 @@ const options = object(
 				reportOnly: directives
 			}),
 
+			csrf: object({
+				checkOrigin: boolean(true),
+				trustedOrigins: string_array([])
+			}),
+
 			// TODO: remove this for the 1.0 release
 			endpointExtensions: error(
 				(keypath) => `${keypath} has been renamed to config.kit.moduleExtensions`
@@ -154,6 +167,10 @@ const options = object(
 
 			inlineStyleThreshold: number(0),
 
+			loadCache: object({
+				maxAge: number(30000)
+			}),
+
 			methodOverride: object({
 				parameter: string('_method'),
 				allowed: validate([], (input, keypath) => {
@@ -288,8 +305,16 @@ const options = object(
 					`${keypath} has been removed. See https://github.com/sveltejs/kit/pull/3384 for details`
 			),
 
-			// TODO remove for 1.0
-			router: error((keypath) => `${keypath} has been moved to config.kit.browser.router`),
+			router: (input, keypath) => {
+				// TODO remove for 1.0
+				if (typeof input === 'boolean') {
+					throw new Error(`${keypath} has been moved to config.kit.browser.router`);
+				}
+
+				return object({
+					type: list(['pathname', 'hash'])
+				})(input, keypath);
+			},
 
 			// TODO remove for 1.0
 			routes: error(
@@ -315,11 +340,16 @@ const options = object(
 
 			version: object({
 				name: string(Date.now().toString()),
-				pollInterval: number(0)
+				pollInterval: number(0),
+				push: boolean(false)
 			}),
 
 			// TODO remove this for 1.0
-			vite: error((keypath) => `${keypath} has been removed — use vite.config.js instead`)
+			vite: error((keypath) => `${keypath} has been removed — use vite.config.js instead`),
+
+			webSockets: object({
+				maxPayload: number(1024 * 1024)
+			})
 		})
 	},
 	true
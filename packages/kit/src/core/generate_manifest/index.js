@@ -70,7 +70,8 @@ export function generate_manifest({ build_data, relative_path, routes, format =
 							types: ${s(types)},
 							errors: ${s(route.errors.map(get_index))},
 							layouts: ${s(route.layouts.map(get_index))},
-							leaf: ${s(get_index(route.leaf))}
+							leaf: ${s(get_index(route.leaf))},
+							endpoint: ${route.endpoint ? loader(`${relative_path}/${build_data.server.vite_manifest[route.endpoint].file}`) : 'null'}
 						}`.replace(/^\t\t/gm, '');
 					} else {
 						if (!build_data.server.vite_manifest[route.file]) {
@@ -85,6 +86,7 @@ export function generate_manifest({ build_data, relative_path, routes, format =
 							pattern: ${pattern},
 							names: ${s(names)},
 							types: ${s(types)},
+							layouts: ${s(route.layouts.map(get_index))},
 							load: ${loader(`${relative_path}/${build_data.server.vite_manifest[route.file].file}`)}
 						}`.replace(/^\t\t/gm, '');
 					}
@@ -80,7 +80,11 @@ export async function prerender() {
 	/** @type {import('types').ValidatedKitConfig} */
 	const config = (await load_config()).kit;
 
-	if (!config.prerender.enabled) {
+	// with hash-based routing, the fallback page is the only page — it's
+	// needed even if prerendering is disabled
+	const hash_routing = config.router.type === 'hash';
+
+	if (!config.prerender.enabled && !hash_routing) {
 		output_and_exit(prerendered);
 		return;
 	}
@@ -337,7 +341,7 @@ export async function prerender() {
 		}
 	}
 
-	if (config.prerender.enabled) {
+	if (config.prerender.enabled && !hash_routing) {
 		for (const entry of config.prerender.entries) {
 			if (entry === '*') {
 				/** @type {import('types').ManifestData} */
@@ -128,9 +128,12 @@ export default function create_manifest_data({
 				// all other route files — if we added +view or something this is
 				// potentially brittle, since the server might be added before
 				// another route file. a problem for another day
-				throw new Error(
-					`${file} cannot share a directory with other route files (${project_relative})`
-				);
+				const route = /** @type {import('types').PageData} */ (route_map.get(id));
+
+				// the page handles requests for HTML, the endpoint handles everything else
+				route.endpoint = project_relative;
+
+				return;
 			}
 
 			if (!route_map.has(id)) {
@@ -162,7 +165,10 @@ export default function create_manifest_data({
 						type,
 						id,
 						pattern,
-						file: project_relative
+						file: project_relative,
+						// layouts don't render anything for endpoints, but
+						// their `handle` functions still wrap the request
+						layouts: trace(tree, id, DEFAULT, project_relative).layouts
 					});
 				} else {
 					route_map.set(id, {
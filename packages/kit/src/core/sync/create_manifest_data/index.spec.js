@@ -58,7 +58,8 @@ test('creates routes', () => {
 			type: 'endpoint',
 			id: 'blog.json',
 			pattern: /^\/blog\.json$/,
-			file: 'samples/basic/blog.json/+server.js'
+			file: 'samples/basic/blog.json/+server.js',
+			layouts: [default_layout]
 		},
 
 		{
@@ -83,7 +84,8 @@ test('creates routes', () => {
 			type: 'endpoint',
 			id: 'blog/[slug].json',
 			pattern: /^\/blog\/([^/]+?)\.json$/,
-			file: 'samples/basic/blog/[slug].json/+server.ts'
+			file: 'samples/basic/blog/[slug].json/+server.ts',
+			layouts: [default_layout]
 		},
 
 		{
@@ -275,7 +277,8 @@ test('allows rest parameters inside segments', () => {
 			type: 'endpoint',
 			id: '[...rest].json',
 			pattern: /^\/(.*?)\.json$/,
-			file: 'samples/rest-prefix-suffix/[...rest].json/+server.js'
+			file: 'samples/rest-prefix-suffix/[...rest].json/+server.js',
+			layouts: [default_layout]
 		}
 	]);
 });
@@ -306,7 +309,8 @@ test('allows multiple slugs', () => {
 				type: 'endpoint',
 				id: '[file].[ext]',
 				pattern: /^\/([^/]+?)\.([^/]+?)$/,
-				file: 'samples/multiple-slugs/[file].[ext]/+server.js'
+				file: 'samples/multiple-slugs/[file].[ext]/+server.js',
+				layouts: [default_layout]
 			}
 		]
 	);
@@ -326,6 +330,7 @@ test('ignores things that look like lockfiles', () => {
 			type: 'endpoint',
 			id: 'foo',
 			file: 'samples/lockfiles/foo/+server.js',
+			layouts: [default_layout],
 			pattern: /^\/foo\/?$/
 		}
 	]);
@@ -357,7 +362,8 @@ test('works with custom extensions', () => {
 			type: 'endpoint',
 			id: 'blog.json',
 			pattern: /^\/blog\.json$/,
-			file: 'samples/custom-extension/blog.json/+server.js'
+			file: 'samples/custom-extension/blog.json/+server.js',
+			layouts: [default_layout]
 		},
 
 		{
@@ -382,7 +388,8 @@ test('works with custom extensions', () => {
 			type: 'endpoint',
 			id: 'blog/[slug].json',
 			pattern: /^\/blog\/([^/]+?)\.json$/,
-			file: 'samples/custom-extension/blog/[slug].json/+server.js'
+			file: 'samples/custom-extension/blog/[slug].json/+server.js',
+			layouts: [default_layout]
 		},
 
 		{
@@ -396,6 +403,44 @@ test('works with custom extensions', () => {
 	]);
 });
 
+test('includes layouts in endpoint routes', () => {
+	const { nodes, routes } = create('samples/endpoint-layouts');
+
+	const admin_layout = { server: 'samples/endpoint-layouts/admin/+layout.server.js' };
+
+	assert.equal(nodes, [default_layout, default_error, admin_layout]);
+
+	assert.equal(routes, [
+		{
+			type: 'endpoint',
+			id: 'admin/data',
+			pattern: /^\/admin\/data\/?$/,
+			file: 'samples/endpoint-layouts/admin/data/+server.js',
+			layouts: [default_layout, admin_layout]
+		}
+	]);
+});
+
+test('allows a page and an endpoint to share a route', () => {
+	const { nodes, routes } = create('samples/page-endpoint');
+
+	const page = { component: 'samples/page-endpoint/api/+page.svelte' };
+
+	assert.equal(nodes, [default_layout, default_error, page]);
+
+	assert.equal(routes, [
+		{
+			type: 'page',
+			id: 'api',
+			pattern: /^\/api\/?$/,
+			errors: [default_error],
+			layouts: [default_layout],
+			leaf: page,
+			endpoint: 'samples/page-endpoint/api/+server.js'
+		}
+	]);
+});
+
 test('lists static assets', () => {
 	const { assets } = create('samples/basic');
 
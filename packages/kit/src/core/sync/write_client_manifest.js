@@ -1,14 +1,17 @@
 import { relative } from 'path';
 import { s } from '../../utils/misc.js';
+import { resolve_entry } from '../../vite/utils.js';
 import { trim, write_if_changed } from './utils.js';
 
 /**
  * Writes the client manifest to disk. The manifest is used to power the router. It contains the
- * list of routes and corresponding Svelte components (i.e. pages and layouts).
+ * list of routes and corresponding Svelte components (i.e. pages and layouts), along with the
+ * hooks from `src/hooks.client.js`, if it exists.
+ * @param {import('types').ValidatedConfig} config
  * @param {import('types').ManifestData} manifest_data
  * @param {string} output
  */
-export function write_client_manifest(manifest_data, output) {
+export function write_client_manifest(config, manifest_data, output) {
 	/** @type {Map<import('types').PageNode, number>} */
 	const node_indexes = new Map();
 
@@ -67,9 +70,14 @@ export function write_client_manifest(manifest_data, output) {
 			.join(',\n\t\t')}
 	}`.replace(/^\t/gm, '');
 
+	// client hooks live next to the server hooks, i.e. `src/hooks.client.js` alongside `src/hooks.js`
+	const hooks_file = resolve_entry(`${config.kit.files.hooks}.client`);
+
 	write_if_changed(
 		`${output}/client-manifest.js`,
 		trim(`
+			${hooks_file ? `import * as client_hooks from ${s(relative(output, hooks_file))};` : ''}
+
 			export { matchers } from './client-matchers.js';
 
 			export const nodes = [
@@ -77,6 +85,12 @@ export function write_client_manifest(manifest_data, output) {
 			];
 
 			export const dictionary = ${dictionary};
+
+			export const hooks = {
+				handleError: ${
+					hooks_file ? 'client_hooks.handleError || ' : ''
+				}(({ error }) => { console.error(error) }),
+			};
 		`)
 	);
 }
@@ -1,10 +1,13 @@
 import { trim, write_if_changed } from './utils.js';
 
 /**
+ * @param {import('types').ValidatedConfig} config
  * @param {import('types').ManifestData} manifest_data
  * @param {string} output
  */
-export function write_root(manifest_data, output) {
+export function write_root(config, manifest_data, output) {
+	const { announcer } = config.kit.a11y;
+
 	// TODO remove default layout altogether
 
 	const max_depth = Math.max(
@@ -21,16 +24,16 @@ export function write_root(manifest_data, output) {
 
 	let l = max_depth;
 
-	let pyramid = `<svelte:component this={components[${l}]} data={data_${l}}/>`;
+	let pyramid = `<svelte:component this={constructors[${l}]} bind:this={components[${l}]} data={data_${l}}/>`;
 
 	while (l--) {
 		pyramid = `
-			{#if components[${l + 1}]}
-				<svelte:component this={components[${l}]} data={data_${l}}>
+			{#if constructors[${l + 1}]}
+				<svelte:component this={constructors[${l}]} bind:this={components[${l}]} data={data_${l}}>
 					${pyramid.replace(/\n/g, '\n\t\t\t\t\t')}
 				</svelte:component>
 			{:else}
-				<svelte:component this={components[${l}]} data={data_${l}} {errors} />
+				<svelte:component this={constructors[${l}]} bind:this={components[${l}]} data={data_${l}} {errors} {form} />
 			{/if}
 		`
 			.replace(/^\t\t\t/gm, '')
@@ -48,9 +51,11 @@ export function write_root(manifest_data, output) {
 				export let stores;
 				export let page;
 
-				export let components;
+				export let constructors;
+				export let components = [];
 				${levels.map((l) => `export let data_${l} = null;`).join('\n\t\t\t\t')}
 				export let errors;
+				export let form;
 
 				setContext('__svelte__', stores);
 
@@ -65,24 +70,38 @@ export function write_root(manifest_data, output) {
 					const unsubscribe = stores.page.subscribe(() => {
 						if (mounted) {
 							navigated = true;
-							title = document.title || 'untitled page';
+							title = get_announcement() || document.title || 'untitled page';
 						}
 					});
 
 					mounted = true;
 					return unsubscribe;
 				});
+
+				// the deepest page or layout that exports an \`announcement\` decides what is announced
+				function get_announcement() {
+					for (let i = components.length - 1; i >= 0; i -= 1) {
+						const announcement = components[i]?.announcement;
+						if (announcement) {
+							return typeof announcement === 'function' ? announcement() : announcement;
+						}
+					}
+				}
 			</script>
 
 			${pyramid.replace(/\n/g, '\n\t\t\t')}
 
-			{#if mounted}
-				<div id="svelte-announcer" aria-live="assertive" aria-atomic="true" style="position: absolute; left: 0; top: 0; clip: rect(0 0 0 0); clip-path: inset(50%); overflow: hidden; white-space: nowrap; width: 1px; height: 1px">
+			${
+				announcer.enabled
+					? `{#if mounted}
+				<div id="svelte-announcer" aria-live="${announcer.politeness}" aria-atomic="true" style="position: absolute; left: 0; top: 0; clip: rect(0 0 0 0); clip-path: inset(50%); overflow: hidden; white-space: nowrap; width: 1px; height: 1px">
 					{#if navigated}
 						{title}
 					{/if}
 				</div>
-			{/if}
+			{/if}`
+					: ''
+			}
 		`)
 	);
 }
@@ -35,7 +35,7 @@ import { remove_from_previous, write_if_changed } from './utils.js';
 const cwd = process.cwd();
 
 const shared_names = new Set(['load']);
-const server_names = new Set(['load', 'POST', 'PUT', 'PATCH', 'DELETE']); // TODO replace with a single `action`
+const server_names = new Set(['load', 'actions']);
 
 let first_run = true;
 
@@ -185,8 +185,10 @@ function get_groups(manifest_data, routes_dir) {
 
 	// ...then add +server.js files...
 	for (const route of manifest_data.routes) {
-		if (route.type === 'endpoint') {
-			get_group(route.id).endpoint = route.file;
+		const file = route.type === 'endpoint' ? route.file : route.endpoint;
+
+		if (file) {
+			get_group(route.id).endpoint = file;
 		}
 	}
 
@@ -233,16 +235,12 @@ function write_types_for_dir(config, manifest_data, routes_dir, dir, groups, ts)
 	}
 
 	if (group.leaf) {
-		const { data, server_data, load, server_load, errors, written_proxies } = process_node(
-			ts,
-			group.leaf,
-			outdir,
-			'RouteParams',
-			groups
-		);
+		const { data, server_data, load, server_load, errors, action_data, written_proxies } =
+			process_node(ts, group.leaf, outdir, 'RouteParams', groups);
 		written_files.push(...written_proxies);
 
 		exports.push(`export type Errors = ${errors};`);
+		exports.push(`export type ActionData = ${action_data};`);
 
 		exports.push(`export type PageData = ${data};`);
 		if (load) {
@@ -255,7 +253,8 @@ function write_types_for_dir(config, manifest_data, routes_dir, dir, groups, ts)
 		}
 
 		if (group.leaf.server) {
-			exports.push(`export type Action = Kit.Action<RouteParams>`);
+			exports.push(`export type Action = Kit.Action<RouteParams>;`);
+			exports.push(`export type Actions = Kit.Actions<RouteParams>;`);
 		}
 	}
 
@@ -346,6 +345,7 @@ function write_types_for_dir(config, manifest_data, routes_dir, dir, groups, ts)
 
 	if (group.endpoint) {
 		exports.push(`export type RequestHandler = Kit.RequestHandler<RouteParams>;`);
+		exports.push(`export type SocketHandler = Kit.SocketHandler<RouteParams>;`);
 	}
 
 	const output = [imports.join('\n'), declarations.join('\n'), exports.join('\n')]
@@ -369,6 +369,7 @@ function process_node(ts, node, outdir, params, groups) {
 	let load;
 	let server_load;
 	let errors;
+	let action_data;
 
 	/** @type {string[]} */
 	let written_proxies = [];
@@ -387,26 +388,20 @@ function process_node(ts, node, outdir, params, groups) {
 		server_load = `Kit.ServerLoad<${params}, ${get_parent_type('LayoutServerData')}>`;
 
 		if (proxy) {
-			const types = [];
-			for (const method of ['POST', 'PUT', 'PATCH']) {
-				if (proxy.exports.includes(method)) {
-					if (proxy.modified) {
-						types.push(`Kit.AwaitedErrors<typeof import('./proxy${basename}').${method}>`);
-					} else {
-						// If the file wasn't tweaked, we can use the return type of the original file.
-						// The advantage is that type updates are reflected without saving.
-						types.push(
-							`Kit.AwaitedErrors<typeof import("${path_to_original(
-								outdir,
-								node.server
-							)}").${method}>`
-						);
-					}
-				}
+			if (proxy.exports.includes('actions')) {
+				// If the file wasn't tweaked, we can use the return type of the original file.
+				// The advantage is that type updates are reflected without saving.
+				const from = proxy.modified ? `./proxy${basename}` : path_to_original(outdir, node.server);
+
+				errors = `Kit.AwaitedErrors<typeof import('${from}').actions>`;
+				action_data = `Kit.AwaitedActions<typeof import('${from}').actions> | null`;
+			} else {
+				errors = 'null';
+				action_data = 'null';
 			}
-			errors = types.length ? types.join(' | ') : 'null';
 		} else {
 			errors = 'unknown';
+			action_data = 'unknown';
 		}
 	} else {
 		server_data = 'null';
@@ -425,7 +420,7 @@ function process_node(ts, node, outdir, params, groups) {
 		data = server_data;
 	}
 
-	return { data, server_data, load, server_load, errors, written_proxies };
+	return { data, server_data, load, server_load, errors, action_data, written_proxies };
 
 	/**
 	 * @param {string} file_path
@@ -79,6 +79,57 @@ test('Rewrites types for a JavaScript module with `const`', () => {
 	);
 });
 
+test('Rewrites types for a TypeScript module with `actions`', () => {
+	const source = `
+		export const actions: Actions = {
+			default: async ({ request }) => {
+				return { a: 1 };
+			}
+		};
+	`;
+
+	const rewritten = tweak_types(ts, source, new Set(['actions']));
+
+	assert.equal(rewritten?.exports, ['actions']);
+	assert.equal(
+		rewritten?.code,
+		`
+		export const actions = {
+			default: async ({ request }) => {
+				return { a: 1 };
+			}
+		};
+	`
+	);
+});
+
+test('Rewrites types for a JavaScript module with `actions`', () => {
+	const source = `
+		/** @type {import('./$types').Actions} */
+		export const actions = {
+			default: async ({ request }) => {
+				return { a: 1 };
+			}
+		};
+	`;
+
+	const rewritten = tweak_types(ts, source, new Set(['actions']));
+
+	assert.equal(rewritten?.exports, ['actions']);
+	assert.equal(rewritten?.modified, true);
+	assert.equal(
+		rewritten?.code,
+		`
+		/** */
+		export const actions = {
+			default: async ({ request }) => {
+				return { a: 1 };
+			}
+		};
+	`
+	);
+});
+
 /** @type {import('types').PageNode[]} */
 const nodes = [
 	{ component: 'src/routes/+layout.svelte' }, // 0
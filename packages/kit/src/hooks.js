@@ -7,20 +7,81 @@ export function sequence(...handlers) {
 	if (!length) return ({ event, resolve }) => resolve(event);
 
 	return ({ event, resolve }) => {
-		return apply_handle(0, event);
+		// errors that come out of a `resolve` call were thrown further down the chain,
+		// so they shouldn't be attributed to the handler that called `resolve`
+		/** @type {WeakSet<object>} */
+		const from_resolve = new WeakSet();
+
+		return apply_handle(0, event, {});
 
 		/**
 		 * @param {number} i
 		 * @param {import('types').RequestEvent} event
-		 * @returns {import('types').MaybePromise<Response>}
+		 * @param {import('types').ResolveOptions} parent_options
+		 * @returns {Promise<Response>}
 		 */
-		function apply_handle(i, event) {
+		async function apply_handle(i, event, parent_options) {
 			const handle = handlers[i];
 
-			return handle({
-				event,
-				resolve: i < length - 1 ? (event) => apply_handle(i + 1, event) : resolve
-			});
+			try {
+				return await handle({
+					event,
+					resolve: async (event, options) => {
+						const merged = merge_options(parent_options, options);
+
+						try {
+							return await (i < length - 1
+								? apply_handle(i + 1, event, merged)
+								: resolve(event, merged));
+						} catch (error) {
+							if (error && typeof error === 'object') from_resolve.add(error);
+							throw error;
+						}
+					}
+				});
+			} catch (error) {
+				if (
+					error &&
+					typeof error === 'object' &&
+					!from_resolve.has(error) &&
+					// frozen errors can't be annotated, but must still be rethrown as-is
+					Object.isExtensible(error)
+				) {
+					// surfaced as `error.handler` in `handleError`
+					Object.defineProperty(error, 'handler', {
+						value: handle.name || `handlers[${i}]`,
+						configurable: true
+					});
+				}
+
+				throw error;
+			}
 		}
 	};
 }
+
+/**
+ * Combines the options passed to `resolve` by earlier handlers with those passed
+ * by a later one. `ssr` is overridden if the later handler sets it, while page
+ * chunks go through each handler's `transformPageChunk` in sequence order
+ * @param {import('types').ResolveOptions} parent
+ * @param {import('types').ResolveOptions | undefined} options
+ * @returns {import('types').ResolveOptions}
+ */
+function merge_options(parent, options) {
+	if (!options) return parent;
+
+	const first = parent.transformPageChunk;
+	const second = options.transformPageChunk;
+
+	return {
+		ssr: options.ssr ?? parent.ssr,
+		transformPageChunk:
+			first && second
+				? async ({ html, done }) => {
+						const transformed = (await first({ html, done })) ?? '';
+						return second({ html: transformed, done });
+				  }
+				: first ?? second
+	};
+}
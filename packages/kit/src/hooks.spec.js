@@ -0,0 +1,157 @@
+import { test } from 'uvu';
+import * as assert from 'uvu/assert';
+import { installPolyfills } from './node/polyfills.js';
+import { sequence } from './hooks.js';
+
+installPolyfills();
+
+const dummy_event = /** @type {import('types').RequestEvent} */ ({ locals: {} });
+
+test('sequence applies handlers in order', async () => {
+	/** @type {string[]} */
+	const order = [];
+
+	const handler = sequence(
+		async ({ event, resolve }) => {
+			order.push('1a');
+			const response = await resolve(event);
+			order.push('1b');
+			return response;
+		},
+		async ({ event, resolve }) => {
+			order.push('2a');
+			const response = await resolve(event);
+			order.push('2b');
+			return response;
+		}
+	);
+
+	await handler({
+		event: dummy_event,
+		resolve: () => {
+			order.push('resolve');
+			return new Response();
+		}
+	});
+
+	assert.equal(order, ['1a', '2a', 'resolve', '2b', '1b']);
+});
+
+test('sequence passes the event from each handler to the next', async () => {
+	const handler = sequence(
+		({ event, resolve }) => {
+			/** @type {Record<string, any>} */ (event.locals).user = 'alice';
+			return resolve({ ...event, locals: { ...event.locals, first: true } });
+		},
+		({ event, resolve }) => {
+			assert.equal(event.locals, { user: 'alice', first: true });
+			return resolve(event);
+		}
+	);
+
+	const response = await handler({
+		event: { ...dummy_event, locals: {} },
+		resolve: (event) => new Response(JSON.stringify(event.locals))
+	});
+
+	assert.equal(await response.text(), '{"user":"alice","first":true}');
+});
+
+test('sequence merges resolve options', async () => {
+	/** @type {import('types').ResolveOptions | undefined} */
+	let options;
+
+	const handler = sequence(
+		({ event, resolve }) =>
+			resolve(event, { ssr: false, transformPageChunk: ({ html }) => html + 'a' }),
+		({ event, resolve }) => resolve(event),
+		({ event, resolve }) => resolve(event, { transformPageChunk: ({ html }) => html + 'b' })
+	);
+
+	await handler({
+		event: dummy_event,
+		resolve: (_, opts) => {
+			options = opts;
+			return new Response();
+		}
+	});
+
+	assert.equal(options?.ssr, false);
+	assert.equal(await options?.transformPageChunk?.({ html: '', done: true }), 'ab');
+});
+
+test('sequence lets later handlers override ssr', async () => {
+	/** @type {import('types').ResolveOptions | undefined} */
+	let options;
+
+	const handler = sequence(
+		({ event, resolve }) => resolve(event, { ssr: false }),
+		({ event, resolve }) => resolve(event, { ssr: true })
+	);
+
+	await handler({
+		event: dummy_event,
+		resolve: (_, opts) => {
+			options = opts;
+			return new Response();
+		}
+	});
+
+	assert.equal(options?.ssr, true);
+});
+
+test('sequence records which handler threw an error', async () => {
+	const handler = sequence(
+		async function outer({ event, resolve }) {
+			return resolve(event);
+		},
+		async function inner() {
+			throw new Error('nope');
+		}
+	);
+
+	try {
+		await handler({ event: dummy_event, resolve: () => new Response() });
+		assert.unreachable();
+	} catch (e) {
+		const error = /** @type {Error & { handler?: string }} */ (e);
+		assert.equal(error.message, 'nope');
+		assert.equal(error.handler, 'inner');
+		assert.ok(!Object.keys(error).includes('handler'));
+	}
+});
+
+test('sequence does not blame handlers for errors thrown by resolve', async () => {
+	const handler = sequence(async function first({ event, resolve }) {
+		return resolve(event);
+	});
+
+	try {
+		await handler({
+			event: dummy_event,
+			resolve: () => {
+				throw new Error('nope');
+			}
+		});
+		assert.unreachable();
+	} catch (e) {
+		assert.equal(/** @type {Error & { handler?: string }} */ (e).handler, undefined);
+	}
+});
+
+test('sequence rethrows frozen errors and primitives unchanged', async () => {
+	for (const thrown of [Object.freeze(new Error('frozen')), 'a string', null]) {
+		const handler = sequence(async function first() {
+			throw thrown;
+		});
+
+		try {
+			await handler({ event: dummy_event, resolve: () => new Response() });
+			assert.unreachable();
+		} catch (e) {
+			assert.is(e, thrown);
+		}
+	}
+});
+
+test.run();
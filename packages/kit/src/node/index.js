@@ -1,4 +1,6 @@
+import { STATUS_CODES } from 'http';
 import * as set_cookie_parser from 'set-cookie-parser';
+import { get_accept_key, WebSocket } from './websocket.js';
 
 /** @param {import('http').IncomingMessage} req */
 function get_raw_body(req) {
@@ -85,19 +87,22 @@ export async function getRequest(base, req) {
 	});
 }
 
-/** @type {import('@sveltejs/kit/node').setResponse} */
-export async function setResponse(res, response) {
-	const headers = Object.fromEntries(response.headers);
+/** @param {Headers} response_headers */
+function get_headers(response_headers) {
+	/** @type {Record<string, string | string[]>} */
+	const headers = Object.fromEntries(response_headers);
 
-	if (response.headers.has('set-cookie')) {
-		const header = /** @type {string} */ (response.headers.get('set-cookie'));
-		const split = set_cookie_parser.splitCookiesString(header);
-
-		// @ts-expect-error
-		headers['set-cookie'] = split;
+	if (response_headers.has('set-cookie')) {
+		const header = /** @type {string} */ (response_headers.get('set-cookie'));
+		headers['set-cookie'] = set_cookie_parser.splitCookiesString(header);
 	}
 
-	res.writeHead(response.status, headers);
+	return headers;
+}
+
+/** @type {import('@sveltejs/kit/node').setResponse} */
+export async function setResponse(res, response) {
+	res.writeHead(response.status, get_headers(response.headers));
 
 	if (!response.body) {
 		res.end();
@@ -143,3 +148,92 @@ export async function setResponse(res, response) {
 		}
 	}
 }
+
+/** @type {import('@sveltejs/kit/node').handleUpgrade} */
+export async function handleUpgrade(base, req, socket, head, respond) {
+	/** @type {Request} */
+	let request;
+
+	try {
+		request = await getRequest(base, req);
+	} catch {
+		return false;
+	}
+
+	/** @type {import('types').UpgradeHandler | undefined} */
+	let handler;
+
+	const response = await respond(request, (fn) => {
+		handler = fn;
+		return new Response(undefined, { status: 200 });
+	});
+
+	// the request isn't for a `socket` handler, so something else may want to handle it
+	if (response.headers.get('x-sveltekit-upgrade') === 'ignored') {
+		return false;
+	}
+
+	if (!handler || !response.ok) {
+		await reject_upgrade(socket, response);
+		return true;
+	}
+
+	const key = req.headers['sec-websocket-key'];
+
+	if (!key || req.headers['sec-websocket-version'] !== '13') {
+		// https://www.rfc-editor.org/rfc/rfc6455#section-4.4
+		await reject_upgrade(
+			socket,
+			new Response('Unsupported WebSocket version', {
+				status: 426,
+				headers: { 'sec-websocket-version': '13' }
+			})
+		);
+		return true;
+	}
+
+	write_head(socket, 101, {
+		...get_headers(response.headers),
+		upgrade: 'websocket',
+		connection: 'Upgrade',
+		'sec-websocket-accept': get_accept_key(key)
+	});
+
+	new WebSocket(socket, head, handler);
+	return true;
+}
+
+/**
+ * The connection can't be upgraded, so we send the response over the raw socket and hang up
+ * @param {import('stream').Duplex} socket
+ * @param {Response} response
+ */
+async function reject_upgrade(socket, response) {
+	const body = Buffer.from(await response.arrayBuffer());
+
+	write_head(socket, response.status, {
+		...get_headers(response.headers),
+		connection: 'close',
+		'content-length': String(body.length)
+	});
+
+	socket.end(body);
+}
+
+/**
+ * @param {import('stream').Duplex} socket
+ * @param {number} status
+ * @param {Record<string, string | string[]>} headers
+ */
+function write_head(socket, status, headers) {
+	let head = `HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\n`;
+
+	for (const name in headers) {
+		const value = headers[name];
+		for (const line of Array.isArray(value) ? value : [value]) {
+			head += `${name}: ${line}\r\n`;
+		}
+	}
+
+	socket.write(head + '\r\n');
+}
@@ -0,0 +1,548 @@
+import { createHash } from 'crypto';
+
+/** @typedef {import('types').Socket} Socket */
+
+// https://www.rfc-editor.org/rfc/rfc6455#section-1.3
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSING = 2;
+const CLOSED = 3;
+
+const CONTINUATION = 0x0;
+const TEXT = 0x1;
+const BINARY = 0x2;
+const CLOSE = 0x8;
+const PING = 0x9;
+const PONG = 0xa;
+
+// how long to wait for the client to acknowledge a close frame before dropping the connection
+const CLOSE_TIMEOUT = 30000;
+
+/** @param {string} key */
+export function get_accept_key(key) {
+	return createHash('sha1')
+		.update(key + GUID)
+		.digest('base64');
+}
+
+class ProtocolError extends Error {
+	/**
+	 * @param {number} code
+	 * @param {string} message
+	 */
+	constructor(code, message) {
+		super(message);
+		this.code = code;
+	}
+}
+
+/**
+ * Parses the header of the frame at the start of `buffer`, returning `null` if it hasn't been fully
+ * received yet. Frames that claim to be larger than `max_payload` are rejected straight away,
+ * rather than waiting for them to arrive
+ * @param {Buffer} buffer
+ * @param {number} max_payload
+ * @returns {{ fin: boolean; opcode: number; mask: Buffer; size: number; length: number } | null}
+ */
+function parse_header(buffer, max_payload) {
+	if (buffer.length < 2) return null;
+
+	const fin = (buffer[0] & 0x80) !== 0;
+	const opcode = buffer[0] & 0x0f;
+	const masked = (buffer[1] & 0x80) !== 0;
+
+	if (buffer[0] & 0x70) {
+		throw new ProtocolError(1002, 'Reserved bits must not be set');
+	}
+
+	if (!masked) {
+		throw new ProtocolError(1002, 'Frames sent by the client must be masked');
+	}
+
+	let length = buffer[1] & 0x7f;
+	let offset = 2;
+
+	if (opcode & 0x8 && (!fin || length > 125)) {
+		throw new ProtocolError(1002, 'Control frames must not be fragmented or exceed 125 bytes');
+	}
+
+	if (length === 126) {
+		if (buffer.length < 4) return null;
+		length = buffer.readUInt16BE(2);
+		offset = 4;
+	} else if (length === 127) {
+		if (buffer.length < 10) return null;
+		length = Number(buffer.readBigUInt64BE(2));
+		offset = 10;
+	}
+
+	if (length > max_payload) {
+		throw new ProtocolError(1009, 'Message is too big');
+	}
+
+	if (buffer.length < offset + 4) return null;
+
+	return { fin, opcode, mask: buffer.subarray(offset, offset + 4), size: offset + 4, length };
+}
+
+/**
+ * Unmasks a frame's payload in place
+ * @param {Buffer} payload
+ * @param {Buffer} mask
+ */
+function unmask(payload, mask) {
+	for (let i = 0; i < payload.length; i += 1) {
+		payload[i] ^= mask[i & 3];
+	}
+}
+
+/**
+ * Parses the frame at the start of `buffer`, returning `null` if it hasn't been fully received yet
+ * @param {Buffer} buffer
+ * @param {number} max_payload
+ * @returns {{ fin: boolean; opcode: number; payload: Buffer; size: number } | null}
+ */
+export function parse_frame(buffer, max_payload) {
+	const header = parse_header(buffer, max_payload);
+	if (!header || buffer.length < header.size + header.length) return null;
+
+	// copy the payload, so that unmasking doesn't touch the original buffer
+	const payload = Buffer.from(buffer.subarray(header.size, header.size + header.length));
+	unmask(payload, header.mask);
+
+	return {
+		fin: header.fin,
+		opcode: header.opcode,
+		payload,
+		size: header.size + header.length
+	};
+}
+
+/**
+ * Creates an unmasked, unfragmented frame, as sent by the server
+ * @param {number} opcode
+ * @param {Buffer} payload
+ */
+export function encode_frame(opcode, payload) {
+	const length = payload.length;
+
+	/** @type {Buffer} */
+	let header;
+
+	if (length < 126) {
+		header = Buffer.alloc(2);
+		header[1] = length;
+	} else if (length < 65536) {
+		header = Buffer.alloc(4);
+		header[1] = 126;
+		header.writeUInt16BE(length, 2);
+	} else {
+		header = Buffer.alloc(10);
+		header[1] = 127;
+		header.writeBigUInt64BE(BigInt(length), 2);
+	}
+
+	header[0] = 0x80 | opcode;
+
+	return Buffer.concat([header, payload]);
+}
+
+/**
+ * @param {number | undefined} code
+ * @param {string} reason
+ */
+function encode_close_payload(code, reason) {
+	if (code === undefined) return Buffer.alloc(0);
+
+	const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+	payload.writeUInt16BE(code, 0);
+	payload.write(reason, 2);
+	return payload;
+}
+
+/**
+ * The server side of a WebSocket connection (https://www.rfc-editor.org/rfc/rfc6455),
+ * with the same API as the browser's `WebSocket`. Text messages are received as strings,
+ * binary messages as `ArrayBuffer` objects.
+ *
+ * We don't extend `EventTarget`, because Node reports errors thrown by its listeners as
+ * uncaught exceptions, which would allow a single socket handler to crash the server
+ * @implements {Socket}
+ */
+export class WebSocket {
+	static CONNECTING = CONNECTING;
+	static OPEN = OPEN;
+	static CLOSING = CLOSING;
+	static CLOSED = CLOSED;
+
+	/** @type {((event: MessageEvent) => void) | null} */
+	onmessage = null;
+
+	/** @type {((event: import('types').SocketCloseEvent) => void) | null} */
+	onclose = null;
+
+	/** @type {((event: Event) => void) | null} */
+	onerror = null;
+
+	/** @type {import('stream').Duplex} */
+	#stream;
+
+	/** @type {import('types').UpgradeHandler} */
+	#handler;
+
+	/** @type {Map<string, Array<{ listener: EventListenerOrEventListenerObject; once: boolean }>>} */
+	#listeners = new Map();
+
+	/** @type {0 | 1 | 2 | 3} */
+	#ready_state = OPEN;
+
+	/**
+	 * Chunks that have been received, but not yet parsed. They're only concatenated once a whole
+	 * frame has arrived, so that large frames aren't copied over and over as they trickle in
+	 * @type {Buffer[]}
+	 */
+	#chunks = [];
+	#buffered = 0;
+
+	/** @type {Buffer[]} */
+	#fragments = [];
+	#fragments_size = 0;
+	#fragments_opcode = TEXT;
+
+	/** @type {{ code: number; reason: string } | null} */
+	#close_frame = null;
+
+	/** @type {ReturnType<typeof setTimeout> | undefined} */
+	#close_timeout;
+
+	/** the size of the frame whose header has been parsed, but which hasn't fully arrived yet */
+	#pending = 0;
+
+	/**
+	 * @param {import('stream').Duplex} stream the socket, once the handshake has been sent
+	 * @param {Buffer} head the first packet of the upgraded stream, which may be empty
+	 * @param {import('types').UpgradeHandler} handler
+	 */
+	constructor(stream, head, handler) {
+		this.#stream = stream;
+		this.#handler = handler;
+
+		stream.on('data', (chunk) => this.#receive(chunk));
+		stream.on('error', (error) => this.#dispatch(Object.assign(new Event('error'), { error })));
+		stream.on('close', () => this.#closed());
+		stream.on('end', () => stream.end());
+
+		// the handler must be able to add listeners before the first message is dispatched
+		try {
+			Promise.resolve(handler.open(this)).catch((error) => this.#fail(error));
+		} catch (error) {
+			this.#fail(error);
+		}
+
+		if (head.length > 0) this.#receive(head);
+	}
+
+	/**
+	 * @param {string} type
+	 * @param {EventListenerOrEventListenerObject | null} listener
+	 * @param {boolean | AddEventListenerOptions} [options]
+	 */
+	addEventListener(type, listener, options) {
+		if (!listener) return;
+
+		const listeners = this.#listeners.get(type) ?? [];
+		if (listeners.some((entry) => entry.listener === listener)) return;
+
+		listeners.push({ listener, once: typeof options === 'object' && !!options.once });
+		this.#listeners.set(type, listeners);
+	}
+
+	/**
+	 * @param {string} type
+	 * @param {EventListenerOrEventListenerObject | null} listener
+	 */
+	removeEventListener(type, listener) {
+		const listeners = this.#listeners.get(type);
+		if (!listeners) return;
+
+		this.#listeners.set(
+			type,
+			listeners.filter((entry) => entry.listener !== listener)
+		);
+	}
+
+	/** @param {Event} event */
+	dispatchEvent(event) {
+		this.#dispatch(event);
+		return !event.defaultPrevented;
+	}
+
+	get readyState() {
+		return this.#ready_state;
+	}
+
+	get bufferedAmount() {
+		return this.#stream.writableLength;
+	}
+
+	/** @param {string | ArrayBufferLike | ArrayBufferView} data */
+	send(data) {
+		if (this.#ready_state !== OPEN) return;
+
+		if (typeof data === 'string') {
+			this.#stream.write(encode_frame(TEXT, Buffer.from(data)));
+		} else if (ArrayBuffer.isView(data)) {
+			this.#stream.write(
+				encode_frame(BINARY, Buffer.from(data.buffer, data.byteOffset, data.byteLength))
+			);
+		} else {
+			this.#stream.write(encode_frame(BINARY, Buffer.from(data)));
+		}
+	}
+
+	/**
+	 * @param {number} [code]
+	 * @param {string} [reason]
+	 */
+	close(code, reason = '') {
+		if (code !== undefined && code !== 1000 && (code < 3000 || code > 4999)) {
+			throw new Error(`Invalid close code ${code}: must be 1000, or between 3000 and 4999`);
+		}
+
+		if (Buffer.byteLength(reason) > 123) {
+			throw new Error('Close reason must not be longer than 123 bytes');
+		}
+
+		this.#close(code, reason);
+	}
+
+	/**
+	 * @param {number | undefined} code
+	 * @param {string} reason
+	 */
+	#close(code, reason) {
+		if (this.#ready_state !== OPEN) return;
+
+		this.#ready_state = CLOSING;
+		this.#stream.write(encode_frame(CLOSE, encode_close_payload(code, reason)));
+
+		this.#close_timeout = setTimeout(() => this.#stream.destroy(), CLOSE_TIMEOUT);
+	}
+
+	/** @param {Buffer} chunk */
+	#receive(chunk) {
+		this.#chunks.push(chunk);
+		this.#buffered += chunk.length;
+
+		// wait until the rest of the current frame has arrived
+		if (this.#buffered < this.#pending) return;
+
+		try {
+			while (this.#ready_state === OPEN || this.#ready_state === CLOSING) {
+				// headers are at most 14 bytes long
+				const header = parse_header(this.#peek(14), this.#handler.maxPayload);
+				if (!header) break;
+
+				if (this.#buffered < header.size + header.length) {
+					this.#pending = header.size + header.length;
+					break;
+				}
+
+				this.#pending = 0;
+
+				const frame = this.#consume(header.size + header.length);
+				const payload = frame.subarray(header.size);
+				unmask(payload, header.mask);
+
+				this.#handle(header.fin, header.opcode, payload);
+			}
+		} catch (error) {
+			if (error instanceof ProtocolError) {
+				this.#close(error.code, error.message);
+				this.#stream.end();
+			} else {
+				// this is a bug in SvelteKit rather than in the app, but it still mustn't crash the server
+				this.#fail(error);
+			}
+		}
+	}
+
+	/**
+	 * Returns up to `n` bytes from the start of the received data, without consuming them
+	 * @param {number} n
+	 */
+	#peek(n) {
+		if (this.#chunks.length === 0) return Buffer.alloc(0);
+		if (this.#chunks[0].length >= n) return this.#chunks[0].subarray(0, n);
+
+		return Buffer.concat(this.#chunks, Math.min(n, this.#buffered));
+	}
+
+	/**
+	 * Removes `n` bytes from the start of the received data, and returns them in a new buffer
+	 * @param {number} n
+	 */
+	#consume(n) {
+		/** @type {Buffer[]} */
+		const parts = [];
+		let remaining = n;
+
+		while (remaining > 0) {
+			const chunk = this.#chunks[0];
+
+			if (chunk.length <= remaining) {
+				parts.push(chunk);
+				this.#chunks.shift();
+				remaining -= chunk.length;
+			} else {
+				parts.push(chunk.subarray(0, remaining));
+				this.#chunks[0] = chunk.subarray(remaining);
+				remaining = 0;
+			}
+		}
+
+		this.#buffered -= n;
+
+		// always copy, so that unmasking doesn't touch buffers owned by the stream
+		return Buffer.concat(parts, n);
+	}
+
+	/**
+	 * Reports an unexpected error, and closes the connection with a 1011 (internal error) code
+	 * @param {unknown} error
+	 */
+	#fail(error) {
+		try {
+			this.#handler.error(error);
+		} catch (e) {
+			console.error(e);
+		}
+
+		this.#close(1011, '');
+	}
+
+	/**
+	 * @param {boolean} fin
+	 * @param {number} opcode
+	 * @param {Buffer} payload
+	 */
+	#handle(fin, opcode, payload) {
+		switch (opcode) {
+			case CONTINUATION:
+			case TEXT:
+			case BINARY: {
+				if ((opcode === CONTINUATION) !== this.#fragments.length > 0) {
+					throw new ProtocolError(1002, 'Unexpected continuation frame');
+				}
+
+				if (opcode !== CONTINUATION) this.#fragments_opcode = opcode;
+
+				this.#fragments.push(payload);
+				this.#fragments_size += payload.length;
+
+				if (this.#fragments_size > this.#handler.maxPayload) {
+					throw new ProtocolError(1009, 'Message is too big');
+				}
+
+				if (fin) {
+					const message = Buffer.concat(this.#fragments);
+					this.#fragments = [];
+					this.#fragments_size = 0;
+
+					if (this.#ready_state === OPEN) this.#message(this.#fragments_opcode, message);
+				}
+
+				break;
+			}
+
+			case CLOSE: {
+				const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+				this.#close_frame = { code, reason: payload.subarray(2).toString() };
+
+				// echo the close frame if the client initiated the closing handshake
+				this.#close(code === 1005 ? undefined : code, '');
+				this.#stream.end();
+				break;
+			}
+
+			case PING:
+				if (this.#ready_state === OPEN) this.#stream.write(encode_frame(PONG, payload));
+				break;
+
+			case PONG:
+				break;
+
+			default:
+				throw new ProtocolError(1002, `Unknown opcode ${opcode}`);
+		}
+	}
+
+	/**
+	 * @param {number} opcode
+	 * @param {Buffer} message
+	 */
+	#message(opcode, message) {
+		/** @type {string | ArrayBuffer} */
+		let data;
+
+		if (opcode === TEXT) {
+			try {
+				data = new TextDecoder('utf-8', { fatal: true }).decode(message);
+			} catch {
+				throw new ProtocolError(1007, 'Text messages must be valid UTF-8');
+			}
+		} else {
+			data = message.buffer.slice(message.byteOffset, message.byteOffset + message.byteLength);
+		}
+
+		this.#dispatch(new MessageEvent('message', { data }));
+	}
+
+	#closed() {
+		if (this.#ready_state === CLOSED) return;
+
+		this.#ready_state = CLOSED;
+		clearTimeout(this.#close_timeout);
+
+		const { code, reason } = this.#close_frame ?? { code: 1006, reason: '' };
+
+		this.#dispatch(
+			Object.assign(new Event('close'), { code, reason, wasClean: this.#close_frame !== null })
+		);
+	}
+
+	/**
+	 * Calls the `on<type>` handler and the listeners for an event. Errors thrown by them
+	 * are reported, rather than being allowed to escape into the stream's event handlers
+	 * @param {Event} event
+	 */
+	#dispatch(event) {
+		/** @type {Array<EventListenerOrEventListenerObject | null>} */
+		const listeners = [
+			event.type === 'message' ? /** @type {EventListener | null} */ (this.onmessage) : null,
+			event.type === 'close' ? /** @type {EventListener | null} */ (this.onclose) : null,
+			event.type === 'error' ? this.onerror : null
+		];
+
+		for (const entry of this.#listeners.get(event.type) ?? []) {
+			if (entry.once) this.removeEventListener(event.type, entry.listener);
+			listeners.push(entry.listener);
+		}
+
+		for (const listener of listeners) {
+			if (!listener) continue;
+
+			try {
+				if (typeof listener === 'function') {
+					listener.call(this, event);
+				} else {
+					listener.handleEvent(event);
+				}
+			} catch (error) {
+				this.#fail(error);
+			}
+		}
+	}
+}
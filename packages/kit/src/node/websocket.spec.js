@@ -0,0 +1,281 @@
+import { Duplex } from 'stream';
+import { test } from 'uvu';
+import * as assert from 'uvu/assert';
+import { encode_frame, get_accept_key, parse_frame, WebSocket } from './websocket.js';
+
+/**
+ * Creates a masked frame, as sent by a client
+ * @param {number} opcode
+ * @param {string | Buffer} data
+ * @param {boolean} [fin]
+ */
+function client_frame(opcode, data, fin = true) {
+	const payload = Buffer.from(data);
+	const mask = Buffer.from([0x37, 0xfa, 0x21, 0x3d]);
+	const frame = encode_frame(opcode, payload);
+
+	const header_length = frame.length - payload.length;
+	const masked = Buffer.alloc(frame.length + 4);
+	frame.copy(masked, 0, 0, header_length);
+	mask.copy(masked, header_length);
+
+	masked[0] = (fin ? 0x80 : 0) | opcode;
+	masked[1] |= 0x80;
+
+	for (let i = 0; i < payload.length; i += 1) {
+		masked[header_length + 4 + i] = payload[i] ^ mask[i & 3];
+	}
+
+	return masked;
+}
+
+/**
+ * @param {(socket: import('types').Socket) => void} [open]
+ * @param {Buffer} [head]
+ */
+function create_socket(open = () => {}, head = Buffer.alloc(0)) {
+	/** @type {Buffer[]} */
+	const written = [];
+
+	/** @type {unknown[]} */
+	const errors = [];
+
+	const stream = new Duplex({
+		read() {},
+		write(chunk, _, callback) {
+			written.push(chunk);
+			callback();
+		}
+	});
+
+	const socket = new WebSocket(stream, head, {
+		maxPayload: 1024,
+		open,
+		error: (error) => errors.push(error)
+	});
+
+	return { stream, written, errors, socket };
+}
+
+test('computes the accept key from the handshake key', () => {
+	// https://www.rfc-editor.org/rfc/rfc6455#section-1.3
+	assert.equal(get_accept_key('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+});
+
+test('parses a masked frame', () => {
+	// https://www.rfc-editor.org/rfc/rfc6455#section-5.7
+	const buffer = Buffer.from([0x81, 0x85, 0x37, 0xfa, 0x21, 0x3d, 0x7f, 0x9f, 0x4d, 0x51, 0x58]);
+	const frame = parse_frame(buffer, 1024);
+
+	assert.equal(frame?.fin, true);
+	assert.equal(frame?.opcode, 0x1);
+	assert.equal(frame?.payload.toString(), 'Hello');
+	assert.equal(frame?.size, buffer.length);
+});
+
+test('waits for the rest of an incomplete frame', () => {
+	const buffer = client_frame(0x1, 'x'.repeat(200));
+
+	assert.equal(parse_frame(buffer.subarray(0, 1), 1024), null);
+	assert.equal(parse_frame(buffer.subarray(0, 3), 1024), null);
+	assert.equal(parse_frame(buffer.subarray(0, buffer.length - 1), 1024), null);
+	assert.equal(parse_frame(buffer, 1024)?.payload.toString(), 'x'.repeat(200));
+});
+
+test('rejects unmasked frames', () => {
+	assert.throws(() => parse_frame(encode_frame(0x1, Buffer.from('Hello')), 1024), /must be masked/);
+});
+
+test('rejects frames that are larger than the limit before they arrive', () => {
+	const header = Buffer.from([0x82, 0xff, 0x7f, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]);
+	assert.throws(() => parse_frame(header, 1024), /too big/);
+});
+
+test('encodes frames with extended payload lengths', () => {
+	assert.equal(encode_frame(0x2, Buffer.alloc(125)).subarray(0, 2), Buffer.from([0x82, 125]));
+	assert.equal(
+		encode_frame(0x2, Buffer.alloc(300)).subarray(0, 4),
+		Buffer.from([0x82, 126, 1, 44])
+	);
+	assert.equal(
+		encode_frame(0x2, Buffer.alloc(65536)).subarray(0, 10),
+		Buffer.from([0x82, 127, 0, 0, 0, 0, 0, 1, 0, 0])
+	);
+});
+
+test('dispatches text and binary messages', () => {
+	/** @type {any[]} */
+	const messages = [];
+
+	const { stream } = create_socket((socket) => {
+		socket.onmessage = (event) => messages.push(event.data);
+	}, client_frame(0x1, 'hello'));
+
+	stream.emit('data', client_frame(0x1, 'héllo'));
+	stream.emit('data', client_frame(0x2, Buffer.from([1, 2, 3])));
+
+	assert.equal(messages.length, 3);
+	assert.equal(messages[0], 'hello');
+	assert.equal(messages[1], 'héllo');
+	assert.equal(Array.from(new Uint8Array(messages[2])), [1, 2, 3]);
+});
+
+test('reassembles fragmented messages split across chunks', () => {
+	const { stream, socket } = create_socket();
+
+	/** @type {string[]} */
+	const messages = [];
+	socket.addEventListener('message', (event) => {
+		messages.push(/** @type {MessageEvent} */ (event).data);
+	});
+
+	const data = Buffer.concat([
+		client_frame(0x1, 'one ', false),
+		client_frame(0x9, 'ping'),
+		client_frame(0x0, 'two ', false),
+		client_frame(0x0, 'three')
+	]);
+
+	stream.emit('data', data.subarray(0, 7));
+	stream.emit('data', data.subarray(7));
+
+	assert.equal(messages, ['one two three']);
+});
+
+test('receives frames that arrive in many chunks', () => {
+	/** @type {string[]} */
+	const messages = [];
+
+	const { stream } = create_socket((socket) => {
+		socket.onmessage = (event) => messages.push(event.data);
+	});
+
+	const data = Buffer.concat([client_frame(0x1, 'x'.repeat(1000)), client_frame(0x1, 'y')]);
+	for (let i = 0; i < data.length; i += 7) {
+		stream.emit('data', data.subarray(i, i + 7));
+	}
+
+	assert.equal(messages, ['x'.repeat(1000), 'y']);
+});
+
+test('closes the connection with 1009 when a message is too big', () => {
+	const { stream, written, socket } = create_socket();
+
+	stream.emit('data', client_frame(0x1, 'x'.repeat(600), false));
+	stream.emit('data', client_frame(0x0, 'x'.repeat(600)));
+
+	assert.equal(socket.readyState, WebSocket.CLOSING);
+	assert.equal(written[0].readUInt16BE(2), 1009);
+
+	stream.emit('close');
+});
+
+test('responds to pings with pongs', () => {
+	const { stream, written } = create_socket();
+
+	stream.emit('data', client_frame(0x9, 'ping'));
+
+	assert.equal(written, [encode_frame(0xa, Buffer.from('ping'))]);
+});
+
+test('sends messages as unmasked frames', () => {
+	const { written, socket } = create_socket();
+
+	socket.send('hello');
+	socket.send(new Uint8Array([1, 2, 3]));
+
+	assert.equal(written, [
+		encode_frame(0x1, Buffer.from('hello')),
+		encode_frame(0x2, Buffer.from([1, 2, 3]))
+	]);
+});
+
+test('echoes close frames sent by the client', () => {
+	const { stream, written, socket } = create_socket();
+
+	const close = Buffer.alloc(2);
+	close.writeUInt16BE(1001);
+	stream.emit('data', client_frame(0x8, close));
+
+	assert.equal(socket.readyState, WebSocket.CLOSING);
+	assert.equal(written, [encode_frame(0x8, close)]);
+
+	socket.send('too late');
+	assert.equal(written.length, 1);
+
+	/** @type {import('types').SocketCloseEvent | undefined} */
+	let closed;
+	socket.onclose = (event) => (closed = event);
+
+	stream.emit('close');
+
+	assert.equal(socket.readyState, WebSocket.CLOSED);
+	assert.equal(closed?.code, 1001);
+	assert.equal(closed?.wasClean, true);
+});
+
+test('closes the connection on protocol errors', () => {
+	const { stream, written, socket } = create_socket();
+
+	stream.emit('data', client_frame(0x0, 'unexpected'));
+
+	assert.equal(socket.readyState, WebSocket.CLOSING);
+	assert.equal(written[0].readUInt16BE(2), 1002);
+
+	stream.emit('close');
+});
+
+test('validates close codes', () => {
+	const { stream, socket } = create_socket();
+
+	assert.throws(() => socket.close(1001), /Invalid close code/);
+	assert.throws(() => socket.close(1000, 'x'.repeat(124)), /123 bytes/);
+
+	socket.close(4000, 'bye');
+	assert.equal(socket.readyState, WebSocket.CLOSING);
+
+	stream.emit('close');
+});
+
+test('reports errors thrown by listeners and closes with 1011', () => {
+	const { stream, written, errors, socket } = create_socket((socket) => {
+		socket.addEventListener('message', () => {
+			throw new Error('listener');
+		});
+	});
+
+	/** @type {string[]} */
+	const messages = [];
+	socket.onmessage = (event) => {
+		messages.push(event.data);
+		throw new Error('onmessage');
+	};
+
+	stream.emit('data', client_frame(0x1, 'hello'));
+
+	assert.equal(messages, ['hello']);
+	assert.equal(
+		errors.map((error) => /** @type {Error} */ (error).message),
+		['onmessage', 'listener']
+	);
+	assert.equal(socket.readyState, WebSocket.CLOSING);
+	assert.equal(written[0].readUInt16BE(2), 1011);
+
+	stream.emit('close');
+});
+
+test('reports errors thrown by the socket handler', async () => {
+	const { stream, written, errors } = create_socket(async () => {
+		throw new Error('handler');
+	});
+
+	await Promise.resolve();
+	await Promise.resolve();
+
+	assert.equal(/** @type {Error} */ (errors[0]).message, 'handler');
+	assert.equal(written[0].readUInt16BE(2), 1011);
+
+	stream.emit('close');
+});
+
+test.run();
@@ -0,0 +1,130 @@
+import { client } from '../client/singletons.js';
+import { invalidate } from './navigation.js';
+
+/**
+ * @param {string} name
+ */
+function guard(name) {
+	return () => {
+		throw new Error(`Cannot call ${name}(...) on the server`);
+	};
+}
+
+const ssr = import.meta.env.SSR;
+
+/** @type {import('$app/forms').applyAction} */
+export const applyAction = ssr ? guard('applyAction') : client.apply_action;
+
+/** @type {import('$app/forms').enhance} */
+export function enhance(form, submit = () => {}) {
+	/**
+	 * @param {{
+	 *   action: URL;
+	 *   result: import('types').ActionResult;
+	 *   reset?: boolean;
+	 * }} opts
+	 */
+	const fallback_callback = async ({ action, result, reset = true }) => {
+		if (result.type === 'success') {
+			await invalidate();
+		}
+
+		// redirects and errors apply wherever the action lives, but the page
+		// should only be updated with the result of its own action
+		if (
+			result.type === 'redirect' ||
+			result.type === 'error' ||
+			location.origin + location.pathname === action.origin + action.pathname
+		) {
+			await applyAction(result);
+		}
+
+		if (result.type === 'success' && reset) {
+			form.reset();
+		}
+	};
+
+	/** @type {Record<string, any> | undefined} */
+	let current_token;
+
+	/** @param {SubmitEvent} event */
+	async function handle_submit(event) {
+		event.preventDefault();
+
+		const action = new URL(
+			// We can't do submitter.formAction directly because that property is always set
+			event.submitter?.hasAttribute('formaction')
+				? /** @type {HTMLButtonElement | HTMLInputElement} */ (event.submitter).formAction
+				: form.action
+		);
+
+		const data = new FormData(form);
+
+		const submitter_name = event.submitter?.getAttribute('name');
+		if (submitter_name) {
+			data.append(submitter_name, event.submitter?.getAttribute('value') ?? '');
+		}
+
+		const controller = new AbortController();
+
+		let cancelled = false;
+		const cancel = () => (cancelled = true);
+
+		const callback =
+			(await submit({
+				action,
+				cancel,
+				controller,
+				data,
+				form
+			})) ?? fallback_callback;
+
+		if (cancelled) return;
+
+		const token = (current_token = {});
+
+		/** @type {import('types').ActionResult<any, any>} */
+		let result;
+
+		try {
+			const response = await fetch(action, {
+				method: 'POST',
+				headers: {
+					accept: 'application/json',
+					'x-sveltekit-action': 'true'
+				},
+				body: data,
+				signal: controller.signal
+			});
+
+			result = await response.json();
+		} catch (error) {
+			if (/** @type {any} */ (error)?.name === 'AbortError') return;
+			result = { type: 'error', error };
+		}
+
+		// a newer submission has superseded this one
+		if (token !== current_token) return;
+
+		try {
+			await callback({
+				action,
+				data,
+				form,
+				update: (opts) => fallback_callback({ action, result, reset: opts?.reset }),
+				result
+			});
+		} catch (error) {
+			// the submit event has already been handled, so there's nobody else to tell
+			client._handle_error(error);
+		}
+	}
+
+	form.addEventListener('submit', handle_submit);
+
+	return {
+		destroy() {
+			form.removeEventListener('submit', handle_submit);
+		}
+	};
+}
@@ -18,5 +18,8 @@ export const goto = ssr ? guard('goto') : client.goto;
 export const invalidate = ssr ? guard('invalidate') : client.invalidate;
 export const prefetch = ssr ? guard('prefetch') : client.prefetch;
 export const prefetchRoutes = ssr ? guard('prefetchRoutes') : client.prefetch_routes;
+export const pushState = ssr ? guard('pushState') : client.push_state;
+export const replaceState = ssr ? guard('replaceState') : client.replace_state;
 export const beforeNavigate = ssr ? () => {} : client.before_navigate;
+export const onNavigate = ssr ? () => {} : client.on_navigate;
 export const afterNavigate = ssr ? () => {} : client.after_navigate;
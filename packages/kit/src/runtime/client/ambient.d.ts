@@ -1,5 +1,5 @@
 declare module '__GENERATED__/client-manifest.js' {
-	import { CSRPageNodeLoader, ParamMatcher } from 'types';
+	import { CSRPageNodeLoader, HandleClientError, ParamMatcher } from 'types';
 
 	/**
 	 * A list of all the error/layout/page nodes used in the app
@@ -14,4 +14,11 @@ declare module '__GENERATED__/client-manifest.js' {
 	export const dictionary: Record<string, [number[], number[], number]>;
 
 	export const matchers: Record<string, ParamMatcher>;
+
+	/**
+	 * The hooks exported from `src/hooks.client.js`, with defaults for the missing ones
+	 */
+	export const hooks: {
+		handleError: HandleClientError;
+	};
 }
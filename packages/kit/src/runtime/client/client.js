@@ -5,21 +5,33 @@ import { LoadURL, decode_params, normalize_path } from '../../utils/url.js';
 import {
 	create_updated_store,
 	find_anchor,
+	combine_signals,
 	get_base_uri,
 	get_href,
+	get_preload_options,
 	notifiable_store,
+	PRELOAD_PRIORITIES,
 	scroll_state
 } from './utils.js';
 import { lock_fetch, unlock_fetch, initial_fetch, native_fetch } from './fetcher.js';
 import { parse } from './parse.js';
+import { deserialize_error, read_server_data, revive } from './deferred.js';
 import { error } from '../../index/index.js';
 
 import Root from '__GENERATED__/root.svelte';
-import { nodes, dictionary, matchers } from '__GENERATED__/client-manifest.js';
+import { nodes, dictionary, matchers, hooks } from '__GENERATED__/client-manifest.js';
 import { HttpError, Redirect } from '../../index/private.js';
 
 const SCROLL_KEY = 'sveltekit:scroll';
+const SNAPSHOT_KEY = 'sveltekit:snapshot';
 const INDEX_KEY = 'sveltekit:index';
+const NAVIGATION_INDEX_KEY = 'sveltekit:navigation-index';
+const STATES_KEY = 'sveltekit:states';
+const PAGE_URL_KEY = 'sveltekit:page-url';
+const INVALIDATED_PARAM = 'x-sveltekit-invalidated';
+
+// how many preloaded pages, and how many pages' server data, are kept around
+const MAX_CACHE_ENTRIES = 10;
 
 const routes = parse(nodes, dictionary, matchers);
 
@@ -47,19 +59,67 @@ function update_scroll_positions(index) {
 	scroll_positions[index] = scroll_state();
 }
 
+// Likewise, the values captured by `snapshot` exports are stored
+// per history entry so that they survive reloads
+
+/** @type {Record<number, any[]>} */
+let snapshots = {};
+try {
+	snapshots = JSON.parse(sessionStorage[SNAPSHOT_KEY]);
+} catch {
+	// do nothing
+}
+
+// for loads that aren't tied to a navigation that could be superseded,
+// such as hydration and preloading
+const never_aborted = new AbortController().signal;
+
+// errors that were serialized by the server have already been through its `handleError` hook
+/** @type {WeakSet<object>} */
+const server_errors = new WeakSet();
+
+/**
+ * Reports an unexpected error to the `handleError` hook in `src/hooks.client.js`, and returns
+ * the error that should be shown to the user — the `App.Error` returned by the hook if there
+ * is one, otherwise the error itself. Expected errors (i.e. `HttpError`) are returned as-is
+ * @param {unknown} error
+ * @param {import('types').NavigationEvent} event
+ * @returns {HttpError | Error | App.Error}
+ */
+function handle_error(error, event) {
+	const normalized = /** @type {HttpError | Error} */ (error);
+	if (normalized instanceof HttpError || server_errors.has(normalized)) return normalized;
+
+	return hooks.handleError({ error: normalized, event }) ?? normalized;
+}
+
 /**
  * @param {{
  *   target: Element;
  *   session: App.Session;
  *   base: string;
+ *   hash_routing: boolean;
  *   trailing_slash: import('types').TrailingSlash;
+ *   load_cache_max_age: number;
+ *   focus: 'body' | 'autofocus';
  * }} opts
  * @returns {import('./types').Client}
  */
-export function create_client({ target, session, base, trailing_slash }) {
+export function create_client({
+	target,
+	session,
+	base,
+	hash_routing,
+	trailing_slash,
+	load_cache_max_age,
+	focus
+}) {
 	/** @type {Array<((href: string) => boolean)>} */
 	const invalidated = [];
 
+	// set by `invalidate()` without arguments, which reruns every `load` function
+	let force_invalidation = false;
+
 	const stores = {
 		url: notifiable_store({}),
 		page: notifiable_store({}),
@@ -68,17 +128,27 @@ export function create_client({ target, session, base, trailing_slash }) {
 		updated: create_updated_store()
 	};
 
-	/** @type {{id: string | null, promise: Promise<import('./types').NavigationResult | undefined> | null}} */
-	const load_cache = {
-		id: null,
-		promise: null
-	};
+	/**
+	 * Preloaded navigation results, keyed by navigation intent id
+	 * @type {Map<string, import('./types').PreloadCacheEntry>}
+	 */
+	const load_cache = new Map();
+
+	/**
+	 * The server data of recently loaded pages, keyed by navigation intent id,
+	 * so that back/forward navigations don't need to request it again
+	 * @type {Map<string, import('./types').ServerDataCacheEntry>}
+	 */
+	const server_data_cache = new Map();
 
 	const callbacks = {
-		/** @type {Array<(opts: { from: URL, to: URL | null, cancel: () => void }) => void>} */
+		/** @type {Array<(navigation: import('types').BeforeNavigate) => void>} */
 		before_navigate: [],
 
-		/** @type {Array<(opts: { from: URL | null, to: URL }) => void>} */
+		/** @type {Array<(navigation: import('types').OnNavigate) => import('types').MaybePromise<(() => void) | void>>} */
+		on_navigate: [],
+
+		/** @type {Array<(navigation: import('types').AfterNavigate) => void>} */
 		after_navigate: []
 	};
 
@@ -102,6 +172,12 @@ export function create_client({ target, session, base, trailing_slash }) {
 	/** @type {import('svelte').SvelteComponent} */
 	let root;
 
+	/**
+	 * The layout and page components that are currently showing, bound by `root`
+	 * @type {Array<import('svelte').SvelteComponent | null>}
+	 */
+	const components = [];
+
 	/** @type {App.Session} */
 	let $session;
 
@@ -112,6 +188,8 @@ export function create_client({ target, session, base, trailing_slash }) {
 		if (!ready) return;
 		session_id += 1;
 
+		evict_from_caches((uses) => uses.session);
+
 		const current_load_uses_session = current.branch.some((node) => node?.uses.session);
 		if (!current_load_uses_session) return;
 
@@ -128,15 +206,27 @@ export function create_client({ target, session, base, trailing_slash }) {
 		// we use Date.now() as an offset so that cross-document navigations
 		// within the app don't result in data loss
 		current_history_index = Date.now();
-
-		// create initial history entry, so we can return here
-		history.replaceState(
-			{ ...history.state, [INDEX_KEY]: current_history_index },
-			'',
-			location.href
-		);
 	}
 
+	// history entries created with `pushState`/`replaceState` share the navigation index of the
+	// page they were created on, so that moving between them doesn't require `load` to rerun.
+	// the page was just rendered from scratch, so it gets a new one
+	let current_navigation_index = Date.now();
+
+	// whether the current history entry was created with `pushState`/`replaceState`
+	let current_entry_is_shallow = false;
+
+	// create initial history entry, so we can return here
+	history.replaceState(
+		{
+			...without_shallow_state(history.state),
+			[INDEX_KEY]: current_history_index,
+			[NAVIGATION_INDEX_KEY]: current_navigation_index
+		},
+		'',
+		location.href
+	);
+
 	// if we reload the page, or Cmd-Shift-T back to it,
 	// recover scroll position
 	const scroll = scroll_positions[current_history_index];
@@ -153,18 +243,92 @@ export function create_client({ target, session, base, trailing_slash }) {
 	/** @type {{}} */
 	let token;
 
+	/**
+	 * Aborted when a newer navigation starts, which cancels the requests made by the current one
+	 * @type {AbortController | undefined}
+	 */
+	let navigation_controller;
+
+	/**
+	 * Stores the values captured by the `snapshot` exports of the current components
+	 * @param {number} index
+	 */
+	function capture_snapshot(index) {
+		if (components.some((component) => component?.snapshot)) {
+			snapshots[index] = components.map((component) => component?.snapshot?.capture());
+		} else {
+			delete snapshots[index];
+		}
+	}
+
+	/** @param {number} index */
+	function restore_snapshot(index) {
+		snapshots[index]?.forEach((value, i) => {
+			components[i]?.snapshot?.restore(value);
+		});
+	}
+
+	/**
+	 * Forgets the snapshots of history entries that have been replaced,
+	 * or that can no longer be reached because a new entry was pushed
+	 */
+	function clear_onward_snapshots() {
+		for (const index in snapshots) {
+			if (+index >= current_history_index) delete snapshots[index];
+		}
+	}
+
+	/** Returns a navigation index that no other history entry has */
+	function next_navigation_index() {
+		return (current_navigation_index = Math.max(Date.now(), current_navigation_index + 1));
+	}
+
+	/**
+	 * Creates or replaces a history entry without navigating, exposing `state` as `$page.state`
+	 * @param {string | URL} url
+	 * @param {App.PageState} state
+	 * @param {boolean} replace
+	 */
+	function shallow_navigate(url, state, replace) {
+		if (!replace) {
+			update_scroll_positions(current_history_index);
+			capture_snapshot(current_history_index);
+			current_history_index += 1;
+			clear_onward_snapshots();
+		}
+
+		history[replace ? 'replaceState' : 'pushState'](
+			{
+				[INDEX_KEY]: current_history_index,
+				[NAVIGATION_INDEX_KEY]: current_navigation_index,
+				// `$page.url` continues to reflect the page that is showing
+				[PAGE_URL_KEY]: page.url.href,
+				[STATES_KEY]: state
+			},
+			'',
+			hash_routing ? resolve_url(url) : new URL(url, location.href)
+		);
+
+		current_entry_is_shallow = true;
+
+		page = { ...page, state };
+		root.$set({ page });
+	}
+
 	/**
 	 * @param {string | URL} url
 	 * @param {{ noscroll?: boolean; replaceState?: boolean; keepfocus?: boolean; state?: any }} opts
 	 * @param {string[]} redirect_chain
+	 * @param {'goto' | 'form'} [type]
 	 */
 	async function goto(
 		url,
 		{ noscroll = false, replaceState = false, keepfocus = false, state = {} },
-		redirect_chain
+		redirect_chain,
+		type = 'goto'
 	) {
-		if (typeof url === 'string') {
-			url = new URL(url, get_base_uri(document));
+		if (typeof url === 'string' || hash_routing) {
+			url = resolve_url(url);
 		}
 
 		if (router_enabled) {
@@ -177,6 +341,7 @@ export function create_client({ target, session, base, trailing_slash }) {
 					state,
 					replaceState
 				},
+				type,
 				accepted: () => {},
 				blocked: () => {}
 			});
@@ -193,43 +358,166 @@ export function create_client({ target, session, base, trailing_slash }) {
 			throw new Error('Attempted to prefetch a URL that does not belong to this app');
 		}
 
-		load_cache.promise = load_route(intent);
-		load_cache.id = intent.id;
+		const cached = cache_get(load_cache, intent.id, load_cache_max_age);
+		if (cached) return cached.promise;
+
+		/** @type {import('./types').PreloadCacheEntry} */
+		const entry = {
+			promise: load_route(intent, false, never_aborted),
+			timestamp: Date.now()
+		};
+
+		entry.promise.then((result) => (entry.result = result)).catch(() => {});
+		cache_set(load_cache, intent.id, entry);
+
+		return entry.promise;
+	}
+
+	/**
+	 * Removes cached navigation results and server data that depend on something that changed
+	 * @param {(uses: import('./types').Uses) => boolean} is_stale
+	 */
+	function evict_from_caches(is_stale) {
+		for (const [id, { result }] of load_cache) {
+			// a result that is still loading may already be stale, so it goes too
+			const stale =
+				!result ||
+				(result.type === 'loaded' &&
+					result.state.branch.some(
+						(node) => node && (is_stale(node.uses) || (!!node.server && is_stale(node.server.uses)))
+					));
+
+			if (stale) load_cache.delete(id);
+		}
+
+		for (const [id, { nodes }] of server_data_cache) {
+			if (nodes.some(({ server }) => server && is_stale(server.uses))) {
+				server_data_cache.delete(id);
+			}
+		}
+	}
+
+	/**
+	 * @param {string} id
+	 * @param {Array<import('./types').BranchNode | undefined>} branch
+	 */
+	function cache_server_data(id, branch) {
+		/** @type {import('./types').ServerDataCacheEntry['nodes']} */
+		const nodes = [];
+
+		for (const node of branch) {
+			if (node) nodes.push({ loader: node.loader, server: node.server });
+		}
+
+		cache_set(server_data_cache, id, { nodes, timestamp: Date.now() });
+	}
+
+	/**
+	 * Loads the modules for the route that matches `url`, without running any `load` functions
+	 * @param {URL} url
+	 */
+	async function preload_code(url) {
+		const intent = get_navigation_intent(url);
+		if (!intent) return;
+
+		const { errors, layouts, leaf } = intent.route;
+
+		// failures are dealt with if the user actually navigates to the page
+		await Promise.all([...errors, ...layouts, leaf].map((load) => load?.().catch(() => {})));
+	}
+
+	/**
+	 * Returns the URL of a link if it points to a page in this app that can be preloaded
+	 * @param {HTMLAnchorElement | SVGAElement} a
+	 */
+	function get_preloadable_url(a) {
+		if (!a.href || a.hasAttribute('sveltekit:reload')) return;
+		if ((a.getAttribute('rel') || '').split(/\s+/).includes('external')) return;
+
+		const url = get_href(a);
+		if (get_navigation_intent(url)) return url;
+	}
+
+	/** @type {IntersectionObserver | undefined} */
+	let preload_observer;
+
+	/**
+	 * Preloads code for links marked as `eager`, and starts watching links marked as `viewport`.
+	 * Runs when the router starts, and after each navigation
+	 */
+	function setup_preload() {
+		if (preload_observer) {
+			preload_observer.disconnect();
+		} else {
+			preload_observer = new IntersectionObserver(
+				(entries, observer) => {
+					for (const entry of entries) {
+						if (entry.isIntersecting) {
+							const url = get_preloadable_url(/** @type {HTMLAnchorElement} */ (entry.target));
+							if (url) preload_code(url);
+
+							observer.unobserve(entry.target);
+						}
+					}
+				},
+				{ threshold: 0 }
+			);
+		}
+
+		for (const a of target.querySelectorAll('a')) {
+			const { preload_code: priority } = get_preload_options(a);
+			if (priority < PRELOAD_PRIORITIES.viewport) continue;
+
+			const url = get_preloadable_url(a);
+			if (!url) continue;
 
-		return load_cache.promise;
+			if (priority === PRELOAD_PRIORITIES.eager) {
+				preload_code(url);
+			} else {
+				preload_observer.observe(a);
+			}
+		}
 	}
 
 	/**
 	 * Returns `true` if update completes, `false` if it is aborted
 	 * @param {URL} url
 	 * @param {string[]} redirect_chain
-	 * @param {{hash?: string, scroll: { x: number, y: number } | null, keepfocus: boolean, details: { replaceState: boolean, state: any } | null}} [opts]
+	 * @param {{hash?: string, scroll: { x: number, y: number } | null, keepfocus: boolean, details: { replaceState: boolean, state: any } | null, navigation?: import('types').Navigation}} [opts]
 	 * @param {() => void} [callback]
 	 */
 	async function update(url, redirect_chain, opts, callback) {
 		const intent = get_navigation_intent(url);
 
 		const current_token = (token = {});
-		let navigation_result = intent && (await load_route(intent));
 
-		if (
-			!navigation_result &&
-			url.origin === location.origin &&
-			url.pathname === location.pathname
-		) {
+		navigation_controller?.abort();
+		const controller = (navigation_controller = new AbortController());
+
+		// navigations without `details` are back/forward navigations
+		const popstate = !!opts && !opts.details;
+
+		let navigation_result = intent && (await load_route(intent, popstate, controller.signal));
+
+		if (!intent && url.origin === location.origin && url.pathname === location.pathname) {
 			// this could happen in SPA fallback mode if the user navigated to
 			// `/non-existent-page`. if we fall back to reloading the page, it
 			// will create an infinite loop. so whereas we normally handle
 			// unknown routes by going to the server, in this special case
 			// we render a client-side error page instead
+			const route_url = get_route_url(url);
+
 			navigation_result = await load_root_error_page({
 				status: 404,
-				error: new Error(`Not found: ${url.pathname}`),
-				url,
+				error: new Error(`Not found: ${route_url.pathname}`),
+				url: route_url,
 				routeId: null
 			});
 		}
 
+		// abort if user navigated during update
+		if (token !== current_token) return false;
+
 		if (!navigation_result) {
 			await native_navigation(url);
 			return false; // unnecessary, but TypeScript prefers it this way
@@ -237,18 +525,16 @@ export function create_client({ target, session, base, trailing_slash }) {
 
 		// if this is an internal navigation intent, use the normalized
 		// URL for the rest of the function
-		url = intent?.url || url;
-
-		// abort if user navigated during update
-		if (token !== current_token) return false;
+		url = intent?.url || get_route_url(url);
 
 		invalidated.length = 0;
+		force_invalidation = false;
 
 		if (navigation_result.type === 'redirect') {
 			if (redirect_chain.length > 10 || redirect_chain.includes(url.pathname)) {
 				navigation_result = await load_root_error_page({
 					status: 500,
-					error: new Error('Redirect loop'),
+					error: handle_error(new Error('Redirect loop'), { params: {}, routeId: null, url }),
 					url,
 					routeId: null
 				});
@@ -264,10 +550,25 @@ export function create_client({ target, session, base, trailing_slash }) {
 
 				return false;
 			}
-		} else if (navigation_result.props?.page?.status >= 400) {
-			const updated = await stores.updated.check();
-			if (updated) {
-				await native_navigation(url);
+		}
+
+		/** @type {Array<() => void>} */
+		const cleanups = [];
+
+		if (started && opts?.navigation) {
+			// the data is ready but the page hasn't changed yet, which gives `onNavigate`
+			// callbacks a chance to e.g. start a view transition before the DOM updates
+			const navigation = /** @type {import('types').OnNavigate} */ (opts.navigation);
+			const results = await Promise.all(callbacks.on_navigate.map((fn) => fn(navigation)));
+
+			for (const result of results) {
+				if (typeof result === 'function') cleanups.push(result);
+			}
+
+			// abort if user navigated while the callbacks were running
+			if (token !== current_token) {
+				cleanups.forEach((fn) => fn());
+				return false;
 			}
 		}
 
@@ -277,7 +578,17 @@ export function create_client({ target, session, base, trailing_slash }) {
 			const { details } = opts;
 			const change = details.replaceState ? 0 : 1;
 			details.state[INDEX_KEY] = current_history_index += change;
-			history[details.replaceState ? 'replaceState' : 'pushState'](details.state, '', url);
+			details.state[NAVIGATION_INDEX_KEY] = next_navigation_index();
+			history[details.replaceState ? 'replaceState' : 'pushState'](
+				details.state,
+				'',
+				get_location_url(url)
+			);
+			current_entry_is_shallow = false;
+
+			// the initial navigation of a client-rendered app replaces the entry
+			// it was loaded in, which may have a snapshot from before a reload
+			if (started) clear_onward_snapshots();
 		}
 
 		if (started) {
@@ -285,6 +596,9 @@ export function create_client({ target, session, base, trailing_slash }) {
 
 			if (navigation_result.props.page) {
 				navigation_result.props.page.url = url;
+
+				// navigating resets `$page.state`, but rerunning `load` functions in place doesn't
+				if (!opts) navigation_result.props.page.state = page.state;
 			}
 
 			root.$set(navigation_result.props);
@@ -323,6 +637,28 @@ export function create_client({ target, session, base, trailing_slash }) {
 			// need to render the DOM before we can scroll to the rendered elements
 			await tick();
 
+			// restore state before scrolling, in case it affects the layout
+			if (popstate) restore_snapshot(current_history_index);
+
+			if (!keepfocus && focus === 'autofocus') {
+				// move focus into the new page — to an element marked with `autofocus`
+				// if there is one, otherwise to the main landmark
+				const element =
+					target.querySelector('[autofocus]') || target.querySelector('main, [role="main"]');
+
+				if (element instanceof HTMLElement || element instanceof SVGElement) {
+					if (element.tabIndex < 0 && !element.hasAttribute('tabindex')) {
+						// make the landmark focusable without adding it to the tab order
+						element.tabIndex = -1;
+						element.addEventListener('blur', () => element.removeAttribute('tabindex'), {
+							once: true
+						});
+					}
+
+					element.focus({ preventScroll: true });
+				}
+			}
+
 			if (autoscroll) {
 				const deep_linked = url.hash && document.getElementById(url.hash.slice(1));
 				if (scroll) {
@@ -341,8 +677,8 @@ export function create_client({ target, session, base, trailing_slash }) {
 			await tick();
 		}
 
-		load_cache.promise = null;
-		load_cache.id = null;
+		// a preloaded result is only used once
+		if (intent) load_cache.delete(intent.id);
 		autoscroll = true;
 
 		if (navigation_result.props.page) {
@@ -352,8 +688,12 @@ export function create_client({ target, session, base, trailing_slash }) {
 		const leaf_node = navigation_result.state.branch.at(-1);
 		router_enabled = leaf_node?.node.shared?.router !== false;
 
+		if (router_enabled) setup_preload();
+
 		if (callback) callback();
 
+		cleanups.forEach((fn) => fn());
+
 		updating = false;
 	}
 
@@ -368,12 +708,27 @@ export function create_client({ target, session, base, trailing_slash }) {
 
 		root = new Root({
 			target,
-			props: { ...result.props, stores },
+			props: { ...result.props, stores, components },
 			hydrate: true
 		});
 
+		// if the page was reloaded, pick up where the user left off
+		restore_snapshot(current_history_index);
+
 		if (router_enabled) {
-			const navigation = { from: null, to: new URL(location.href) };
+			/** @type {import('types').AfterNavigate} */
+			const navigation = {
+				from: null,
+				to: {
+					params: current.params,
+					routeId: page.routeId,
+					url: get_route_url(new URL(location.href))
+				},
+				type: 'enter',
+				willUnload: false,
+				complete: Promise.resolve()
+			};
+
 			callbacks.after_navigate.forEach((fn) => fn(navigation));
 		}
 
@@ -387,8 +742,9 @@ export function create_client({ target, session, base, trailing_slash }) {
 	 *   params: Record<string, string>;
 	 *   branch: Array<import('./types').BranchNode | undefined>;
 	 *   status: number;
-	 *   error: HttpError | Error | null;
+	 *   error: HttpError | Error | App.Error | null;
 	 *   routeId: string | null;
+	 *   form?: Record<string, any> | null;
 	 * }} opts
 	 */
 	async function get_navigation_result_from_branch({
@@ -397,7 +753,8 @@ export function create_client({ target, session, base, trailing_slash }) {
 		branch,
 		status,
 		error,
-		routeId
+		routeId,
+		form = null
 	}) {
 		const filtered = /** @type {import('./types').BranchNode[] } */ (branch.filter(Boolean));
 
@@ -412,7 +769,9 @@ export function create_client({ target, session, base, trailing_slash }) {
 				session_id
 			},
 			props: {
-				components: filtered.map((branch_node) => branch_node.node.component)
+				constructors: filtered.map((branch_node) => branch_node.node.component),
+				form,
+				errors: form?.errors
 			}
 		};
 
@@ -428,10 +787,15 @@ export function create_client({ target, session, base, trailing_slash }) {
 		}
 
 		const page_changed =
-			!current.url || url.href !== current.url.href || current.error !== error || data_changed;
+			!current.url ||
+			url.href !== current.url.href ||
+			current.error !== error ||
+			page.form !== form ||
+			Object.keys(page.state).length > 0 ||
+			data_changed;
 
 		if (page_changed) {
-			result.props.page = { error, params, routeId, status, url, data };
+			result.props.page = { error, params, routeId, status, url, data, form, state: {} };
 
 			// TODO remove this for 1.0
 			/**
@@ -456,26 +820,34 @@ export function create_client({ target, session, base, trailing_slash }) {
 
 	/**
 	 * Call the load function of the given node, if it exists.
-	 * If `server_data` is passed, this is treated as the initial run and the page endpoint is not requested.
+	 * `server_data_node` is the result of the node's server `load` function, if it has one.
 	 *
 	 * @param {{
+	 *   loader: import('types').CSRPageNodeLoader;
 	 *   node: import('types').CSRPageNode;
 	 * 	 parent: () => Promise<Record<string, any>>;
 	 *   url: URL;
 	 *   params: Record<string, string>;
 	 *   routeId: string | null;
-	 * 	 server_data: import('types').JSONObject | null;
+	 * 	 server_data_node: import('./types').ServerData | null;
+	 *   signal: AbortSignal;
 	 * }} options
 	 * @returns {Promise<import('./types').BranchNode>}
 	 */
-	async function load_node({ node, parent, url, params, routeId, server_data }) {
-		const uses = {
-			params: new Set(),
-			url: false,
-			session: false,
-			dependencies: new Set(),
-			parent: false
-		};
+	async function load_node({
+		loader,
+		node,
+		parent,
+		url,
+		params,
+		routeId,
+		server_data_node,
+		signal
+	}) {
+		/** @type {import('./types').Uses} */
+		const uses = create_uses();
+
+		const server_data = server_data_node?.data ?? null;
 
 		/** @param {string[]} deps */
 		function depends(...deps) {
@@ -488,14 +860,6 @@ export function create_client({ target, session, base, trailing_slash }) {
 		/** @type {Record<string, any> | null} */
 		let data = null;
 
-		if (node.server) {
-			// +page|layout.server.js data means we need to mark this URL as a dependency of itself,
-			// unless we want to get clever with usage detection on the server, which could
-			// be returned to the client either as payload or custom headers
-			uses.dependencies.add(url.href);
-			uses.url = true;
-		}
-
 		/** @type {Record<string, string>} */
 		const uses_params = {};
 		for (const key in params) {
@@ -517,6 +881,7 @@ export function create_client({ target, session, base, trailing_slash }) {
 				routeId,
 				params: uses_params,
 				data: server_data,
+				signal,
 				get url() {
 					uses.url = true;
 					return load_url;
@@ -557,6 +922,13 @@ export function create_client({ target, session, base, trailing_slash }) {
 						};
 					}
 
+					// requests stop when the navigation is superseded, as well as
+					// when a signal passed in by the `load` function is aborted
+					init = {
+						...init,
+						signal: init?.signal ? combine_signals(signal, init.signal) : signal
+					};
+
 					// we must fixup relative urls so they are resolved from the target page
 					const normalized = new URL(requested, url).href;
 					depends(normalized);
@@ -598,20 +970,51 @@ export function create_client({ target, session, base, trailing_slash }) {
 		}
 
 		return {
+			loader,
 			node,
+			server: server_data_node,
 			data: data || server_data,
 			uses
 		};
 	}
 
+	/**
+	 * Whether a `load` function with the given `uses` needs to rerun
+	 * @param {{ url: boolean, params: string[], session: boolean } | null} changed
+	 * @param {boolean} parent_changed
+	 * @param {import('./types').Uses} uses
+	 */
+	function has_changed(changed, parent_changed, uses) {
+		if (!changed || force_invalidation) return true;
+
+		if (uses.parent && parent_changed) return true;
+		if (changed.url && uses.url) return true;
+		if (changed.session && uses.session) return true;
+
+		for (const param of changed.params) {
+			if (uses.params.has(param)) return true;
+		}
+
+		for (const dep of uses.dependencies) {
+			if (invalidated.some((fn) => fn(dep))) return true;
+		}
+
+		return false;
+	}
+
 	/**
 	 * @param {import('./types').NavigationIntent} intent
+	 * @param {boolean} reuse_server_data Whether to use cached server data for the page, if it hasn't expired
+	 * @param {AbortSignal} signal Aborted if the navigation is superseded, in which case the result is discarded
 	 * @returns {Promise<import('./types').NavigationResult | undefined>}
 	 */
-	async function load_route({ id, url, params, route }) {
-		if (load_cache.id === id && load_cache.promise) {
-			return load_cache.promise;
-		}
+	async function load_route({ id, url, params, route }, reuse_server_data, signal) {
+		const preloaded = cache_get(load_cache, id, load_cache_max_age);
+		if (preloaded) return preloaded.promise;
+
+		const cached = reuse_server_data
+			? cache_get(server_data_cache, id, load_cache_max_age)
+			: undefined;
 
 		const { errors, layouts, leaf } = route;
 
@@ -628,7 +1031,30 @@ export function create_client({ target, session, base, trailing_slash }) {
 
 		const nodes = [...layouts, leaf];
 
-		// To avoid waterfalls when someone awaits a parent, compute as much as possible here already
+		// To avoid waterfalls when someone awaits a parent, compute as much as possible here already.
+		// Server `load` functions are tracked separately, so that we only request data for the
+		// nodes whose server data is invalid — the rest can be reused from the previous navigation
+		let server_parent_changed = false;
+
+		/** @type {Array<import('./types').ServerData | null | undefined>} */
+		const cached_server_data = nodes.map(
+			(loader) => loader && cached?.nodes.find((node) => node.loader === loader)?.server
+		);
+
+		/** @type {boolean[]} */
+		const invalid_server_nodes = nodes.map((loader, i) => {
+			const previous = current.branch[i];
+
+			const invalid =
+				!!loader &&
+				cached_server_data[i] === undefined &&
+				(previous?.loader !== loader ||
+					(!!previous.server && has_changed(changed, server_parent_changed, previous.server.uses)));
+
+			if (invalid) server_parent_changed = true;
+			return invalid;
+		});
+
 		/** @type {boolean[]} */
 		const nodes_changed_since_last_render = [];
 		for (let i = 0; i < nodes.length; i++) {
@@ -637,12 +1063,10 @@ export function create_client({ target, session, base, trailing_slash }) {
 			} else {
 				const previous = current.branch[i];
 				const changed_since_last_render =
+					invalid_server_nodes[i] ||
 					!previous ||
-					(changed.url && previous.uses.url) ||
-					changed.params.some((param) => previous.uses.params.has(param)) ||
-					(changed.session && previous.uses.session) ||
-					Array.from(previous.uses.dependencies).some((dep) => invalidated.some((fn) => fn(dep))) ||
-					(previous.uses.parent && nodes_changed_since_last_render.includes(true));
+					(cached_server_data[i] !== undefined && cached_server_data[i] !== previous.server) ||
+					has_changed(changed, nodes_changed_since_last_render.includes(true), previous.uses);
 				nodes_changed_since_last_render.push(changed_since_last_render);
 			}
 		}
@@ -650,22 +1074,36 @@ export function create_client({ target, session, base, trailing_slash }) {
 		/** @type {import('./types').ServerDataPayload | null} */
 		let server_data_payload = null;
 
-		if (route.uses_server_data) {
-			try {
-				const res = await native_fetch(
-					`${url.pathname}${url.pathname.endsWith('/') ? '' : '/'}__data.json${url.search}`
-				);
+		/**
+		 * Set if the server data couldn't be loaded, in which case the first node that needs
+		 * it fails with this error, so that the nearest `+error.svelte` is rendered
+		 * @type {{ status: number; error: unknown } | null}
+		 */
+		let server_data_failure = null;
+
+		// set if one of the route's modules couldn't be imported
+		let failed_import = false;
+
+		if (route.uses_server_data && invalid_server_nodes.some(Boolean)) {
+			// with hash-based routing, the route doesn't include the base path, but the server's URLs do
+			const pathname = hash_routing ? base + url.pathname : url.pathname;
+			const data_url = new URL(
+				`${pathname}${pathname.endsWith('/') ? '' : '/'}__data.json${url.search}`,
+				url
+			);
+			data_url.searchParams.set(
+				INVALIDATED_PARAM,
+				invalid_server_nodes.map((invalid) => (invalid ? '1' : '0')).join('')
+			);
 
-				server_data_payload = /** @type {import('./types').ServerDataPayload} */ (await res.json());
-
-				if (!res.ok) {
-					throw server_data_payload;
-				}
+			try {
+				server_data_payload = await fetch_server_data(data_url, signal);
 			} catch (e) {
-				throw new Error('TODO render fallback error page');
+				if (signal.aborted) return;
+				server_data_failure = /** @type {{ status: number; error: unknown }} */ (e);
 			}
 
-			if (server_data_payload.type === 'redirect') {
+			if (server_data_payload?.type === 'redirect') {
 				return server_data_payload;
 			}
 		}
@@ -675,7 +1113,10 @@ export function create_client({ target, session, base, trailing_slash }) {
 		const branch_promises = nodes.map(async (loader, i) => {
 			return Promise.resolve().then(async () => {
 				if (!loader) return;
-				const node = await loader();
+				const node = await loader().catch((e) => {
+					failed_import = true;
+					throw e;
+				});
 
 				/** @type {import('./types').BranchNode | undefined} */
 				const previous = current.branch[i];
@@ -683,21 +1124,42 @@ export function create_client({ target, session, base, trailing_slash }) {
 					nodes_changed_since_last_render[i] || !previous || node !== previous.node;
 
 				if (changed_since_last_render) {
+					if (server_data_failure && invalid_server_nodes[i]) {
+						throw server_data_failure.error;
+					}
+
 					const payload = server_data_nodes?.[i];
 
-					if (payload?.status) {
+					if (payload && 'status' in payload) {
 						throw error(payload.status, payload.message);
 					}
 
-					if (payload?.error) {
+					if (payload && 'error' in payload) {
+						server_errors.add(payload.error);
 						throw payload.error;
 					}
 
+					/** @type {import('./types').ServerData | null} */
+					let server_data_node = null;
+
+					if (payload?.type === 'data') {
+						server_data_node = { data: payload.data, uses: deserialize_uses(payload.uses) };
+					} else if (cached_server_data[i] !== undefined) {
+						server_data_node = /** @type {import('./types').ServerData | null} */ (
+							cached_server_data[i]
+						);
+					} else if (previous?.loader === loader && !invalid_server_nodes[i]) {
+						// the server data is still valid, but the universal `load` needs to rerun
+						server_data_node = previous.server;
+					}
+
 					return await load_node({
+						loader,
 						node,
 						url,
 						params,
 						routeId: route.id,
+						signal,
 						parent: async () => {
 							const data = {};
 							for (let j = 0; j < i; j += 1) {
@@ -705,7 +1167,7 @@ export function create_client({ target, session, base, trailing_slash }) {
 							}
 							return data;
 						},
-						server_data: payload?.data ?? null
+						server_data_node
 					});
 				} else {
 					return previous;
@@ -733,47 +1195,31 @@ export function create_client({ target, session, base, trailing_slash }) {
 						};
 					}
 
-					const status = e instanceof HttpError ? e.status : 500;
-
-					while (i--) {
-						if (errors[i]) {
-							/** @type {import('./types').BranchNode | undefined} */
-							let error_loaded;
-
-							let j = i;
-							while (!branch[j]) j -= 1;
-
-							try {
-								error_loaded = {
-									node: await errors[i](),
-									data: {},
-									uses: {
-										params: new Set(),
-										url: false,
-										session: false,
-										dependencies: new Set(),
-										parent: false
-									}
-								};
-
-								return await get_navigation_result_from_branch({
-									url,
-									params,
-									branch: branch.slice(0, j + 1).concat(error_loaded),
-									status,
-									error,
-									routeId: route.id
-								});
-							} catch (e) {
-								continue;
-							}
-						}
-					}
+					// the error is most likely a consequence of the navigation being
+					// superseded, in which case the result is discarded anyway
+					if (signal.aborted) return;
+
+					const data_failed = !!server_data_failure && e === server_data_failure.error;
+
+					// a module that can't be imported, or data that can't be loaded, has usually been
+					// removed by a new deployment, in which case returning nothing makes `update` fall
+					// back to a full page load. `update` ignores the result if the navigation is stale
+					if ((failed_import || data_failed) && (await has_new_version())) return;
 
-					return await load_root_error_page({
+					const status = data_failed
+						? /** @type {{ status: number }} */ (server_data_failure).status
+						: e instanceof HttpError
+						? e.status
+						: 500;
+
+					return await load_nearest_error_page({
+						i,
+						branch,
+						errors,
 						status,
-						error,
+						error: handle_error(error, { params, routeId: route.id, url }),
 						url,
+						params,
 						routeId: route.id
 					});
 				}
@@ -784,6 +1230,9 @@ export function create_client({ target, session, base, trailing_slash }) {
 			}
 		}
 
+		// reused data keeps its original expiry time
+		if (!cached) cache_server_data(id, branch);
+
 		return await get_navigation_result_from_branch({
 			url,
 			params,
@@ -795,9 +1244,67 @@ export function create_client({ target, session, base, trailing_slash }) {
 	}
 
 	/**
+	 * Renders the closest `+error.svelte` above the node at index `i`,
+	 * falling back to the root error page
 	 * @param {{
+	 *   i: number;
+	 *   branch: Array<import('./types').BranchNode | undefined>;
+	 *   errors: Array<import('types').CSRPageNodeLoader | undefined>;
 	 *   status: number;
-	 *   error: HttpError | Error;
+	 *   error: HttpError | Error | App.Error;
+	 *   url: URL;
+	 *   params: Record<string, string>;
+	 *   routeId: string | null;
+	 * }} opts
+	 */
+	async function load_nearest_error_page({
+		i,
+		branch,
+		errors,
+		status,
+		error,
+		url,
+		params,
+		routeId
+	}) {
+		while (i--) {
+			const loader = errors[i];
+
+			if (loader) {
+				let j = i;
+				while (!branch[j]) j -= 1;
+
+				try {
+					/** @type {import('./types').BranchNode} */
+					const error_loaded = {
+						loader,
+						node: await loader(),
+						server: null,
+						data: {},
+						uses: create_uses()
+					};
+
+					return await get_navigation_result_from_branch({
+						url,
+						params,
+						branch: branch.slice(0, j + 1).concat(error_loaded),
+						status,
+						error,
+						routeId
+					});
+				} catch (e) {
+					continue;
+				}
+			}
+		}
+
+		return await load_root_error_page({ status, error, url, routeId });
+	}
+
+	/**
+	 * @param {{
+	 *   status: number;
+	 *   error: HttpError | Error | App.Error;
 	 *   url: URL;
 	 *   routeId: string | null
 	 * }} opts
@@ -807,25 +1314,24 @@ export function create_client({ target, session, base, trailing_slash }) {
 		const params = {}; // error page does not have params
 
 		const root_layout = await load_node({
+			loader: nodes[0],
 			node: await default_layout,
 			url,
 			params,
 			routeId,
 			parent: () => Promise.resolve({}),
-			server_data: null // TODO!!!!!
+			server_data_node: null, // TODO!!!!!
+			signal: never_aborted
 		});
 
+		/** @type {import('./types').BranchNode} */
 		const root_error = {
+			loader: nodes[1],
 			node: await default_error,
+			server: null,
 			data: null,
 			// TODO make this unnecessary
-			uses: {
-				params: new Set(),
-				url: false,
-				session: false,
-				dependencies: new Set(),
-				parent: false
-			}
+			uses: create_uses()
 		};
 
 		return await get_navigation_result_from_branch({
@@ -838,11 +1344,71 @@ export function create_client({ target, session, base, trailing_slash }) {
 		});
 	}
 
-	/** @param {URL} url */
+	/**
+	 * Returns the URL of the route that a URL in the address bar points to. With hash-based
+	 * routing, that's whatever follows the `#`, so `/#/blog/post` becomes `/blog/post`
+	 * @param {URL} url
+	 */
+	function get_route_url(url) {
+		if (!hash_routing || url.origin !== location.origin) return url;
+		return new URL(url.hash.startsWith('#/') ? url.hash.slice(1) : '/', url.origin);
+	}
+
+	/**
+	 * Scrolls to the element that a fragment identifies, or to the top of the page
+	 * for an empty fragment or `#top`, as browsers do
+	 * @param {string} fragment
+	 */
+	function scroll_to_fragment(fragment) {
+		const id = decodeURIComponent(fragment);
+		const element = id && document.getElementById(id);
+
+		if (element) {
+			element.scrollIntoView();
+		} else if (id === '' || id.toLowerCase() === 'top') {
+			scrollTo(0, 0);
+		}
+	}
+
+	/**
+	 * The reverse of `get_route_url` — returns the URL that should be in the address bar for a route
+	 * @param {URL} url
+	 */
+	function get_location_url(url) {
+		if (!hash_routing || url.origin !== location.origin) return url;
+		return new URL(`#${url.pathname}${url.search}${url.hash}`, location.href);
+	}
+
+	/**
+	 * Resolves a URL passed to `goto` and friends. With hash-based routing, anything other
+	 * than the current document is treated as a route, so `goto('/blog')` goes to `/#/blog`
+	 * @param {string | URL} url
+	 */
+	function resolve_url(url) {
+		if (!hash_routing) return new URL(url, get_base_uri(document));
+
+		const resolved = new URL(url, location.href);
+		if (resolved.href.split('#')[0] === location.href.split('#')[0]) return resolved;
+
+		return get_location_url(new URL(url, get_route_url(new URL(location.href))));
+	}
+
+	/**
+	 * @param {URL} url The URL in the address bar, which with hash-based routing contains the route in its hash
+	 */
 	function get_navigation_intent(url) {
-		if (url.origin !== location.origin || !url.pathname.startsWith(base)) return;
+		if (url.origin !== location.origin) return;
+
+		if (hash_routing) {
+			// other documents aren't part of the app
+			if (url.pathname !== location.pathname) return;
+			url = get_route_url(url);
+		} else if (!url.pathname.startsWith(base)) {
+			return;
+		}
 
-		const path = decodeURI(url.pathname.slice(base.length) || '/');
+		// routes in the hash don't include the base path
+		const path = decodeURI(url.pathname.slice(hash_routing ? 0 : base.length) || '/');
 
 		for (const route of routes) {
 			const params = route.exec(path);
@@ -859,6 +1425,66 @@ export function create_client({ target, session, base, trailing_slash }) {
 		}
 	}
 
+	/**
+	 * Creates the object that describes a navigation to `beforeNavigate` and `afterNavigate`
+	 * callbacks and the `navigating` store, along with the functions that settle its `complete` promise
+	 * @param {URL | null} url
+	 * @param {import('types').NavigationType} type
+	 * @param {number} [delta]
+	 */
+	function create_navigation(url, type, delta) {
+		/** @type {{ fulfil: () => void, reject: (error: Error) => void }} */
+		const settle = { fulfil: () => {}, reject: () => {} };
+
+		/** @type {Promise<void>} */
+		const complete = new Promise((fulfil, reject) => {
+			settle.fulfil = fulfil;
+			settle.reject = reject;
+		});
+
+		// don't report a rejection as unhandled if nobody is waiting for the navigation
+		complete.catch(() => {});
+
+		const intent = url && get_navigation_intent(url);
+
+		/** @type {import('types').Navigation} */
+		const navigation = {
+			from: current.url
+				? { params: current.params, routeId: page.routeId, url: current.url }
+				: null,
+			to: url && {
+				params: intent?.params ?? null,
+				routeId: intent?.route.id ?? null,
+				url: get_route_url(url)
+			},
+			type,
+			willUnload: !intent,
+			complete
+		};
+
+		if (delta !== undefined) navigation.delta = delta;
+
+		return { navigation, ...settle };
+	}
+
+	/**
+	 * Calls the `beforeNavigate` callbacks, and returns `true` if one of them cancelled the navigation
+	 * @param {import('types').Navigation} navigation
+	 */
+	function before_navigate(navigation) {
+		let should_block = false;
+
+		/** @type {import('types').BeforeNavigate} */
+		const before_navigation = {
+			...navigation,
+			cancel: () => (should_block = true)
+		};
+
+		callbacks.before_navigate.forEach((fn) => fn(before_navigation));
+
+		return should_block;
+	}
+
 	/**
 	 * @param {{
 	 *   url: URL;
@@ -869,53 +1495,64 @@ export function create_client({ target, session, base, trailing_slash }) {
 	 *     replaceState: boolean;
 	 *     state: any;
 	 *   } | null;
+	 *   type: 'link' | 'goto' | 'form' | 'popstate';
+	 *   delta?: number;
 	 *   accepted: () => void;
 	 *   blocked: () => void;
 	 * }} opts
 	 */
-	async function navigate({ url, scroll, keepfocus, redirect_chain, details, accepted, blocked }) {
-		const from = current.url;
-		let should_block = false;
-
-		const navigation = {
-			from,
-			to: url,
-			cancel: () => (should_block = true)
-		};
-
-		callbacks.before_navigate.forEach((fn) => fn(navigation));
+	async function navigate({
+		url,
+		scroll,
+		keepfocus,
+		redirect_chain,
+		details,
+		type,
+		delta,
+		accepted,
+		blocked
+	}) {
+		const { navigation, fulfil, reject } = create_navigation(url, type, delta);
 
-		if (should_block) {
+		if (before_navigate(navigation)) {
+			reject(new Error('Navigation was cancelled'));
 			blocked();
 			return;
 		}
 
 		update_scroll_positions(current_history_index);
+		capture_snapshot(current_history_index);
 
 		accepted();
 
 		if (started) {
-			stores.navigating.set({
-				from: current.url,
-				to: url
-			});
+			stores.navigating.set(navigation);
 		}
 
+		let completed = false;
+
 		await update(
 			url,
 			redirect_chain,
 			{
 				scroll,
 				keepfocus,
-				details
+				details,
+				navigation
 			},
 			() => {
-				const navigation = { from, to: url };
-				callbacks.after_navigate.forEach((fn) => fn(navigation));
+				completed = true;
+
+				const after_navigation = /** @type {import('types').AfterNavigate} */ (navigation);
+				callbacks.after_navigate.forEach((fn) => fn(after_navigation));
 
 				stores.navigating.set(null);
+				fulfil();
 			}
 		);
+
+		// the update was superseded by another navigation, or redirected elsewhere
+		if (!completed) reject(new Error('Navigation was aborted'));
 	}
 
 	/**
@@ -925,10 +1562,28 @@ export function create_client({ target, session, base, trailing_slash }) {
 	 * @param {URL} url
 	 */
 	function native_navigation(url) {
+		// with hash-based routing, the URL may only differ from the current one by its hash,
+		// in which case changing it doesn't reload the page
+		const same_document = url.href.split('#')[0] === location.href.split('#')[0];
+
 		location.href = url.href;
+		if (hash_routing && same_document) location.reload();
+
 		return new Promise(() => {});
 	}
 
+	/**
+	 * Whether a newer version of the app has been deployed since this one was loaded.
+	 * The version check can itself fail, for example if the user is offline
+	 */
+	async function has_new_version() {
+		try {
+			return await stores.updated.check();
+		} catch {
+			return false;
+		}
+	}
+
 	if (import.meta.hot) {
 		import.meta.hot.on('vite:beforeUpdate', () => {
 			if (current.error) location.reload();
@@ -958,6 +1613,17 @@ export function create_client({ target, session, base, trailing_slash }) {
 			});
 		},
 
+		on_navigate: (fn) => {
+			onMount(() => {
+				callbacks.on_navigate.push(fn);
+
+				return () => {
+					const i = callbacks.on_navigate.indexOf(fn);
+					callbacks.on_navigate.splice(i, 1);
+				};
+			});
+		},
+
 		disable_scroll_handling: () => {
 			if (import.meta.env.DEV && started && !updating) {
 				throw new Error('Can only disable scroll handling during navigation');
@@ -970,18 +1636,29 @@ export function create_client({ target, session, base, trailing_slash }) {
 
 		goto: (href, opts = {}) => goto(href, opts, []),
 
+		push_state: (url, state) => shallow_navigate(url, state, false),
+
+		replace_state: (url, state) => shallow_navigate(url, state, true),
+
 		invalidate: (resource) => {
 			if (resource === undefined) {
 				// Force rerun of all load functions, regardless of their dependencies
-				for (const node of current.branch) {
-					node?.uses.dependencies.add('');
-				}
-				invalidated.push(() => true);
-			} else if (typeof resource === 'function') {
-				invalidated.push(resource);
+				force_invalidation = true;
+				load_cache.clear();
+				server_data_cache.clear();
 			} else {
-				const { href } = new URL(resource, location.href);
-				invalidated.push((dep) => dep === href);
+				/** @type {(href: string) => boolean} */
+				let fn;
+
+				if (typeof resource === 'function') {
+					fn = resource;
+				} else {
+					const { href } = new URL(resource, location.href);
+					fn = (dep) => dep === href;
+				}
+
+				invalidated.push(fn);
+				evict_from_caches((uses) => Array.from(uses.dependencies).some(fn));
 			}
 
 			if (!invalidating) {
@@ -996,8 +1673,52 @@ export function create_client({ target, session, base, trailing_slash }) {
 		},
 
 		prefetch: async (href) => {
-			const url = new URL(href, get_base_uri(document));
-			await prefetch(url);
+			await prefetch(resolve_url(href));
+		},
+
+		apply_action: async (result) => {
+			if (result.type === 'error') {
+				const intent = get_navigation_intent(new URL(location.href));
+				const url = get_route_url(new URL(location.href));
+
+				// errors serialized by the server have already been through its `handleError` hook,
+				// but those created in the browser (e.g. because the request failed) haven't
+				const error =
+					result.error instanceof Error
+						? handle_error(result.error, { params: current.params, routeId: page.routeId, url })
+						: deserialize_error(result.error);
+				const status = error instanceof HttpError ? error.status : 500;
+
+				const navigation_result = intent
+					? await load_nearest_error_page({
+							i: intent.route.layouts.length,
+							branch: current.branch,
+							errors: intent.route.errors,
+							status,
+							error,
+							url,
+							params: current.params,
+							routeId: intent.route.id
+					  })
+					: await load_root_error_page({ status, error, url, routeId: null });
+
+				current = navigation_result.state;
+				if (navigation_result.props.page) {
+					page = navigation_result.props.page;
+				}
+				root.$set(navigation_result.props);
+
+				await tick();
+			} else if (result.type === 'redirect') {
+				await goto(result.location, {}, [], 'form');
+			} else {
+				const form = result.data ?? null;
+
+				page = { ...page, form, status: result.status };
+				root.$set({ form, errors: form?.errors, page });
+
+				await tick();
+			}
 		},
 
 		// TODO rethink this API
@@ -1013,6 +1734,10 @@ export function create_client({ target, session, base, trailing_slash }) {
 			await Promise.all(promises);
 		},
 
+		_handle_error: (error) => {
+			handle_error(error, { params: current.params, routeId: page.routeId, url: current.url });
+		},
+
 		_start_router: () => {
 			history.scrollRestoration = 'manual';
 
@@ -1021,17 +1746,9 @@ export function create_client({ target, session, base, trailing_slash }) {
 			// and back-navigation from other pages to use the browser to restore the
 			// scrolling position.
 			addEventListener('beforeunload', (e) => {
-				let should_block = false;
-
-				const navigation = {
-					from: current.url,
-					to: null,
-					cancel: () => (should_block = true)
-				};
-
-				callbacks.before_navigate.forEach((fn) => fn(navigation));
+				const { navigation } = create_navigation(null, 'leave');
 
-				if (should_block) {
+				if (before_navigate(navigation)) {
 					e.preventDefault();
 					e.returnValue = '';
 				} else {
@@ -1042,20 +1759,38 @@ export function create_client({ target, session, base, trailing_slash }) {
 			addEventListener('visibilitychange', () => {
 				if (document.visibilityState === 'hidden') {
 					update_scroll_positions(current_history_index);
+					capture_snapshot(current_history_index);
 
 					try {
 						sessionStorage[SCROLL_KEY] = JSON.stringify(scroll_positions);
+						sessionStorage[SNAPSHOT_KEY] = JSON.stringify(snapshots);
 					} catch {
 						// do nothing
 					}
 				}
 			});
 
-			/** @param {Event} event */
-			const trigger_prefetch = (event) => {
+			/**
+			 * Preloads the data and code for a link, or just its code, depending on
+			 * which of its preload strategies `priority` satisfies
+			 * @param {Event} event
+			 * @param {number} priority
+			 */
+			const trigger_preload = (event, priority) => {
+				if (!router_enabled) return;
+
 				const a = find_anchor(event);
-				if (a && a.href && a.hasAttribute('sveltekit:prefetch')) {
-					prefetch(get_href(a));
+				if (!a) return;
+
+				const url = get_preloadable_url(a);
+				if (!url) return;
+
+				const options = get_preload_options(a);
+
+				if (options.preload_data >= priority) {
+					prefetch(url);
+				} else if (options.preload_code >= priority) {
+					preload_code(url);
 				}
 			};
 
@@ -1074,9 +1809,17 @@ export function create_client({ target, session, base, trailing_slash }) {
 				}, 20);
 			};
 
-			addEventListener('touchstart', trigger_prefetch);
+			/** @param {Event} event */
+			const handle_tap = (event) => trigger_preload(event, PRELOAD_PRIORITIES.tap);
+
+			addEventListener('touchstart', handle_tap, { passive: true });
+			addEventListener('mousedown', handle_tap);
 			addEventListener('mousemove', handle_mousemove);
-			addEventListener('sveltekit:trigger_prefetch', trigger_prefetch);
+			addEventListener('sveltekit:trigger_prefetch', (event) =>
+				trigger_preload(event, PRELOAD_PRIORITIES.hover)
+			);
+
+			setup_preload();
 
 			/** @param {MouseEvent} event */
 			addEventListener('click', (event) => {
@@ -1124,16 +1867,38 @@ export function create_client({ target, session, base, trailing_slash }) {
 				// Removing the hash does a full page navigation in the browser, so make sure a hash is present
 				const [base, hash] = url.href.split('#');
 				if (hash !== undefined && base === location.href.split('#')[0]) {
-					// set this flag to distinguish between navigations triggered by
-					// clicking a hash link and those triggered by popstate
-					hash_navigating = true;
+					if (!hash_routing) {
+						// set this flag to distinguish between navigations triggered by
+						// clicking a hash link and those triggered by popstate
+						hash_navigating = true;
 
-					update_scroll_positions(current_history_index);
+						update_scroll_positions(current_history_index);
 
-					stores.page.set({ ...page, url });
-					stores.page.notify();
+						stores.page.set({ ...page, url });
+						stores.page.notify();
 
-					return;
+						return;
+					}
+
+					// With hash-based routing, hashes starting with `/` are routes. Anything else is a
+					// fragment of the current route, so `#section` becomes `#/route#section` — the
+					// browser can't find the element by itself, so we scroll to it
+					if (!hash.startsWith('/')) {
+						event.preventDefault();
+						hash_navigating = true;
+
+						update_scroll_positions(current_history_index);
+
+						const route_url = get_route_url(new URL(location.href));
+						route_url.hash = hash;
+						location.href = get_location_url(route_url).href;
+						scroll_to_fragment(hash);
+
+						stores.page.set({ ...page, url: route_url });
+						stores.page.notify();
+
+						return;
+					}
 				}
 
 				navigate({
@@ -1145,6 +1910,7 @@ export function create_client({ target, session, base, trailing_slash }) {
 						state: {},
 						replaceState: url.href === location.href
 					},
+					type: 'link',
 					accepted: () => event.preventDefault(),
 					blocked: () => event.preventDefault()
 				});
@@ -1156,14 +1922,51 @@ export function create_client({ target, session, base, trailing_slash }) {
 					// with history.go, which means we end up back here, hence this check
 					if (event.state[INDEX_KEY] === current_history_index) return;
 
+					// moving to or from an entry created with `pushState`/`replaceState` on the page
+					// that is currently showing only changes `$page.state` — nothing needs to load
+					if (
+						event.state[NAVIGATION_INDEX_KEY] === current_navigation_index &&
+						(current_entry_is_shallow || STATES_KEY in event.state)
+					) {
+						update_scroll_positions(current_history_index);
+						current_history_index = event.state[INDEX_KEY];
+						current_entry_is_shallow = STATES_KEY in event.state;
+
+						const scroll = scroll_positions[current_history_index];
+						if (scroll) scrollTo(scroll.x, scroll.y);
+
+						page = {
+							...page,
+							url: new URL(event.state[PAGE_URL_KEY] ?? get_route_url(new URL(location.href))),
+							state: event.state[STATES_KEY] ?? {}
+						};
+						root.$set({ page });
+
+						return;
+					}
+
 					navigate({
 						url: new URL(location.href),
 						scroll: scroll_positions[event.state[INDEX_KEY]],
 						keepfocus: false,
 						redirect_chain: [],
 						details: null,
+						type: 'popstate',
+						delta: event.state[INDEX_KEY] - current_history_index,
 						accepted: () => {
 							current_history_index = event.state[INDEX_KEY];
+							current_entry_is_shallow = false;
+
+							// the page is loaded from scratch, so other entries that share the
+							// navigation index of this one can no longer reuse it
+							history.replaceState(
+								{
+									...without_shallow_state(history.state),
+									[NAVIGATION_INDEX_KEY]: next_navigation_index()
+								},
+								'',
+								location.href
+							);
 						},
 						blocked: () => {
 							const delta = current_history_index - event.state[INDEX_KEY];
@@ -1183,6 +1986,39 @@ export function create_client({ target, session, base, trailing_slash }) {
 						'',
 						location.href
 					);
+				} else if (hash_routing && !location.hash.startsWith('#/') && location.hash.length > 1) {
+					// a fragment was navigated to without a link, e.g. by editing the address bar —
+					// it belongs to the current route, so `#section` becomes `#/route#section`
+					const route_url = new URL(page.url);
+					route_url.hash = location.hash;
+
+					history.replaceState(
+						{ ...history.state, [INDEX_KEY]: ++current_history_index },
+						'',
+						get_location_url(route_url)
+					);
+
+					stores.page.set({ ...page, url: route_url });
+					stores.page.notify();
+				} else if (hash_routing && !history.state?.[INDEX_KEY]) {
+					// the route was changed in the address bar, which creates a history entry
+					// that we know nothing about — load the route and take the entry over
+					navigate({
+						url: new URL(location.href),
+						scroll: null,
+						keepfocus: false,
+						redirect_chain: [],
+						details: {
+							state: {},
+							replaceState: true
+						},
+						// like back/forward navigation, this wasn't started by the app
+						type: 'popstate',
+						accepted: () => {
+							current_history_index += 1;
+						},
+						blocked: () => history.back()
+					});
 				}
 			});
 
@@ -1204,22 +2040,32 @@ export function create_client({ target, session, base, trailing_slash }) {
 			});
 		},
 
-		_hydrate: async ({ status, error, node_ids, params, routeId }) => {
-			const url = new URL(location.href);
+		_hydrate: async ({ status, error, node_ids, params, routeId, form }) => {
+			const url = get_route_url(new URL(location.href));
 
 			/** @type {import('./types').NavigationFinished | undefined} */
 			let result;
 
 			try {
 				const script = document.querySelector(`script[sveltekit\\:data-type="server_data"]`);
-				const server_data = script?.textContent ? JSON.parse(script.textContent) : [];
+				const server_data = script?.textContent
+					? revive(
+							JSON.parse(script.textContent),
+							// settled by chunks streamed after the document, see server/page/deferred.js
+							(id) => /** @type {any} */ (window).__sveltekit_defer(id).promise
+					  )
+					: [];
 
 				const branch_promises = node_ids.map(async (n, i) => {
+					const server_data_node = server_data[i];
+
 					return load_node({
+						loader: nodes[n],
 						node: await nodes[n](),
 						url,
 						params,
 						routeId,
+						signal: never_aborted,
 						parent: async () => {
 							const data = {};
 							for (let j = 0; j < i; j += 1) {
@@ -1227,23 +2073,26 @@ export function create_client({ target, session, base, trailing_slash }) {
 							}
 							return data;
 						},
-						server_data: server_data[i] ?? null
+						server_data_node: server_data_node
+							? { data: server_data_node.data, uses: deserialize_uses(server_data_node.uses) }
+							: null
 					});
 				});
 
+				const branch = await Promise.all(branch_promises);
+
+				if (!error) {
+					cache_server_data(url.pathname + url.search, branch);
+				}
+
 				result = await get_navigation_result_from_branch({
 					url,
 					params,
-					branch: await Promise.all(branch_promises),
+					branch,
 					status,
-					error: /** @type {import('../server/page/types').SerializedHttpError} */ (error)
-						?.__is_http_error
-						? new HttpError(
-								/** @type {import('../server/page/types').SerializedHttpError} */ (error).status,
-								error.message
-						  )
-						: error,
-					routeId
+					error: deserialize_error(error),
+					routeId,
+					form
 				});
 			} catch (e) {
 				const error = normalize_error(e);
@@ -1257,7 +2106,7 @@ export function create_client({ target, session, base, trailing_slash }) {
 
 				result = await load_root_error_page({
 					status: error instanceof HttpError ? error.status : 500,
-					error,
+					error: handle_error(error, { params, routeId, url }),
 					url,
 					routeId
 				});
@@ -1267,3 +2116,122 @@ export function create_client({ target, session, base, trailing_slash }) {
 		}
 	};
 }
+
+/**
+ * Fetches the server data for a navigation. If that fails, the returned promise rejects
+ * with the error that the first node needing the data should fail with, and its status
+ * @param {URL} url
+ * @param {AbortSignal} signal
+ * @returns {Promise<import('./types').ServerDataPayload>}
+ */
+async function fetch_server_data(url, signal) {
+	/** @type {Response} */
+	let res;
+
+	try {
+		res = await native_fetch(url.href, { signal });
+	} catch (e) {
+		if (signal.aborted) throw e;
+
+		// the request didn't reach the server, most likely because the user is offline
+		throw { status: 503, error: e };
+	}
+
+	if (!res.ok) {
+		// this is usually an error serialized by the server, but it could also
+		// be a response from e.g. a proxy, in which case only the status is known
+		const payload = await res.json().catch(() => null);
+
+		if (!payload || typeof payload !== 'object') {
+			throw {
+				status: res.status,
+				error: error(res.status, res.statusText || 'Failed to load data')
+			};
+		}
+
+		const deserialized = deserialize_error(payload);
+		server_errors.add(deserialized);
+		throw { status: res.status, error: deserialized };
+	}
+
+	try {
+		return await read_server_data(res);
+	} catch (e) {
+		if (signal.aborted) throw e;
+
+		// the response wasn't valid JSON
+		throw { status: 500, error: e };
+	}
+}
+
+/**
+ * Returns the entry for `key` if it hasn't expired, marking it as the most recently used
+ * @template {{ timestamp: number }} T
+ * @param {Map<string, T>} cache
+ * @param {string} key
+ * @param {number} max_age
+ * @returns {T | undefined}
+ */
+function cache_get(cache, key, max_age) {
+	const entry = cache.get(key);
+	if (!entry) return;
+
+	// Map iteration follows insertion order, so re-inserting an
+	// entry moves it to the back of the eviction queue
+	cache.delete(key);
+	if (Date.now() - entry.timestamp > max_age) return;
+	cache.set(key, entry);
+
+	return entry;
+}
+
+/**
+ * Adds an entry to the cache, evicting the least recently used one if it is full
+ * @template T
+ * @param {Map<string, T>} cache
+ * @param {string} key
+ * @param {T} entry
+ */
+function cache_set(cache, key, entry) {
+	cache.delete(key);
+	cache.set(key, entry);
+
+	if (cache.size > MAX_CACHE_ENTRIES) {
+		cache.delete(/** @type {string} */ (cache.keys().next().value));
+	}
+}
+
+/**
+ * Removes the keys added by `pushState`/`replaceState` from a history entry's state,
+ * for when the entry's URL is loaded as a page in its own right
+ * @param {Record<string, any> | null} state
+ */
+function without_shallow_state(state) {
+	const { [STATES_KEY]: _, [PAGE_URL_KEY]: __, ...rest } = state ?? {};
+	return rest;
+}
+
+/** @returns {import('./types').Uses} */
+function create_uses() {
+	return {
+		dependencies: new Set(),
+		params: new Set(),
+		parent: false,
+		session: false,
+		url: false
+	};
+}
+
+/**
+ * @param {import('types').ServerDataNode['uses'] | undefined} uses
+ * @returns {import('./types').Uses}
+ */
+function deserialize_uses(uses) {
+	return {
+		dependencies: new Set(uses?.dependencies ?? []),
+		params: new Set(uses?.params ?? []),
+		parent: !!uses?.parent,
+		session: false,
+		url: !!uses?.url
+	};
+}
@@ -0,0 +1,147 @@
+import { HttpError } from '../../index/private.js';
+
+/**
+ * Turns an error serialized by the server back into an `HttpError`, so
+ * that it has the same shape as one thrown during client-side navigation
+ * @param {Error | import('../server/page/types').SerializedHttpError} error
+ * @returns {Error | HttpError}
+ */
+export function deserialize_error(error) {
+	if (/** @type {import('../server/page/types').SerializedHttpError} */ (error)?.__is_http_error) {
+		return new HttpError(
+			/** @type {import('../server/page/types').SerializedHttpError} */ (error).status,
+			error.message
+		);
+	}
+
+	return error;
+}
+
+/**
+ * Replaces `{ __sveltekit_deferred: id }` placeholders in server data with
+ * promises that settle once the corresponding chunk has been streamed
+ * @param {any} value
+ * @param {(id: number) => Promise<any>} get_deferred
+ * @returns {any}
+ */
+export function revive(value, get_deferred) {
+	if (Array.isArray(value)) {
+		return value.map((item) => revive(item, get_deferred));
+	}
+
+	if (value !== null && typeof value === 'object') {
+		if (typeof value.__sveltekit_deferred === 'number') {
+			const promise = get_deferred(value.__sveltekit_deferred).then(
+				(data) => revive(data, get_deferred),
+				(error) => {
+					throw deserialize_error(error);
+				}
+			);
+
+			// the app may never use the promise, in which case a rejection shouldn't be reported as unhandled
+			promise.catch(() => {});
+
+			return promise;
+		}
+
+		/** @type {Record<string, any>} */
+		const revived = {};
+
+		for (const key in value) {
+			revived[key] = revive(value[key], get_deferred);
+		}
+
+		return revived;
+	}
+
+	return value;
+}
+
+/**
+ * Reads a `__data.json` response. If server `load` functions returned nested promises,
+ * the body is newline-delimited JSON — the payload followed by one chunk per promise —
+ * and the payload is returned as soon as it arrives, while the rest keeps streaming in
+ * @param {Response} res
+ * @returns {Promise<any>}
+ */
+export async function read_server_data(res) {
+	if (!res.body || !res.headers.get('content-type')?.startsWith('text/sveltekit-data')) {
+		return res.json();
+	}
+
+	const lines = read_lines(res.body);
+
+	/** @type {Map<number, { promise: Promise<any>, fulfil: (value: any) => void, reject: (error: any) => void }>} */
+	const deferreds = new Map();
+
+	/** @param {number} id */
+	const get = (id) => {
+		let deferred = deferreds.get(id);
+
+		if (!deferred) {
+			/** @type {any} */
+			const d = {};
+			d.promise = new Promise((fulfil, reject) => {
+				d.fulfil = fulfil;
+				d.reject = reject;
+			});
+			deferreds.set(id, (deferred = d));
+		}
+
+		return /** @type {NonNullable<typeof deferred>} */ (deferred);
+	};
+
+	const first = await lines.next();
+	if (first.done) throw new Error('Empty data response');
+
+	const payload = JSON.parse(first.value);
+
+	(async () => {
+		for await (const line of lines) {
+			const { id, data, error } = JSON.parse(line);
+
+			if (error) {
+				get(id).reject(error);
+			} else {
+				get(id).fulfil(data);
+			}
+		}
+	})()
+		.catch(() => {})
+		.then(() => {
+			// anything not settled by now never will be
+			for (const deferred of deferreds.values()) {
+				deferred.reject(new Error('Connection closed before data finished streaming'));
+			}
+		});
+
+	return revive(payload, (id) => get(id).promise);
+}
+
+/**
+ * @param {ReadableStream<Uint8Array>} stream
+ * @returns {AsyncGenerator<string>}
+ */
+async function* read_lines(stream) {
+	const reader = stream.getReader();
+	const decoder = new TextDecoder();
+
+	let buffer = '';
+
+	while (true) {
+		const { done, value } = await reader.read();
+
+		if (done) {
+			if (buffer) yield buffer;
+			return;
+		}
+
+		buffer += decoder.decode(value, { stream: true });
+
+		let index;
+		while ((index = buffer.indexOf('\n')) !== -1) {
+			yield buffer.slice(0, index);
+			buffer = buffer.slice(index + 1);
+		}
+	}
+}
@@ -14,22 +14,40 @@ export { set_public_env } from '../env-public.js';
  *   session: any;
  *   route: boolean;
  *   spa: boolean;
+ *   hash: boolean;
  *   trailing_slash: import('types').TrailingSlash;
+ *   load_cache_max_age: number;
+ *   focus: 'body' | 'autofocus';
  *   hydrate: {
  *     status: number;
  *     error: Error | (import('../server/page/types').SerializedHttpError);
  *     node_ids: number[];
  *     params: Record<string, string>;
  *     routeId: string | null;
+ *     form: Record<string, any> | null;
  *   };
  * }} opts
  */
-export async function start({ paths, target, session, route, spa, trailing_slash, hydrate }) {
+export async function start({
+	paths,
+	target,
+	session,
+	route,
+	spa,
+	hash,
+	trailing_slash,
+	load_cache_max_age,
+	focus,
+	hydrate
+}) {
 	const client = create_client({
 		target,
 		session,
 		base: paths.base,
-		trailing_slash
+		hash_routing: hash,
+		trailing_slash,
+		load_cache_max_age,
+		focus
 	});
 
 	init({ client });
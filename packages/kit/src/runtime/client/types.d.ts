@@ -1,12 +1,23 @@
+import { applyAction } from '$app/forms';
 import {
 	afterNavigate,
 	beforeNavigate,
 	goto,
 	invalidate,
+	onNavigate,
 	prefetch,
-	prefetchRoutes
+	prefetchRoutes,
+	pushState,
+	replaceState
 } from '$app/navigation';
-import { CSRPageNode, CSRRoute, JSONObject } from 'types';
+import {
+	CSRPageNode,
+	CSRPageNodeLoader,
+	CSRRoute,
+	JSONObject,
+	ServerDataNode,
+	ServerDataSkippedNode
+} from 'types';
 import { HttpError } from '../../index/private.js';
 import { SerializedHttpError } from '../server/page/types.js';
 
@@ -17,8 +28,14 @@ export interface Client {
 	disable_scroll_handling: () => void;
 	goto: typeof goto;
 	invalidate: typeof invalidate;
+	on_navigate: typeof onNavigate;
 	prefetch: typeof prefetch;
 	prefetch_routes: typeof prefetchRoutes;
+	push_state: typeof pushState;
+	replace_state: typeof replaceState;
+
+	// public API, exposed via $app/forms
+	apply_action: typeof applyAction;
 
 	// private API
 	_hydrate: (opts: {
@@ -27,8 +44,11 @@ export interface Client {
 		node_ids: number[];
 		params: Record<string, string>;
 		routeId: string | null;
+		form: Record<string, any> | null;
 	}) => Promise<void>;
 	_start_router: () => void;
+	/** Reports an error that happened outside of a navigation to the `handleError` hook */
+	_handle_error: (error: unknown) => void;
 }
 
 export type NavigationIntent = {
@@ -63,21 +83,45 @@ export type NavigationFinished = {
 	props: Record<string, any>;
 };
 
+export interface Uses {
+	dependencies: Set<string>;
+	params: Set<string>;
+	parent: boolean;
+	session: boolean;
+	url: boolean; // TODO make more granular?
+}
+
+export type ServerData = {
+	data: JSONObject | null;
+	uses: Uses;
+};
+
 export type BranchNode = {
+	loader: CSRPageNodeLoader;
 	node: CSRPageNode;
+	/** The result of the node's server `load` function, tracked separately so it can be reused */
+	server: ServerData | null;
 	data: Record<string, any> | null;
-	uses: {
-		params: Set<string>;
-		url: boolean; // TODO make more granular?
-		session: boolean;
-		dependencies: Set<string>;
-		parent: boolean;
-	};
+	/** What the node's universal `load` function used */
+	uses: Uses;
 };
 
+export interface PreloadCacheEntry {
+	promise: Promise<NavigationResult | undefined>;
+	/** Set once `promise` resolves */
+	result?: NavigationResult | undefined;
+	timestamp: number;
+}
+
+export interface ServerDataCacheEntry {
+	/** The server data of each node in the branch, or `null` if it has no server `load` function */
+	nodes: Array<{ loader: CSRPageNodeLoader; server: ServerData | null }>;
+	timestamp: number;
+}
+
 export type NavigationState = {
 	branch: Array<BranchNode | undefined>;
-	error: HttpError | Error | null;
+	error: HttpError | Error | App.Error | null;
 	params: Record<string, string>;
 	session_id: number;
 	url: URL;
@@ -92,15 +136,18 @@ export interface ServerDataRedirected {
 
 export interface ServerDataLoaded {
 	type: 'data';
-	nodes: Array<{
-		data?: JSONObject | null; // TODO or `-1` to indicate 'reuse cached data'?
-		status?: number;
-		message?: string;
-		error?: {
-			name: string;
-			message: string;
-			stack: string;
-			[key: string]: any;
-		};
-	}>;
+	nodes: Array<
+		| ServerDataNode
+		| ServerDataSkippedNode
+		| { status: number; message: string }
+		| {
+				error: {
+					name: string;
+					message: string;
+					stack: string;
+					[key: string]: any;
+				};
+		  }
+		| null
+	>;
 }
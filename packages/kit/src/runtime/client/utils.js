@@ -1,7 +1,19 @@
 import { writable } from 'svelte/store';
-import { assets } from '../paths.js';
+import { assets, base } from '../paths.js';
 
-/* global __SVELTEKIT_APP_VERSION__, __SVELTEKIT_APP_VERSION_FILE__, __SVELTEKIT_APP_VERSION_POLL_INTERVAL__ */
+/* global __SVELTEKIT_APP_VERSION__, __SVELTEKIT_APP_VERSION_FILE__, __SVELTEKIT_APP_VERSION_POLL_INTERVAL__, __SVELTEKIT_APP_VERSION_STREAM__ */
+
+// used when the server can't push version updates and `version.pollInterval` is 0
+const FALLBACK_POLL_INTERVAL = 60000;
+
+// a connection that drops sooner than this is retried, and if that keeps happening it's taken
+// as a sign that the platform can't hold connections open (e.g. serverless functions with a
+// short timeout, or static hosting where the connection can't be made at all)
+const MIN_STREAM_DURATION = 60000;
+const MAX_EARLY_FAILURES = 3;
+
+// doubled after each early failure
+const STREAM_RETRY_DELAY = 1000;
 
 /** @param {HTMLDocument} doc */
 export function get_base_uri(doc) {
@@ -37,6 +49,113 @@ export function get_href(node) {
 		: new URL(node.href);
 }
 
+// the later a preload strategy kicks in, the lower its priority. a link is preloaded
+// when something happens (e.g. it is hovered) whose priority is at most that of its strategy
+export const PRELOAD_PRIORITIES = /** @type {const} */ ({
+	tap: 1,
+	hover: 2,
+	viewport: 3,
+	eager: 4,
+	off: -1
+});
+
+const valid_preload_code = new Set(['eager', 'viewport', 'hover', 'tap', 'off']);
+const valid_preload_data = new Set(['hover', 'tap', 'off']);
+
+/**
+ * Reads an attribute, warning about invalid values during development
+ * @param {Element} element
+ * @param {string} name
+ * @param {Set<string>} valid
+ * @returns {keyof typeof PRELOAD_PRIORITIES | null}
+ */
+function get_preload_attribute(element, name, valid) {
+	const value = element.getAttribute(name);
+	if (value === null) return null;
+
+	if (value === '' || valid.has(value)) {
+		// a bare attribute means the most common strategy
+		return /** @type {keyof typeof PRELOAD_PRIORITIES} */ (value || 'hover');
+	}
+
+	if (import.meta.env.DEV) {
+		console.error(
+			`Unexpected value for ${name} — should be one of ${Array.from(valid)
+				.map((option) => `"${option}"`)
+				.join(', ')}`
+		);
+	}
+
+	return null;
+}
+
+/**
+ * Finds out when a link should be preloaded. The `sveltekit:preload-code` and `sveltekit:preload-data`
+ * attributes can be set on the link itself or on any of its ancestors, with the closest one winning
+ * @param {HTMLAnchorElement | SVGAElement} a
+ */
+export function get_preload_options(a) {
+	/** @type {keyof typeof PRELOAD_PRIORITIES | null} */
+	let code = null;
+
+	/** @type {keyof typeof PRELOAD_PRIORITIES | null} */
+	let data = a.hasAttribute('sveltekit:prefetch') ? 'hover' : null;
+
+	/** @type {Element | null} */
+	let element = a;
+
+	while (element && (code === null || data === null)) {
+		if (code === null) {
+			code = get_preload_attribute(element, 'sveltekit:preload-code', valid_preload_code);
+		}
+
+		if (data === null) {
+			data = get_preload_attribute(element, 'sveltekit:preload-data', valid_preload_data);
+		}
+
+		element = parent_element(element);
+	}
+
+	return {
+		preload_code: PRELOAD_PRIORITIES[code ?? 'off'],
+		preload_data: PRELOAD_PRIORITIES[data ?? 'off']
+	};
+}
+
+/**
+ * Like `element.parentElement`, but crosses shadow DOM boundaries
+ * @param {Element} element
+ * @returns {Element | null}
+ */
+function parent_element(element) {
+	const parent = element.assignedSlot ?? element.parentNode;
+
+	// a shadow root is a document fragment
+	if (parent?.nodeType === 11) return /** @type {ShadowRoot} */ (parent).host;
+
+	return /** @type {Element | null} */ (parent);
+}
+
+/**
+ * Returns a signal that is aborted as soon as either of the given signals is
+ * @param {AbortSignal} a
+ * @param {AbortSignal} b
+ */
+export function combine_signals(a, b) {
+	const controller = new AbortController();
+
+	for (const signal of [a, b]) {
+		if (signal.aborted) {
+			controller.abort();
+			break;
+		}
+
+		signal.addEventListener('abort', () => controller.abort(), { once: true });
+	}
+
+	return controller.signal;
+}
+
 /** @param {any} value */
 export function notifiable_store(value) {
 	const store = writable(value);
@@ -70,11 +189,16 @@ export function notifiable_store(value) {
 export function create_updated_store() {
 	const { set, subscribe } = writable(false);
 
-	const interval = __SVELTEKIT_APP_VERSION_POLL_INTERVAL__;
+	const push = !!__SVELTEKIT_APP_VERSION_STREAM__ && !import.meta.env.DEV && !import.meta.env.SSR;
+
+	// when updates are pushed by the server, polling only starts if that doesn't work out
+	let interval = push ? 0 : __SVELTEKIT_APP_VERSION_POLL_INTERVAL__;
 
 	/** @type {NodeJS.Timeout} */
 	let timeout;
 
+	let early_failures = 0;
+
 	async function check() {
 		if (import.meta.env.DEV || import.meta.env.SSR) return false;
 
@@ -104,7 +228,51 @@ export function create_updated_store() {
 		}
 	}
 
-	if (interval) timeout = setTimeout(check, interval);
+	function listen() {
+		const source = new EventSource(`${base}/${__SVELTEKIT_APP_VERSION_STREAM__}`);
+
+		let opened_at = Date.now();
+
+		source.onopen = () => {
+			opened_at = Date.now();
+		};
+
+		source.onmessage = (event) => {
+			const { version } = JSON.parse(event.data);
+
+			if (version !== __SVELTEKIT_APP_VERSION__) {
+				set(true);
+				source.close();
+			}
+		};
+
+		source.onerror = () => {
+			if (Date.now() - opened_at >= MIN_STREAM_DURATION) {
+				// the connection was fine until now (e.g. the server was restarted for a new
+				// deployment), so the browser reconnects by itself unless it gave up
+				early_failures = 0;
+
+				if (source.readyState === EventSource.CLOSED) listen();
+				return;
+			}
+
+			source.close();
+			early_failures += 1;
+
+			if (early_failures < MAX_EARLY_FAILURES) {
+				setTimeout(listen, STREAM_RETRY_DELAY * 2 ** (early_failures - 1));
+			} else {
+				interval = __SVELTEKIT_APP_VERSION_POLL_INTERVAL__ || FALLBACK_POLL_INTERVAL;
+				check().catch(() => {});
+			}
+		};
+	}
+
+	if (push) {
+		listen();
+	} else if (interval) {
+		timeout = setTimeout(check, interval);
+	}
 
 	return {
 		subscribe,
@@ -0,0 +1,156 @@
+import * as cookie from 'cookie';
+
+/**
+ * Creates the `event.cookies` object for a request. Cookies that are set or
+ * deleted are collected in `new_cookies`, so that they can be added to the
+ * response as `set-cookie` headers and forwarded to same-origin subrequests
+ * @param {Request} request
+ * @param {URL} url
+ * @param {boolean} dev
+ */
+export function get_cookies(request, url, dev) {
+	const header = request.headers.get('cookie') ?? '';
+
+	/** @type {import('cookie').CookieSerializeOptions} */
+	const defaults = {
+		httpOnly: true,
+		sameSite: 'lax',
+		// localhost is served over http in development
+		secure: !dev
+	};
+
+	/**
+	 * Keyed by name, domain and path, as cookies with the same name but a different
+	 * domain or path are separate cookies as far as the browser is concerned
+	 * @type {Map<string, import('./page/types').NewCookie>}
+	 */
+	const new_cookies = new Map();
+
+	/**
+	 * Returns the cookies that were set or deleted and apply to `url`, from the
+	 * least to the most specific path
+	 * @param {URL} url
+	 */
+	function get_new_cookies(url) {
+		return Array.from(new_cookies.values())
+			.filter(
+				({ options }) =>
+					domain_matches(url.hostname, options.domain) && path_matches(url.pathname, options.path)
+			)
+			.sort((a, b) => (a.options.path?.length ?? 0) - (b.options.path?.length ?? 0));
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {string} value
+	 * @param {import('cookie').CookieSerializeOptions} options
+	 */
+	function add_new_cookie(name, value, options) {
+		new_cookies.set(`${name};${options.domain ?? ''};${options.path ?? ''}`, {
+			name,
+			value,
+			options
+		});
+	}
+
+	/** @type {import('types').Cookies} */
+	const cookies = {
+		get(name, opts) {
+			// like browsers, prefer the cookie with the most specific path
+			const new_cookie = get_new_cookies(url)
+				.reverse()
+				.find((new_cookie) => new_cookie.name === name);
+
+			if (new_cookie) {
+				return new_cookie.options.maxAge === 0 ? undefined : new_cookie.value;
+			}
+
+			const decode = opts?.decode || decodeURIComponent;
+			return cookie.parse(header, { decode })[name];
+		},
+
+		set(name, value, opts = {}) {
+			add_new_cookie(name, value, { ...defaults, ...opts });
+		},
+
+		delete(name, opts = {}) {
+			add_new_cookie(name, '', { ...defaults, ...opts, expires: new Date(0), maxAge: 0 });
+		},
+
+		serialize(name, value, opts) {
+			return cookie.serialize(name, value, { ...defaults, ...opts });
+		}
+	};
+
+	/**
+	 * Returns the `cookie` header for a subrequest to `url` — the cookies from the original
+	 * request, updated by any that were set or deleted while handling it
+	 * @param {URL} url
+	 */
+	function get_cookie_header(url) {
+		// the values are passed through as-is, so there's no need to decode and re-encode them
+		const combined_cookies = cookie.parse(header, { decode: (value) => value });
+
+		// more specific paths are applied last, so that they take precedence
+		for (const { name, value, options } of get_new_cookies(url)) {
+			if (options.maxAge === 0) {
+				delete combined_cookies[name];
+			} else {
+				combined_cookies[name] = (options.encode ?? encodeURIComponent)(value);
+			}
+		}
+
+		return Object.entries(combined_cookies)
+			.map(([name, value]) => `${name}=${value}`)
+			.join('; ');
+	}
+
+	/**
+	 * Sets a cookie exactly as described, without applying the defaults — used for
+	 * cookies forwarded from the `set-cookie` headers of subrequests
+	 * @param {string} name
+	 * @param {string} value
+	 * @param {import('cookie').CookieSerializeOptions} options
+	 */
+	function set_internal(name, value, options) {
+		add_new_cookie(name, value, options);
+	}
+
+	return { cookies, new_cookies, get_cookie_header, set_internal };
+}
+
+/**
+ * @param {Headers} headers
+ * @param {Iterable<import('./page/types').NewCookie>} cookies
+ */
+export function add_cookies_to_headers(headers, cookies) {
+	for (const { name, value, options } of cookies) {
+		headers.append('set-cookie', cookie.serialize(name, value, options));
+	}
+}
+
+/**
+ * @param {string} hostname
+ * @param {string} [constraint]
+ */
+export function domain_matches(hostname, constraint) {
+	if (!constraint) return true;
+
+	const normalized = constraint[0] === '.' ? constraint.slice(1) : constraint;
+
+	if (hostname === normalized) return true;
+	return hostname.endsWith('.' + normalized);
+}
+
+/**
+ * @param {string} path
+ * @param {string} [constraint]
+ */
+export function path_matches(path, constraint) {
+	if (!constraint) return true;
+
+	const normalized = constraint.endsWith('/') ? constraint.slice(0, -1) : constraint;
+
+	if (path === normalized) return true;
+	return path.startsWith(normalized + '/');
+}
@@ -0,0 +1,146 @@
+import { test } from 'uvu';
+import * as assert from 'uvu/assert';
+import { domain_matches, get_cookies, path_matches } from './cookie.js';
+import { installPolyfills } from '../../node/polyfills.js';
+
+installPolyfills();
+
+const domains = {
+	positive: [
+		['localhost'],
+		['example.com', 'example.com'],
+		['sub.example.com', 'example.com'],
+		['example.com', '.example.com'],
+		['sub.example.com', '.example.com']
+	]
+};
+
+const paths = {
+	positive: [['/'], ['/foo', '/'], ['/foo', '/foo'], ['/foo/', '/foo'], ['/foo', '/foo/']],
+
+	negative: [
+		['/', '/foo'],
+		['/food', '/foo']
+	]
+};
+
+domains.positive.forEach(([hostname, constraint]) => {
+	test(`${hostname} / ${constraint}`, () => {
+		assert.ok(domain_matches(hostname, constraint));
+	});
+});
+
+paths.positive.forEach(([path, constraint]) => {
+	test(`${path} / ${constraint}`, () => {
+		assert.ok(path_matches(path, constraint));
+	});
+});
+
+paths.negative.forEach(([path, constraint]) => {
+	test(`! ${path} / ${constraint}`, () => {
+		assert.ok(!path_matches(path, constraint));
+	});
+});
+
+/**
+ * @param {string} [cookie]
+ * @param {string} [url]
+ */
+const cookies_setup = (cookie = 'a=b; c=d%20e', url = 'https://example.com/foo/bar') => {
+	const request = new Request(url, { headers: cookie ? { cookie } : {} });
+	return get_cookies(request, new URL(url), false);
+};
+
+/**
+ * @param {Map<string, import('./page/types').NewCookie>} new_cookies
+ * @param {string} name
+ */
+const find = (new_cookies, name) => [...new_cookies.values()].find((c) => c.name === name);
+
+test('a cookie from the request can be read', () => {
+	const { cookies } = cookies_setup();
+	assert.equal(cookies.get('a'), 'b');
+	assert.equal(cookies.get('c'), 'd e');
+	assert.equal(cookies.get('missing'), undefined);
+});
+
+test('a cookie that was set can be read', () => {
+	const { cookies } = cookies_setup();
+	cookies.set('a', 'z');
+	assert.equal(cookies.get('a'), 'z');
+});
+
+test('a cookie set for a different path is not read', () => {
+	const { cookies } = cookies_setup();
+	cookies.set('a', 'z', { path: '/elsewhere' });
+	assert.equal(cookies.get('a'), 'b');
+});
+
+test('cookies with the same name but different paths are kept separately', () => {
+	const { cookies, new_cookies, get_cookie_header } = cookies_setup();
+	cookies.set('a', 'foo', { path: '/foo' });
+	cookies.delete('a', { path: '/' });
+	assert.equal(new_cookies.size, 2);
+	assert.equal(cookies.get('a'), 'foo');
+	assert.equal(get_cookie_header(new URL('https://example.com/foo')), 'a=foo; c=d%20e');
+	assert.equal(get_cookie_header(new URL('https://example.com/bar')), 'c=d%20e');
+});
+
+test('a cookie with a more specific path takes precedence', () => {
+	const { cookies, get_cookie_header } = cookies_setup();
+	cookies.set('a', 'foo', { path: '/foo' });
+	cookies.set('a', 'root', { path: '/' });
+	assert.equal(cookies.get('a'), 'foo');
+	assert.equal(get_cookie_header(new URL('https://example.com/foo/bar')), 'a=foo; c=d%20e');
+	assert.equal(get_cookie_header(new URL('https://example.com/')), 'a=root; c=d%20e');
+});
+
+test('a deleted cookie cannot be read', () => {
+	const { cookies, new_cookies } = cookies_setup();
+	cookies.delete('a');
+	assert.equal(cookies.get('a'), undefined);
+
+	const cookie = find(new_cookies, 'a');
+	assert.equal(cookie?.options.maxAge, 0);
+	assert.equal(cookie?.options.expires?.valueOf(), 0);
+});
+
+test('cookies are secure, httpOnly and sameSite=lax by default', () => {
+	const { cookies, new_cookies } = cookies_setup();
+	cookies.set('a', 'z');
+	assert.equal(find(new_cookies, 'a')?.options, { httpOnly: true, sameSite: 'lax', secure: true });
+});
+
+test('default options can be overridden', () => {
+	const { cookies, new_cookies } = cookies_setup();
+	cookies.set('a', 'z', { httpOnly: false });
+	assert.equal(find(new_cookies, 'a')?.options.httpOnly, false);
+});
+
+test('cookies are not secure in development', () => {
+	const request = new Request('http://localhost:5173/');
+	const { cookies, new_cookies } = get_cookies(request, new URL(request.url), true);
+	cookies.set('a', 'z');
+	assert.equal(find(new_cookies, 'a')?.options.secure, false);
+});
+
+test('set_internal does not apply the default options', () => {
+	const { new_cookies, set_internal } = cookies_setup();
+	set_internal('a', 'z', { path: '/foo' });
+	assert.equal(find(new_cookies, 'a')?.options, { path: '/foo' });
+});
+
+test('serialize applies the default options', () => {
+	const { cookies } = cookies_setup();
+	assert.equal(cookies.serialize('a', 'z y'), 'a=z%20y; HttpOnly; Secure; SameSite=Lax');
+});
+
+test('get_cookie_header combines initial and new cookies', () => {
+	const { cookies, get_cookie_header } = cookies_setup();
+	cookies.set('x', 'y z', { path: '/foo' });
+	cookies.delete('c');
+	assert.equal(get_cookie_header(new URL('https://example.com/foo')), 'a=b; x=y%20z');
+	assert.equal(get_cookie_header(new URL('https://example.com/bar')), 'a=b');
+});
+
+test.run();
@@ -1,18 +1,53 @@
-import { check_method_names, method_not_allowed } from './utils.js';
+import { negotiate } from '../../utils/http.js';
+import { check_method_names, handle_error, method_not_allowed } from './utils.js';
+import { coalesce_to_error } from '../../utils/error.js';
 
 /**
  * @param {import('types').RequestEvent} event
- * @param {import('types').SSREndpoint} route
+ * @param {import('types').EndpointModule} mod
+ * @param {import('types').SSROptions} options
+ * @param {import('types').SSRState} state
  * @returns {Promise<Response>}
  */
-export async function render_endpoint(event, route) {
+export async function render_endpoint(event, mod, options, state) {
 	const method = /** @type {import('types').HttpMethod} */ (event.request.method);
 
-	const mod = await route.load();
-
 	// TODO: Remove for 1.0
 	check_method_names(mod);
 
+	if (mod.socket && is_websocket_request(event.request)) {
+		const socket_handler = mod.socket;
+
+		if (!state.upgrade) {
+			return new Response('WebSocket connections are not supported by this platform', {
+				status: 501
+			});
+		}
+
+		// browsers don't apply the same-origin policy to WebSockets, so without this any site
+		// could open a connection with the visitor's cookies (cross-site WebSocket hijacking).
+		// browsers always send `origin` with a handshake, other clients usually don't
+		if (options.csrf.checkOrigin) {
+			const origin = event.request.headers.get('origin');
+
+			if (
+				origin !== null &&
+				origin !== event.url.origin &&
+				!options.csrf.trustedOrigins.includes(/** @type {string} */ (origin))
+			) {
+				return new Response('Cross-site WebSocket connections are forbidden', { status: 403 });
+			}
+		}
+
+		return state.upgrade({
+			maxPayload: options.websocket_max_payload,
+			open: (socket) => socket_handler(socket, event),
+			error: (e) => {
+				handle_error(event, options, coalesce_to_error(e));
+			}
+		});
+	}
+
 	let handler = mod[method];
 
 	if (!handler && method === 'HEAD') {
@@ -40,3 +75,37 @@ export async function render_endpoint(event, route) {
 
 	return response;
 }
+
+/** @param {Request} request */
+export function is_websocket_request(request) {
+	const { method, headers } = request;
+
+	return (
+		method === 'GET' &&
+		headers.get('upgrade')?.toLowerCase() === 'websocket' &&
+		!!headers.get('connection')?.toLowerCase().includes('upgrade')
+	);
+}
+
+/**
+ * When a page and a `+server.js` file share a route, decides whether the
+ * request is for the endpoint. `GET` and `HEAD` requests that accept HTML
+ * (and form submissions, which `POST` to the page's actions) are rendered
+ * as the page, while everything else is handled by the endpoint
+ * @param {import('types').RequestEvent} event
+ */
+export function is_endpoint_request(event) {
+	const { method, headers } = event.request;
+
+	if (method === 'PUT' || method === 'PATCH' || method === 'DELETE') {
+		return true;
+	}
+
+	// `use:enhance` asks for JSON, but is still submitting to an action
+	if (method === 'POST' && headers.get('x-sveltekit-action') === 'true') {
+		return false;
+	}
+
+	const accept = headers.get('accept') ?? '*/*';
+	return negotiate(accept, ['*/*', 'text/html']) !== 'text/html';
+}
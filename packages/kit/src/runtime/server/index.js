@@ -1,20 +1,30 @@
-import { render_endpoint } from './endpoint.js';
+import { is_endpoint_request, is_websocket_request, render_endpoint } from './endpoint.js';
 import { render_page } from './page/index.js';
 import { render_response } from './page/render.js';
 import { respond_with_error } from './page/respond_with_error.js';
 import { coalesce_to_error, normalize_error } from '../../utils/error.js';
-import { serialize_error, GENERIC_ERROR, error_to_pojo } from './utils.js';
+import { serialize_error, GENERIC_ERROR, error_to_pojo, handle_error } from './utils.js';
 import { decode_params, normalize_path } from '../../utils/url.js';
 import { exec } from '../../utils/routing.js';
-import { negotiate } from '../../utils/http.js';
+import { is_form_content_type, merge_cache_control, negotiate } from '../../utils/http.js';
 import { HttpError, Redirect } from '../../index/private.js';
 import { load_server_data } from './page/load_data.js';
+import { create_deferred_serializer, stream_data_response } from './page/deferred.js';
 import { json } from '../../index/index.js';
+import { once } from '../../utils/functions.js';
+import { add_cookies_to_headers, get_cookies } from './cookie.js';
+import { sequence } from '../../hooks.js';
+import { stream_version } from './version.js';
+import { create_fetch } from './page/fetch.js';
 
 /* global __SVELTEKIT_ADAPTER_NAME__ */
 
 const DATA_SUFFIX = '/__data.json';
 
+// the client sends a string of 0s and 1s, one per node, so that
+// server `load` functions whose data it can reuse aren't rerun
+const INVALIDATED_PARAM = 'x-sveltekit-invalidated';
+
 /** @param {{ html: string }} opts */
 const default_transform = ({ html }) => html;
 
@@ -22,6 +32,31 @@ const default_transform = ({ html }) => html;
 export async function respond(request, options, state) {
 	let url = new URL(request.url);
 
+	// requests made with `event.fetch` come from the app itself
+	if (options.csrf.checkOrigin && !state.initiator) {
+		const origin = request.headers.get('origin');
+
+		const forbidden =
+			request.method !== 'GET' &&
+			request.method !== 'HEAD' &&
+			is_form_content_type(request) &&
+			origin !== url.origin &&
+			!options.csrf.trustedOrigins.includes(/** @type {string} */ (origin));
+
+		if (forbidden) {
+			const message = `Cross-site ${request.method} form submissions are forbidden`;
+
+			const type = negotiate(request.headers.get('accept') || 'text/html', [
+				'text/html',
+				'application/json'
+			]);
+
+			return type === 'application/json'
+				? json({ message }, { status: 403 })
+				: new Response(message, { status: 403 });
+		}
+	}
+
 	const { parameter, allowed } = options.method_override;
 	const method_override = url.searchParams.get(parameter)?.toUpperCase();
 
@@ -60,19 +95,41 @@ export async function respond(request, options, state) {
 	/** @type {Record<string, string>} */
 	let params = {};
 
+	// upgrade requests that aren't for a `socket` handler are left for anything else
+	// that handles upgrades on the same server, such as a Vite plugin
+	const is_upgrade_request = !!state.upgrade && is_websocket_request(request);
+
 	if (options.paths.base && !state.prerendering?.fallback) {
 		if (!decoded.startsWith(options.paths.base)) {
-			return new Response('Not found', { status: 404 });
+			return is_upgrade_request ? ignore_upgrade() : new Response('Not found', { status: 404 });
 		}
 		decoded = decoded.slice(options.paths.base.length) || '/';
 	}
 
+	// the client subscribes to this if `version.push` is enabled, see `create_updated_store`
+	if (
+		options.version.push &&
+		!state.prerendering &&
+		decoded === `/${options.manifest.appDir}/version`
+	) {
+		return stream_version(options.version.name);
+	}
+
 	const is_data_request = decoded.endsWith(DATA_SUFFIX);
 
+	/** @type {boolean[] | undefined} */
+	let invalidated_data_nodes;
+
 	if (is_data_request) {
 		const data_suffix_length = DATA_SUFFIX.length - (options.trailing_slash === 'always' ? 1 : 0);
 		decoded = decoded.slice(0, -data_suffix_length) || '/';
 		url = new URL(url.origin + url.pathname.slice(0, -data_suffix_length) + url.search);
+
+		const invalidated = url.searchParams.get(INVALIDATED_PARAM);
+		if (invalidated !== null) {
+			invalidated_data_nodes = invalidated.split('').map((bit) => bit === '1');
+			url.searchParams.delete(INVALIDATED_PARAM);
+		}
 	}
 
 	if (!state.prerendering?.fallback) {
@@ -91,6 +148,17 @@ export async function respond(request, options, state) {
 		}
 	}
 
+	if (is_upgrade_request) {
+		const mod =
+			route && !is_data_request
+				? route.type === 'endpoint'
+					? await route.load()
+					: await route.endpoint?.()
+				: null;
+
+		if (!mod?.socket) return ignore_upgrade();
+	}
+
 	if (route) {
 		if (route.type === 'page') {
 			const normalized = normalize_path(url.pathname, options.trailing_slash);
@@ -118,6 +186,58 @@ export async function respond(request, options, state) {
 	/** @type {import('types').ResponseHeaders} */
 	const headers = {};
 
+	/**
+	 * Where each header was set, for error messages
+	 * @type {Record<string, string>}
+	 */
+	const header_sources = {};
+
+	/** @type {import('types').SetHeaders} */
+	const set_headers = (new_headers, source) => {
+		for (const key in new_headers) {
+			const lower = key.toLowerCase();
+			const value = new_headers[key];
+
+			if (lower === 'set-cookie') {
+				throw new Error(
+					`Use \`event.cookies.set(name, value, options)\` instead of \`event.setHeaders\` to set cookies`
+				);
+			}
+
+			if (header_sources[lower] === source && headers[lower] === value) {
+				// the same `load` function can run twice, if an error page is rendered
+				continue;
+			}
+
+			if (lower in headers) {
+				// several `load` functions can contribute to the same response,
+				// so rather than failing we use the most restrictive policy
+				if (lower === 'cache-control') {
+					headers[lower] = merge_cache_control(String(headers[lower]), String(value));
+				} else {
+					const route_id = route ? ` (route "${route.id}")` : '';
+
+					throw new Error(
+						`"${key}" header is already set by ${header_sources[lower]} and cannot be set again by ${source}${route_id}`
+					);
+				}
+			} else {
+				headers[lower] = value;
+				header_sources[lower] = source;
+			}
+
+			if (state.prerendering && lower === 'cache-control') {
+				state.prerendering.cache = /** @type {string} */ (headers[lower]);
+			}
+		}
+	};
+
+	const { cookies, new_cookies, get_cookie_header, set_internal } = get_cookies(
+		request,
+		url,
+		options.dev
+	);
+
 	/** @type {import('types').RequestEvent} */
 	const event = {
 		get clientAddress() {
@@ -133,30 +253,27 @@ export async function respond(request, options, state) {
 
 			return event.clientAddress;
 		},
+		cookies,
+		// @ts-expect-error `fetch` needs to be created with access to the event
+		fetch: null,
 		locals: {},
 		params,
 		platform: state.platform,
 		request,
 		routeId: route && route.id,
-		setHeaders: (new_headers) => {
-			for (const key in new_headers) {
-				const lower = key.toLowerCase();
-
-				if (lower in headers) {
-					throw new Error(`"${key}" header is already set`);
-				}
-
-				// TODO apply these headers to the response
-				headers[lower] = new_headers[key];
-
-				if (state.prerendering && lower === 'cache-control') {
-					state.prerendering.cache = /** @type {string} */ (new_headers[key]);
-				}
-			}
-		},
+		setHeaders: (new_headers) => set_headers(new_headers, '`event.setHeaders`'),
 		url
 	};
 
+	event.fetch = create_fetch({
+		event,
+		options,
+		state,
+		route: route || GENERIC_ERROR,
+		get_cookie_header,
+		set_internal
+	});
+
 	// TODO remove this for 1.0
 	/**
 	 * @param {string} property
@@ -192,193 +309,255 @@ export async function respond(request, options, state) {
 
 	/** @type {import('types').RequiredResolveOptions} */
 	let resolve_opts = {
-		ssr: true,
+		// with hash-based routing, the server doesn't know which route is being requested
+		ssr: !options.hash_routing,
 		transformPageChunk: default_transform
 	};
 
 	// TODO match route before calling handle?
 
-	try {
-		const response = await options.hooks.handle({
-			event,
-			resolve: async (event, opts) => {
-				if (opts) {
-					// TODO remove for 1.0
-					// @ts-expect-error
-					if (opts.transformPage) {
-						throw new Error(
-							'transformPage has been replaced by transformPageChunk — see https://github.com/sveltejs/kit/pull/5657 for more information'
-						);
-					}
+	/** @param {import('types').ResolveOptions | undefined} opts */
+	function set_resolve_opts(opts) {
+		if (!opts) return;
 
-					resolve_opts = {
-						ssr: opts.ssr !== false,
-						transformPageChunk: opts.transformPageChunk || default_transform
-					};
-				}
-
-				if (state.prerendering?.fallback) {
-					return await render_response({
-						event,
-						options,
-						state,
-						$session: await options.hooks.getSession(event),
-						page_config: { router: true, hydrate: true },
-						status: 200,
-						error: null,
-						branch: [],
-						fetched: [],
-						validation_errors: undefined,
-						cookies: [],
-						resolve_opts: {
-							...resolve_opts,
-							ssr: false
-						}
-					});
-				}
+		// TODO remove for 1.0
+		// @ts-expect-error
+		if (opts.transformPage) {
+			throw new Error(
+				'transformPage has been replaced by transformPageChunk — see https://github.com/sveltejs/kit/pull/5657 for more information'
+			);
+		}
 
-				if (route) {
-					/** @type {Response} */
-					let response;
-					if (is_data_request && route.type === 'page') {
-						try {
-							/** @type {Redirect | HttpError | Error} */
-							let error;
-
-							// TODO only get the data we need for the navigation
-							const promises = [...route.layouts, route.leaf].map(async (n, i) => {
-								try {
-									if (error) return;
-
-									const node = n ? await options.manifest._.nodes[n]() : undefined;
-									return {
-										// TODO return `uses`, so we can reuse server data effectively
-										data: await load_server_data({
-											event,
-											node,
-											parent: async () => {
-												/** @type {import('types').JSONObject} */
-												const data = {};
-												for (let j = 0; j < i; j += 1) {
-													Object.assign(data, await promises[j]);
-												}
-												return data;
-											}
-										})
-									};
-								} catch (e) {
-									error = normalize_error(e);
-
-									if (error instanceof Redirect) {
-										throw error;
-									}
+		resolve_opts = {
+			ssr: opts.ssr !== false && !options.hash_routing,
+			transformPageChunk: opts.transformPageChunk || default_transform
+		};
+	}
 
-									if (error instanceof HttpError) {
-										return error; // { status, message }
-									}
+	/**
+	 * Responds to the request, once the global `handle` hook and
+	 * any `handle` functions exported from layouts have run
+	 * @param {import('types').RequestEvent} event
+	 * @param {import('types').ResolveOptions} [opts]
+	 * @returns {Promise<Response>}
+	 */
+	async function resolve(event, opts) {
+		set_resolve_opts(opts);
 
-									options.handle_error(error, event);
+		if (state.prerendering?.fallback) {
+			return await render_response({
+				event,
+				options,
+				state,
+				$session: await options.hooks.getSession(event),
+				page_config: { router: true, hydrate: true },
+				status: 200,
+				error: null,
+				branch: [],
+				fetched: [],
+				action_result: undefined,
+				resolve_opts: {
+					...resolve_opts,
+					ssr: false
+				}
+			});
+		}
 
-									return {
-										error: error_to_pojo(error, options.get_stack)
-									};
+		if (route) {
+			/** @type {Response} */
+			let response;
+			if (is_data_request && route.type === 'page') {
+				try {
+					/** @type {Redirect | HttpError | Error} */
+					let error;
+
+					const node_ids = [...route.layouts, route.leaf];
+
+					// server `load` functions run lazily, so that a node the client
+					// can reuse only runs if a later node awaits its data via `parent()`
+					const functions = node_ids.map((n, i) =>
+						once(async () => {
+							const node = n ? await options.manifest._.nodes[n]() : undefined;
+
+							return load_server_data({
+								event,
+								state,
+								node,
+								set_headers,
+								parent: async () => {
+									/** @type {import('types').JSONObject} */
+									const data = {};
+									for (let j = 0; j < i; j += 1) {
+										const parent = await functions[j]();
+										if (parent) Object.assign(data, parent.data);
+									}
+									return data;
 								}
 							});
+						})
+					);
+
+					const promises = functions.map(async (fn, i) => {
+						if (invalidated_data_nodes && !invalidated_data_nodes[i]) {
+							/** @type {import('types').ServerDataSkippedNode} */
+							const skipped = { type: 'skip' };
+							return skipped;
+						}
 
-							response = json({
-								type: 'data',
-								nodes: await Promise.all(promises)
-							});
+						try {
+							if (error) return;
+							return await fn();
 						} catch (e) {
-							const error = normalize_error(e);
+							error = normalize_error(e);
 
 							if (error instanceof Redirect) {
-								response = json({
-									type: 'redirect',
-									location: error.location
-								});
-							} else {
-								response = json(error_to_pojo(error, options.get_stack), { status: 500 });
+								throw error;
 							}
-						}
-					} else {
-						response =
-							route.type === 'endpoint'
-								? await render_endpoint(event, route)
-								: await render_page(event, route, options, state, resolve_opts);
-					}
 
-					for (const key in headers) {
-						const value = headers[key];
-						if (key === 'set-cookie') {
-							for (const cookie of Array.isArray(value) ? value : [value]) {
-								response.headers.append(key, /** @type {string} */ (cookie));
+							if (error instanceof HttpError) {
+								return error; // { status, message }
 							}
-						} else if (!is_data_request) {
-							// we only want to set cookies on __data.json requests, we don't
-							// want to cache stuff erroneously etc
-							response.headers.set(key, /** @type {string} */ (value));
+
+							return {
+								error: error_to_pojo(handle_error(event, options, error), options.get_stack)
+							};
 						}
-					}
+					});
 
-					// respond with 304 if etag matches
-					if (response.status === 200 && response.headers.has('etag')) {
-						let if_none_match_value = request.headers.get('if-none-match');
+					const deferred = create_deferred_serializer(options, event);
+					const nodes = deferred.replace(await Promise.all(promises));
 
-						// ignore W/ prefix https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/If-None-Match#directives
-						if (if_none_match_value?.startsWith('W/"')) {
-							if_none_match_value = if_none_match_value.substring(2);
-						}
+					response = deferred.pending
+						? stream_data_response(nodes, deferred)
+						: json({
+								type: 'data',
+								nodes
+						  });
+				} catch (e) {
+					const error = normalize_error(e);
+
+					if (error instanceof Redirect) {
+						response = json({
+							type: 'redirect',
+							location: error.location
+						});
+					} else {
+						response = json(error_to_pojo(error, options.get_stack), { status: 500 });
+					}
+				}
+			} else {
+				response =
+					route.type === 'endpoint'
+						? await render_endpoint(event, await route.load(), options, state)
+						: route.endpoint && is_endpoint_request(event)
+						? await render_endpoint(event, await route.endpoint(), options, state)
+						: await render_page(event, route, options, state, resolve_opts, set_headers);
+			}
 
-						const etag = /** @type {string} */ (response.headers.get('etag'));
+			for (const key in headers) {
+				// only server `load` functions run for __data.json requests, so `cache-control`
+				// describes exactly the data in the response. other headers describe the page
+				if (is_data_request && key !== 'cache-control') continue;
 
-						if (if_none_match_value === etag) {
-							const headers = new Headers({ etag });
+				// don't cache unexpected errors
+				if (response.status >= 500 && key === 'cache-control') continue;
 
-							// https://datatracker.ietf.org/doc/html/rfc7232#section-4.1
-							for (const key of ['cache-control', 'content-location', 'date', 'expires', 'vary']) {
-								const value = response.headers.get(key);
-								if (value) headers.set(key, value);
-							}
+				response.headers.set(key, /** @type {string} */ (headers[key]));
+			}
 
-							return new Response(undefined, {
-								status: 304,
-								headers
-							});
-						}
-					}
+			// the response depends on the `accept` header when a page and an endpoint share
+			// the route, so caches mustn't serve one in place of the other
+			if (route.type !== 'endpoint' && route.endpoint && !is_data_request) {
+				const vary = response.headers.get('vary');
 
-					return response;
+				if (!vary?.split(',').some((value) => value.trim().toLowerCase() === 'accept')) {
+					response.headers.set('vary', vary ? `${vary}, Accept` : 'Accept');
 				}
+			}
 
-				if (state.initiator === GENERIC_ERROR) {
-					return new Response('Internal Server Error', {
-						status: 500
-					});
+			// respond with 304 if etag matches
+			if (response.status === 200 && response.headers.has('etag')) {
+				let if_none_match_value = request.headers.get('if-none-match');
+
+				// ignore W/ prefix https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/If-None-Match#directives
+				if (if_none_match_value?.startsWith('W/"')) {
+					if_none_match_value = if_none_match_value.substring(2);
 				}
 
-				// if this request came direct from the user, rather than
-				// via a `fetch` in a `load`, render a 404 page
-				if (!state.initiator) {
-					const $session = await options.hooks.getSession(event);
-					return await respond_with_error({
-						event,
-						options,
-						state,
-						$session,
-						status: 404,
-						error: new Error(`Not found: ${event.url.pathname}`),
-						resolve_opts
+				const etag = /** @type {string} */ (response.headers.get('etag'));
+
+				if (if_none_match_value === etag) {
+					const headers = new Headers({ etag });
+
+					// https://datatracker.ietf.org/doc/html/rfc7232#section-4.1
+					for (const key of ['cache-control', 'content-location', 'date', 'expires', 'vary']) {
+						const value = response.headers.get(key);
+						if (value) headers.set(key, value);
+					}
+
+					return new Response(undefined, {
+						status: 304,
+						headers
 					});
 				}
+			}
+
+			return response;
+		}
 
-				if (state.prerendering) {
-					return new Response('not found', { status: 404 });
+		if (state.initiator === GENERIC_ERROR) {
+			return new Response('Internal Server Error', {
+				status: 500
+			});
+		}
+
+		// if this request came direct from the user, rather than
+		// via a `fetch` in a `load`, render a 404 page
+		if (!state.initiator) {
+			const $session = await options.hooks.getSession(event);
+			return await respond_with_error({
+				event,
+				options,
+				state,
+				$session,
+				status: 404,
+				error: new Error(`Not found: ${event.url.pathname}`),
+				resolve_opts,
+				set_headers
+			});
+		}
+
+		if (state.prerendering) {
+			return new Response('not found', { status: 404 });
+		}
+
+		// we can't load the endpoint from our own manifest,
+		// so we need to make an actual HTTP request
+		return await fetch(request);
+	}
+
+	try {
+		const response = await options.hooks.handle({
+			event,
+			resolve: async (event, opts) => {
+				set_resolve_opts(opts);
+
+				if (!route) return resolve(event);
+
+				// layout `handle` functions run inside the global one, outermost first
+				const layouts = await Promise.all(
+					route.layouts.map((n) => (n == undefined ? n : options.manifest._.nodes[n]()))
+				);
+
+				// the options passed by the global `handle` go through the same chain as
+				// those passed by layouts, so that `transformPageChunk` functions compose
+				/** @type {import('types').Handle[]} */
+				const handles = [({ event, resolve }) => resolve(event, opts)];
+				for (const layout of layouts) {
+					if (layout?.server?.handle) handles.push(layout.server.handle);
 				}
 
-				// we can't load the endpoint from our own manifest,
-				// so we need to make an actual HTTP request
-				return await fetch(request);
+				return sequence(...handles)({ event, resolve });
 			},
 
 			// TODO remove for 1.0
@@ -393,11 +572,11 @@ export async function respond(request, options, state) {
 			throw new Error('handle must return a Response object' + details);
 		}
 
-		return response;
+		// cookies are added here rather than in `resolve`, so that they're not lost if `handle`
+		// returns a response of its own or sets cookies after calling `resolve`
+		return with_cookies(response, new_cookies);
 	} catch (/** @type {unknown} */ e) {
-		const error = coalesce_to_error(e);
-
-		options.handle_error(error, event);
+		const error = handle_error(event, options, coalesce_to_error(e));
 
 		const type = negotiate(event.request.headers.get('accept') || 'text/html', [
 			'text/html',
@@ -405,24 +584,30 @@ export async function respond(request, options, state) {
 		]);
 
 		if (is_data_request || type === 'application/json') {
-			return new Response(serialize_error(error, options.get_stack), {
-				status: 500,
-				headers: { 'content-type': 'application/json; charset=utf-8' }
-			});
+			return with_cookies(
+				new Response(serialize_error(error, options.get_stack), {
+					status: 500,
+					headers: { 'content-type': 'application/json; charset=utf-8' }
+				}),
+				new_cookies
+			);
 		}
 
 		// TODO is this necessary? should we just return a plain 500 at this point?
 		try {
 			const $session = await options.hooks.getSession(event);
-			return await respond_with_error({
+			const response = await respond_with_error({
 				event,
 				options,
 				state,
 				$session,
 				status: 500,
 				error,
-				resolve_opts
+				resolve_opts,
+				set_headers
 			});
+
+			return with_cookies(response, new_cookies);
 		} catch (/** @type {unknown} */ e) {
 			const error = coalesce_to_error(e);
 
@@ -432,3 +617,33 @@ export async function respond(request, options, state) {
 		}
 	}
 }
+
+/**
+ * Tells `handleUpgrade` to leave the connection alone, without running the `handle` hook
+ */
+function ignore_upgrade() {
+	return new Response(undefined, {
+		status: 404,
+		headers: { 'x-sveltekit-upgrade': 'ignored' }
+	});
+}
+
+/**
+ * Adds the cookies set with `event.cookies` to a response. Some responses, such as
+ * those created with `Response.redirect` or `fetch`, have immutable headers, in
+ * which case the response is copied
+ * @param {Response} response
+ * @param {Map<string, import('./page/types').NewCookie>} new_cookies
+ */
+function with_cookies(response, new_cookies) {
+	if (new_cookies.size === 0) return response;
+
+	try {
+		add_cookies_to_headers(response.headers, new_cookies.values());
+		return response;
+	} catch {
+		const copy = new Response(response.body, response);
+		add_cookies_to_headers(copy.headers, new_cookies.values());
+		return copy;
+	}
+}
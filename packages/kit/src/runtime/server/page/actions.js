@@ -0,0 +1,143 @@
+import { error, json } from '../../../index/index.js';
+import { HttpError, Redirect } from '../../../index/private.js';
+import { normalize_error } from '../../../utils/error.js';
+import { negotiate } from '../../../utils/http.js';
+import { error_to_pojo, handle_error } from '../utils.js';
+
+/** @param {import('types').RequestEvent} event */
+export function is_action_json_request(event) {
+	const accept = negotiate(event.request.headers.get('accept') || 'text/html', [
+		'text/html',
+		'application/json'
+	]);
+
+	return accept === 'application/json' && event.request.method === 'POST';
+}
+
+/**
+ * Handles a POST request with `accept: application/json` by
+ * responding with a serialized `ActionResult`
+ * @param {import('types').RequestEvent} event
+ * @param {import('types').SSROptions} options
+ * @param {import('types').SSRNode['server'] | undefined} server
+ */
+export async function handle_action_json_request(event, options, server) {
+	const result = await handle_action_request(event, server);
+
+	if (result.type === 'error') {
+		const error = /** @type {HttpError | Error} */ (result.error);
+
+		return json(
+			{
+				type: 'error',
+				error: error_to_pojo(handle_error(event, options, error), options.get_stack)
+			},
+			{
+				status: error instanceof HttpError ? error.status : 500
+			}
+		);
+	}
+
+	// redirects are sent as part of the payload rather than as a 3xx response,
+	// because `fetch` would otherwise follow them transparently
+	return json(result);
+}
+
+/**
+ * Calls the action selected by the request URL and converts
+ * its outcome (including thrown errors) into an `ActionResult`
+ * @param {import('types').RequestEvent} event
+ * @param {import('types').SSRNode['server'] | undefined} server
+ * @returns {Promise<import('types').ActionResult>}
+ */
+export async function handle_action_request(event, server) {
+	const actions = server?.actions;
+
+	if (!actions) {
+		event.setHeaders({
+			// https://developer.mozilla.org/en-US/docs/Web/HTTP/Status/405
+			// "The server must generate an Allow header field in a 405 status code response"
+			allow: 'GET'
+		});
+
+		return {
+			type: 'error',
+			error: error(405, 'POST method not allowed. No actions exist for this page')
+		};
+	}
+
+	return call_action(event, actions);
+}
+
+/**
+ * @param {import('types').RequestEvent} event
+ * @param {NonNullable<import('types').SSRNode['server']['actions']>} actions
+ * @returns {Promise<import('types').ActionResult>}
+ */
+async function call_action(event, actions) {
+	const name = get_action_name(event.url);
+	const action = actions[name];
+
+	if (!action) {
+		return {
+			type: 'error',
+			error: error(404, `No action with name '${name}' found`)
+		};
+	}
+
+	try {
+		const result = await action.call(null, event);
+
+		if (!result) {
+			return { type: 'success', status: 200 };
+		}
+
+		if (result.location) {
+			return { type: 'redirect', status: result.status ?? 303, location: result.location };
+		}
+
+		if (result.errors) {
+			return { type: 'invalid', status: result.status ?? 400, data: result };
+		}
+
+		return { type: 'success', status: 200, data: result };
+	} catch (e) {
+		const error = normalize_error(e);
+
+		if (error instanceof Redirect) {
+			return { type: 'redirect', status: error.status, location: error.location };
+		}
+
+		return { type: 'error', error };
+	}
+}
+
+/**
+ * The action name is the first search parameter beginning with `/`, so
+ * that `<form action="?/login">` invokes `actions.login`. If there is no
+ * such parameter, the default action is used
+ * @param {URL} url
+ */
+export function get_action_name(url) {
+	for (const param of url.searchParams.keys()) {
+		if (param.startsWith('/')) {
+			return param.slice(1) || 'default';
+		}
+	}
+
+	return 'default';
+}
+
+// TODO remove for 1.0
+/** @param {import('types').SSRNode['server'] | undefined} server */
+export function check_page_server_methods(server) {
+	if (!server) return;
+
+	for (const method of ['POST', 'PUT', 'PATCH', 'DELETE']) {
+		if (method in server) {
+			throw new Error(
+				`Exporting ${method} from +page.server.js is no longer supported — use \`export const actions = { ... }\` instead. See https://github.com/sveltejs/kit/discussions/5875 for more information`
+			);
+		}
+	}
+}
@@ -1,25 +0,0 @@
-/**
- * @param {string} hostname
- * @param {string} [constraint]
- */
-export function domain_matches(hostname, constraint) {
-	if (!constraint) return true;
-
-	const normalized = constraint[0] === '.' ? constraint.slice(1) : constraint;
-
-	if (hostname === normalized) return true;
-	return hostname.endsWith('.' + normalized);
-}
-
-/**
- * @param {string} path
- * @param {string} [constraint]
- */
-export function path_matches(path, constraint) {
-	if (!constraint) return true;
-
-	const normalized = constraint.endsWith('/') ? constraint.slice(0, -1) : constraint;
-
-	if (path === normalized) return true;
-	return path.startsWith(normalized + '/');
-}
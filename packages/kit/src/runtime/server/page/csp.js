@@ -93,6 +93,7 @@ class BaseProvider {
 			effective_style_src.filter((value) => value !== 'unsafe-inline').length > 0;
 
 		this.script_needs_nonce = this.#script_needs_csp && !this.#use_hashes;
+		this.script_needs_hash = this.#script_needs_csp && this.#use_hashes;
 		this.style_needs_nonce = this.#style_needs_csp && !this.#use_hashes;
 		this.#nonce = nonce;
 	}
@@ -231,6 +232,10 @@ export class Csp {
 		return this.csp_provider.script_needs_nonce || this.report_only_provider.script_needs_nonce;
 	}
 
+	get script_needs_hash() {
+		return this.csp_provider.script_needs_hash || this.report_only_provider.script_needs_hash;
+	}
+
 	get style_needs_nonce() {
 		return this.csp_provider.style_needs_nonce || this.report_only_provider.style_needs_nonce;
 	}
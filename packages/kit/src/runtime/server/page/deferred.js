@@ -0,0 +1,164 @@
+import { HttpError } from '../../../index/private.js';
+import { normalize_error } from '../../../utils/error.js';
+import { render_json_payload } from '../../../utils/escape.js';
+import { error_to_pojo, handle_error } from '../utils.js';
+
+/**
+ * Must run before any streamed chunk arrives. Sets up a global registry of deferred
+ * values, which chunks settle and the client reads from during hydration —
+ * whichever happens first creates the entry
+ */
+export const deferred_registry_script = `
+		var __sveltekit_deferred = {};
+		function __sveltekit_defer(id) {
+			var deferred = __sveltekit_deferred[id];
+			if (!deferred) {
+				deferred = __sveltekit_deferred[id] = {};
+				deferred.promise = new Promise(function (fulfil, reject) {
+					deferred.fulfil = fulfil;
+					deferred.reject = reject;
+				});
+				deferred.promise.catch(function () {});
+			}
+			return deferred;
+		}
+	`;
+
+/**
+ * Replaces promises nested inside server `load` data with `{ __sveltekit_deferred: id }`
+ * placeholders, so that the rest of the data can be sent immediately. Each promise
+ * becomes a chunk once it settles, which may in turn contain further placeholders
+ * @param {import('types').SSROptions} options
+ * @param {import('types').RequestEvent} event
+ */
+export function create_deferred_serializer(options, event) {
+	let uid = 0;
+	let pending = 0;
+
+	/** @type {import('./types').DeferredChunk[]} */
+	const queue = [];
+
+	/** @type {(() => void) | null} */
+	let notify = null;
+
+	/**
+	 * @param {any} value
+	 * @returns {any}
+	 */
+	function replace(value) {
+		if (typeof value?.then === 'function') {
+			const id = (uid += 1);
+			pending += 1;
+
+			Promise.resolve(value)
+				.then(
+					(data) => ({ id, data: replace(data) }),
+					(e) => {
+						const error = /** @type {HttpError | Error} */ (normalize_error(e));
+
+						return {
+							id,
+							error: error_to_pojo(handle_error(event, options, error), options.get_stack)
+						};
+					}
+				)
+				.then((chunk) => {
+					pending -= 1;
+					queue.push(chunk);
+					notify?.();
+				});
+
+			return { __sveltekit_deferred: id };
+		}
+
+		if (Array.isArray(value)) {
+			return value.map(replace);
+		}
+
+		if (is_plain_object(value)) {
+			/** @type {Record<string, any>} */
+			const replaced = {};
+
+			for (const key in value) {
+				replaced[key] = replace(value[key]);
+			}
+
+			return replaced;
+		}
+
+		return value;
+	}
+
+	return {
+		replace,
+
+		/** Whether any promises were replaced that haven't been yielded by `chunks()` yet */
+		get pending() {
+			return pending > 0 || queue.length > 0;
+		},
+
+		/** Yields chunks in the order their promises settle */
+		async *chunks() {
+			while (pending > 0 || queue.length > 0) {
+				if (queue.length === 0) {
+					await new Promise((fulfil) => {
+						notify = () => fulfil(undefined);
+					});
+				}
+
+				yield* queue.splice(0, queue.length);
+			}
+		}
+	};
+}
+
+/**
+ * @param {import('./types').DeferredChunk} chunk
+ * @param {import('./csp.js').Csp} csp
+ */
+export function render_deferred_chunk_script({ id, data, error }, csp) {
+	const call = error
+		? `__sveltekit_defer(${id}).reject(${render_json_payload(error)})`
+		: `__sveltekit_defer(${id}).fulfil(${render_json_payload(data ?? null)})`;
+
+	csp.add_script(call);
+
+	return `<script${csp.script_needs_nonce ? ` nonce="${csp.nonce}"` : ''}>${call}</script>\n`;
+}
+
+/**
+ * Creates a `__data.json` response whose body is newline-delimited JSON: the first line
+ * is the payload, and each subsequent line is a chunk that settles one of its placeholders
+ * @param {import('types').JSONValue} nodes
+ * @param {ReturnType<typeof create_deferred_serializer>} deferred
+ */
+export function stream_data_response(nodes, deferred) {
+	const encoder = new TextEncoder();
+
+	return new Response(
+		new ReadableStream({
+			async start(controller) {
+				controller.enqueue(encoder.encode(JSON.stringify({ type: 'data', nodes }) + '\n'));
+
+				for await (const chunk of deferred.chunks()) {
+					controller.enqueue(encoder.encode(JSON.stringify(chunk) + '\n'));
+				}
+
+				controller.close();
+			}
+		}),
+		{
+			headers: {
+				'content-type': 'text/sveltekit-data'
+			}
+		}
+	);
+}
+
+/** @param {any} value */
+function is_plain_object(value) {
+	if (value === null || typeof value !== 'object') return false;
+
+	const proto = Object.getPrototypeOf(value);
+	return proto === Object.prototype || proto === null;
+}
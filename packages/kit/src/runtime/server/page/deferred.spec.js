@@ -0,0 +1,122 @@
+import { test } from 'uvu';
+import * as assert from 'uvu/assert';
+import { error } from '../../../index/index.js';
+import { Csp } from './csp.js';
+import { create_deferred_serializer, render_deferred_chunk_script } from './deferred.js';
+
+/** @type {Error[]} */
+let handled = [];
+
+const options = /** @type {import('types').SSROptions} */ (
+	/** @type {unknown} */ ({
+		handle_error: (/** @type {Error} */ error) => {
+			handled.push(error);
+		},
+		get_stack: () => undefined
+	})
+);
+
+const event = /** @type {import('types').RequestEvent} */ ({});
+
+/** @param {ReturnType<typeof create_deferred_serializer>} deferred */
+async function collect(deferred) {
+	const chunks = [];
+	for await (const chunk of deferred.chunks()) chunks.push(chunk);
+	return chunks;
+}
+
+test.before.each(() => {
+	handled = [];
+});
+
+test('leaves data without promises untouched', () => {
+	const deferred = create_deferred_serializer(options, event);
+	const date = new Date(0);
+
+	const replaced = deferred.replace([{ a: 1, b: [true, 'x'], c: date }, null]);
+
+	assert.equal(replaced, [{ a: 1, b: [true, 'x'], c: date }, null]);
+	assert.ok(replaced[0].c === date);
+	assert.not.ok(deferred.pending);
+});
+
+test('replaces nested promises with placeholders', () => {
+	const deferred = create_deferred_serializer(options, event);
+
+	const replaced = deferred.replace({
+		a: Promise.resolve(1),
+		b: { c: [Promise.resolve(2)] }
+	});
+
+	assert.equal(replaced, {
+		a: { __sveltekit_deferred: 1 },
+		b: { c: [{ __sveltekit_deferred: 2 }] }
+	});
+	assert.ok(deferred.pending);
+});
+
+test('yields chunks in the order promises settle, including nested ones', async () => {
+	const deferred = create_deferred_serializer(options, event);
+
+	/** @type {(value: any) => void} */
+	let fulfil_slow = () => {};
+	const slow = new Promise((fulfil) => (fulfil_slow = fulfil));
+
+	deferred.replace({ slow, fast: Promise.resolve({ inner: Promise.resolve('inner') }) });
+	setTimeout(() => fulfil_slow('slow'), 10);
+
+	assert.equal(await collect(deferred), [
+		{ id: 2, data: { inner: { __sveltekit_deferred: 3 } } },
+		{ id: 3, data: 'inner' },
+		{ id: 1, data: 'slow' }
+	]);
+	assert.not.ok(deferred.pending);
+});
+
+test('serializes rejections, only reporting unexpected errors', async () => {
+	const deferred = create_deferred_serializer(options, event);
+
+	deferred.replace([Promise.reject(error(404, 'not here')), Promise.reject(new Error('oops'))]);
+
+	const chunks = await collect(deferred);
+
+	assert.equal(chunks, [
+		{ id: 1, error: { message: 'not here', status: 404, __is_http_error: true } },
+		{ id: 2, error: { name: 'Error', message: 'oops', stack: undefined } }
+	]);
+	assert.equal(
+		handled.map((error) => error.message),
+		['oops']
+	);
+});
+
+test('renders chunk scripts', () => {
+	const csp = new Csp(
+		{ mode: 'nonce', directives: { 'script-src': ['self'] }, reportOnly: {} },
+		{ dev: false, prerender: false }
+	);
+
+	assert.equal(
+		render_deferred_chunk_script({ id: 1, data: { html: '</script>' } }, csp),
+		`<script nonce="${csp.nonce}">__sveltekit_defer(1).fulfil({"html":"\\u003C/script>"})</script>\n`
+	);
+});
+
+test('adds the hashes of chunk scripts to the CSP', () => {
+	const csp = new Csp(
+		{ mode: 'hash', directives: { 'script-src': ['self'] }, reportOnly: {} },
+		{ dev: false, prerender: false }
+	);
+
+	assert.equal(
+		render_deferred_chunk_script({ id: 2, error: { message: 'oops' } }, csp),
+		'<script>__sveltekit_defer(2).reject({"message":"oops"})</script>\n'
+	);
+
+	assert.match(
+		/** @type {string} */ (csp.csp_provider.get_header()),
+		/script-src 'self' 'sha256-[^']+'/
+	);
+});
+
+test.run();
@@ -1,28 +1,21 @@
-import * as cookie from 'cookie';
 import * as set_cookie_parser from 'set-cookie-parser';
 import { respond } from '../index.js';
-import { is_root_relative, resolve } from '../../../utils/url.js';
-import { domain_matches, path_matches } from './cookie.js';
 
 /**
+ * Creates the `event.fetch` function, which makes credentialed requests to the
+ * app's own routes and assets without going over the network
  * @param {{
  *   event: import('types').RequestEvent;
  *   options: import('types').SSROptions;
  *   state: import('types').SSRState;
- *   route: import('types').SSRPage | import('types').SSRErrorPage;
+ *   route: import('types').SSRRoute | import('types').SSRErrorPage;
+ *   get_cookie_header: (url: URL) => string;
+ *   set_internal: (name: string, value: string, opts: import('cookie').CookieSerializeOptions) => void;
  * }} opts
+ * @returns {typeof fetch}
  */
-export function create_fetch({ event, options, state, route }) {
-	/** @type {import('./types').Fetched[]} */
-	const fetched = [];
-
-	const initial_cookies = cookie.parse(event.request.headers.get('cookie') || '');
-
-	/** @type {import('set-cookie-parser').Cookie[]} */
-	const cookies = [];
-
-	/** @type {typeof fetch} */
-	const fetcher = async (resource, opts = {}) => {
+export function create_fetch({ event, options, state, route, get_cookie_header, set_internal }) {
+	return async (resource, opts = {}) => {
 		/** @type {string} */
 		let requested;
 
@@ -61,183 +54,148 @@ export function create_fetch({ event, options, state, route }) {
 			}
 		}
 
-		const resolved = resolve(event.url.pathname, requested.split('?')[0]);
-
-		/** @type {Response} */
-		let response;
-
-		/** @type {import('types').PrerenderDependency} */
+		/** @type {import('types').PrerenderDependency | undefined} */
 		let dependency;
 
-		// handle fetch requests for static assets. e.g. prebaked data, etc.
-		// we need to support everything the browser's fetch supports
-		const prefix = options.paths.assets || options.paths.base;
-		const filename = decodeURIComponent(
-			resolved.startsWith(prefix) ? resolved.slice(prefix.length) : resolved
-		).slice(1);
-		const filename_html = `${filename}/index.html`; // path may also match path/index.html
+		const request = new Request(new URL(requested, event.url), /** @type {RequestInit} */ (opts));
+
+		const response = await options.hooks.handleFetch({
+			event,
+			request,
+			fetch: async (info, init) => {
+				const request =
+					info instanceof Request
+						? new Request(info, init)
+						: new Request(new URL(info, event.url), init);
+				const url = new URL(request.url);
+
+				if (url.origin !== event.url.origin) {
+					// external fetch
+					// allow cookie passthrough for "same-origin"
+					// if SvelteKit is serving my.domain.com:
+					// -        domain.com WILL NOT receive cookies
+					// -     my.domain.com WILL receive cookies
+					// -    api.domain.dom WILL NOT receive cookies
+					// - sub.my.domain.com WILL receive cookies
+					// ports do not affect the resolution
+					// leading dot prevents mydomain.com matching domain.com
+					const headers = new Headers(request.headers);
+
+					if (
+						`.${url.hostname}`.endsWith(`.${event.url.hostname}`) &&
+						request.credentials !== 'omit'
+					) {
+						const cookie = event.request.headers.get('cookie');
+						if (cookie) headers.set('cookie', cookie);
+					}
 
-		const is_asset = options.manifest.assets.has(filename);
-		const is_asset_html = options.manifest.assets.has(filename_html);
+					// we need to delete the connection header, as explained here:
+					// https://github.com/nodejs/undici/issues/1470#issuecomment-1140798467
+					// TODO this may be a case for being selective about which headers we let through
+					headers.delete('connection');
 
-		if (is_asset || is_asset_html) {
-			const file = is_asset ? filename : filename_html;
+					return fetch(new Request(request, { headers }));
+				}
 
-			if (options.read) {
-				const type = is_asset
-					? options.manifest.mimeTypes[filename.slice(filename.lastIndexOf('.'))]
-					: 'text/html';
+				// handle fetch requests for static assets. e.g. prebaked data, etc.
+				// we need to support everything the browser's fetch supports
+				const prefix = options.paths.assets || options.paths.base;
+				const filename = decodeURIComponent(
+					url.pathname.startsWith(prefix) ? url.pathname.slice(prefix.length) : url.pathname
+				).slice(1);
+				const filename_html = `${filename}/index.html`; // path may also match path/index.html
 
-				response = new Response(options.read(file), {
-					headers: type ? { 'content-type': type } : {}
-				});
-			} else {
-				response = await fetch(`${event.url.origin}/${file}`, /** @type {RequestInit} */ (opts));
-			}
-		} else if (is_root_relative(resolved)) {
-			if (opts.credentials !== 'omit') {
-				const authorization = event.request.headers.get('authorization');
+				const is_asset = options.manifest.assets.has(filename);
+				const is_asset_html = options.manifest.assets.has(filename_html);
+
+				if (is_asset || is_asset_html) {
+					const file = is_asset ? filename : filename_html;
 
-				// combine cookies from the initiating request with any that were
-				// added via set-cookie
-				const combined_cookies = { ...initial_cookies };
+					if (options.read) {
+						const type = is_asset
+							? options.manifest.mimeTypes[filename.slice(filename.lastIndexOf('.'))]
+							: 'text/html';
 
-				for (const cookie of cookies) {
-					if (!domain_matches(event.url.hostname, cookie.domain)) continue;
-					if (!path_matches(resolved, cookie.path)) continue;
+						return new Response(options.read(file), {
+							headers: type ? { 'content-type': type } : {}
+						});
+					}
 
-					combined_cookies[cookie.name] = cookie.value;
+					return await fetch(new Request(`${url.origin}/${file}`, request));
 				}
 
-				const cookie = Object.entries(combined_cookies)
-					.map(([name, value]) => `${name}=${value}`)
-					.join('; ');
+				const headers = new Headers(request.headers);
 
-				if (cookie) {
-					opts.headers.set('cookie', cookie);
-				}
+				if (request.credentials !== 'omit') {
+					const authorization = event.request.headers.get('authorization');
 
-				if (authorization && !opts.headers.has('authorization')) {
-					opts.headers.set('authorization', authorization);
-				}
-			}
+					// combine cookies from the initiating request with any that were
+					// set via `event.cookies` or a set-cookie header on an earlier response
+					const cookie = get_cookie_header(url);
 
-			if (opts.body && typeof opts.body !== 'string') {
-				// per https://developer.mozilla.org/en-US/docs/Web/API/Request/Request, this can be a
-				// Blob, BufferSource, FormData, URLSearchParams, USVString, or ReadableStream object.
-				// non-string bodies are irksome to deal with, but luckily aren't particularly useful
-				// in this context anyway, so we take the easy route and ban them
-				throw new Error('Request body must be a string');
-			}
+					if (cookie) {
+						headers.set('cookie', cookie);
+					}
+
+					if (authorization && !headers.has('authorization')) {
+						headers.set('authorization', authorization);
+					}
+				}
 
-			response = await respond(
-				new Request(new URL(requested, event.url).href, { ...opts }),
-				options,
-				{
+				const response = await respond(new Request(request, { headers }), options, {
 					...state,
 					initiator: route
-				}
-			);
+				});
 
-			if (state.prerendering) {
-				dependency = { response, body: null };
-				state.prerendering.dependencies.set(resolved, dependency);
-			}
-		} else {
-			// external
-			if (resolved.startsWith('//')) {
-				requested = event.url.protocol + requested;
-			}
+				if (state.prerendering) {
+					dependency = { response, body: null };
+					state.prerendering.dependencies.set(url.pathname, dependency);
+				}
 
-			// external fetch
-			// allow cookie passthrough for "same-origin"
-			// if SvelteKit is serving my.domain.com:
-			// -        domain.com WILL NOT receive cookies
-			// -     my.domain.com WILL receive cookies
-			// -    api.domain.dom WILL NOT receive cookies
-			// - sub.my.domain.com WILL receive cookies
-			// ports do not affect the resolution
-			// leading dot prevents mydomain.com matching domain.com
-			if (
-				`.${new URL(requested).hostname}`.endsWith(`.${event.url.hostname}`) &&
-				opts.credentials !== 'omit'
-			) {
-				const cookie = event.request.headers.get('cookie');
-				if (cookie) opts.headers.set('cookie', cookie);
+				return response;
 			}
+		});
 
-			// we need to delete the connection header, as explained here:
-			// https://github.com/nodejs/undici/issues/1470#issuecomment-1140798467
-			// TODO this may be a case for being selective about which headers we let through
-			opts.headers.delete('connection');
+		const set_cookie = response.headers.get('set-cookie');
+		if (set_cookie) {
+			for (const str of set_cookie_parser.splitCookiesString(set_cookie)) {
+				const { name, value, ...options } = set_cookie_parser.parseString(str, {
+					decodeValues: false
+				});
 
-			const external_request = new Request(requested, /** @type {RequestInit} */ (opts));
-			response = await options.hooks.externalFetch.call(null, external_request);
+				// the attributes are forwarded exactly as the subrequest set them, without our
+				// defaults. the value is already encoded, and `sameSite` is a string rather than a union
+				set_internal(
+					name,
+					value,
+					/** @type {import('cookie').CookieSerializeOptions} */ ({
+						...options,
+						encode: (value) => value
+					})
+				);
+			}
 		}
 
-		const set_cookie = response.headers.get('set-cookie');
-		if (set_cookie) {
-			cookies.push(
-				...set_cookie_parser
-					.splitCookiesString(set_cookie)
-					.map((str) => set_cookie_parser.parseString(str))
-			);
+		if (!dependency) {
+			return response;
 		}
 
-		const proxy = new Proxy(response, {
+		// when prerendering, responses for our own routes are saved alongside the page,
+		// so we need to hold on to the body once it has been read
+		const prerendered = dependency;
+
+		return new Proxy(response, {
 			get(response, key, _receiver) {
 				async function text() {
 					const body = await response.text();
-
-					/** @type {import('types').ResponseHeaders} */
-					const headers = {};
-					for (const [key, value] of response.headers) {
-						// TODO skip others besides set-cookie and etag?
-						if (key !== 'set-cookie' && key !== 'etag') {
-							headers[key] = value;
-						}
-					}
-
-					if (!opts.body || typeof opts.body === 'string') {
-						const status_number = Number(response.status);
-						if (isNaN(status_number)) {
-							throw new Error(
-								`response.status is not a number. value: "${
-									response.status
-								}" type: ${typeof response.status}`
-							);
-						}
-
-						fetched.push({
-							url: requested,
-							body: opts.body,
-							response: {
-								status: status_number,
-								statusText: response.statusText,
-								headers,
-								body
-							}
-						});
-					}
-
-					if (dependency) {
-						dependency.body = body;
-					}
-
+					prerendered.body = body;
 					return body;
 				}
 
 				if (key === 'arrayBuffer') {
 					return async () => {
 						const buffer = await response.arrayBuffer();
-
-						if (dependency) {
-							dependency.body = new Uint8Array(buffer);
-						}
-
-						// TODO should buffer be inlined into the page (albeit base64'd)?
-						// any conditions in which it shouldn't be?
-
+						prerendered.body = new Uint8Array(buffer);
 						return buffer;
 					};
 				}
@@ -252,14 +210,8 @@ export function create_fetch({ event, options, state, route }) {
 					};
 				}
 
-				// TODO arrayBuffer?
-
 				return Reflect.get(response, key, response);
 			}
 		});
-
-		return proxy;
 	};
-
-	return { fetcher, fetched, cookies };
 }
@@ -1,12 +1,17 @@
 import { negotiate } from '../../../utils/http.js';
 import { render_response } from './render.js';
 import { respond_with_error } from './respond_with_error.js';
-import { method_not_allowed, error_to_pojo, allowed_methods } from '../utils.js';
-import { create_fetch } from './fetch.js';
+import { error_to_pojo, handle_error, method_not_allowed } from '../utils.js';
 import { HttpError, Redirect } from '../../../index/private.js';
-import { error, json } from '../../../index/index.js';
+import { json } from '../../../index/index.js';
 import { normalize_error } from '../../../utils/error.js';
 import { load_data, load_server_data } from './load_data.js';
+import {
+	check_page_server_methods,
+	handle_action_json_request,
+	handle_action_request,
+	is_action_json_request
+} from './actions.js';
 
 /**
  * @typedef {import('./types.js').Loaded} Loaded
@@ -21,9 +26,10 @@ import { load_data, load_server_data } from './load_data.js';
  * @param {import('types').SSROptions} options
  * @param {import('types').SSRState} state
  * @param {import('types').RequiredResolveOptions} resolve_opts
+ * @param {import('types').SetHeaders} set_headers
  * @returns {Promise<Response>}
  */
-export async function render_page(event, route, options, state, resolve_opts) {
+export async function render_page(event, route, options, state, resolve_opts, set_headers) {
 	if (state.initiator === route) {
 		// infinite request cycle detected
 		return new Response(`Not found: ${event.url.pathname}`, {
@@ -31,6 +37,24 @@ export async function render_page(event, route, options, state, resolve_opts) {
 		});
 	}
 
+	const method = event.request.method;
+
+	if (method !== 'GET' && method !== 'HEAD' && method !== 'POST') {
+		// pages only respond to GET/HEAD, and to POST for form actions
+		return new Response(`${method} method not allowed`, {
+			status: 405,
+			headers: {
+				allow: 'GET, HEAD, POST'
+			}
+		});
+	}
+
+	if (is_action_json_request(event)) {
+		const node = await options.manifest._.nodes[route.leaf]();
+		check_page_server_methods(node.server);
+		return handle_action_json_request(event, options, node.server);
+	}
+
 	const accept = negotiate(event.request.headers.get('accept') || 'text/html', [
 		'text/html',
 		'application/json'
@@ -39,13 +63,15 @@ export async function render_page(event, route, options, state, resolve_opts) {
 	if (accept === 'application/json') {
 		const node = await options.manifest._.nodes[route.leaf]();
 		if (node.server) {
+			check_page_server_methods(node.server);
 			return handle_json_request(event, options, node.server);
 		}
 	}
 
 	const $session = await options.hooks.getSession(event);
 
-	const { fetcher, fetched, cookies } = create_fetch({ event, options, state, route });
+	/** @type {import('./types').Fetched[]} */
+	const fetched = [];
 
 	try {
 		const nodes = await Promise.all([
@@ -56,53 +82,37 @@ export async function render_page(event, route, options, state, resolve_opts) {
 
 		const leaf_node = /** @type {import('types').SSRNode} */ (nodes.at(-1));
 
+		check_page_server_methods(leaf_node.server);
+
 		let status = 200;
 
 		/** @type {HttpError | Error} */
 		let mutation_error;
 
-		/** @type {Record<string, string> | undefined} */
-		let validation_errors;
+		/** @type {import('types').ActionResult | undefined} */
+		let action_result;
 
-		if (leaf_node.server && event.request.method !== 'GET' && event.request.method !== 'HEAD') {
-			// for non-GET requests, first call handler in +page.server.js
+		if (method === 'POST') {
+			// for POST requests, first call the action in +page.server.js
 			// (this also determines status code)
-			try {
-				const method = /** @type {'POST' | 'PATCH' | 'PUT' | 'DELETE'} */ (event.request.method);
-				const handler = leaf_node.server[method];
-				if (handler) {
-					const result = await handler.call(null, event);
-
-					if (result?.errors) {
-						validation_errors = result.errors;
-						status = result.status ?? 400;
-					}
+			action_result = await handle_action_request(event, leaf_node.server);
 
-					if (event.request.method === 'POST' && result?.location) {
-						return redirect_response(status, result.location);
-					}
-				} else {
-					event.setHeaders({
-						allow: allowed_methods(leaf_node.server).join(', ')
-					});
-
-					mutation_error = error(405, 'Method not allowed');
-				}
-			} catch (e) {
-				if (e instanceof Redirect) {
-					return redirect_response(e.status, e.location);
-				}
+			if (action_result.type === 'redirect') {
+				return redirect_response(action_result.status, action_result.location);
+			}
 
-				mutation_error = /** @type {HttpError | Error} */ (e);
+			if (action_result.type === 'error') {
+				mutation_error = action_result.error;
+			} else {
+				status = action_result.status;
 			}
 		}
 
 		if (!resolve_opts.ssr) {
 			return await render_response({
 				branch: [],
-				validation_errors: undefined,
+				action_result,
 				fetched,
-				cookies,
 				page_config: {
 					hydrate: true,
 					router: true
@@ -119,9 +129,8 @@ export async function render_page(event, route, options, state, resolve_opts) {
 
 		const should_prerender = leaf_node.shared?.prerender ?? options.prerender.default;
 		if (should_prerender) {
-			const mod = leaf_node.server;
-			if (mod && (mod.POST || mod.PUT || mod.DELETE || mod.PATCH)) {
-				throw new Error('Cannot prerender pages that have endpoints with mutative methods');
+			if (leaf_node.server?.actions) {
+				throw new Error('Cannot prerender pages with actions');
 			}
 		} else if (state.prerendering) {
 			// if the page isn't marked as prerenderable (or is explicitly
@@ -140,7 +149,7 @@ export async function render_page(event, route, options, state, resolve_opts) {
 		/** @type {Error | null} */
 		let load_error = null;
 
-		/** @type {Array<Promise<import('types').JSONObject | null>>} */
+		/** @type {Array<Promise<import('types').ServerDataNode | null>>} */
 		const server_promises = nodes.map((node, i) => {
 			if (load_error) {
 				// if an error happens immediately, don't bother with the rest of the nodes
@@ -157,12 +166,14 @@ export async function render_page(event, route, options, state, resolve_opts) {
 
 					return await load_server_data({
 						event,
+						state,
 						node,
+						set_headers,
 						parent: async () => {
 							/** @type {import('types').JSONObject} */
 							const data = {};
 							for (let j = 0; j < i; j += 1) {
-								Object.assign(data, await server_promises[j]);
+								Object.assign(data, (await server_promises[j])?.data);
 							}
 							return data;
 						}
@@ -182,7 +193,7 @@ export async function render_page(event, route, options, state, resolve_opts) {
 					return await load_data({
 						$session,
 						event,
-						fetcher,
+						fetched,
 						node,
 						options,
 						parent: async () => {
@@ -193,6 +204,7 @@ export async function render_page(event, route, options, state, resolve_opts) {
 							return data;
 						},
 						server_data_promise: server_promises[i],
+						set_headers,
 						state
 					});
 				} catch (e) {
@@ -222,11 +234,8 @@ export async function render_page(event, route, options, state, resolve_opts) {
 						return redirect_response(error.status, error.location);
 					}
 
-					if (!(error instanceof HttpError)) {
-						options.handle_error(/** @type {Error} */ (error), event);
-					}
-
 					const status = error instanceof HttpError ? error.status : 500;
+					const public_error = handle_error(event, options, error);
 
 					while (i--) {
 						if (route.errors[i]) {
@@ -244,15 +253,14 @@ export async function render_page(event, route, options, state, resolve_opts) {
 								resolve_opts,
 								page_config: { router: true, hydrate: true },
 								status,
-								error,
+								error: public_error,
 								branch: compact(branch.slice(0, j + 1)).concat({
 									node,
 									data: null,
 									server_data: null
 								}),
 								fetched,
-								cookies,
-								validation_errors: undefined
+								action_result: undefined
 							});
 						}
 					}
@@ -288,8 +296,6 @@ export async function render_page(event, route, options, state, resolve_opts) {
 			state.prerendering.dependencies.set(pathname, dependency);
 		}
 
-		// TODO use validation_errors
-
 		return await render_response({
 			event,
 			options,
@@ -300,23 +306,21 @@ export async function render_page(event, route, options, state, resolve_opts) {
 			status,
 			error: null,
 			branch: compact(branch),
-			validation_errors,
-			fetched,
-			cookies
+			action_result,
+			fetched
 		});
 	} catch (error) {
 		// if we end up here, it means the data loaded successfull
 		// but the page failed to render
-		options.handle_error(/** @type {Error} */ (error), event);
-
 		return await respond_with_error({
 			event,
 			options,
 			state,
 			$session,
 			status: 500,
-			error: /** @type {Error} */ (error),
-			resolve_opts
+			error: handle_error(event, options, /** @type {Error} */ (error)),
+			resolve_opts,
+			set_headers
 		});
 	}
 }
@@ -346,34 +350,20 @@ function get_page_config(leaf, options) {
  */
 export async function handle_json_request(event, options, mod) {
 	const method = /** @type {import('types').HttpMethod} */ (event.request.method);
-	const handler = mod[method === 'HEAD' || method === 'GET' ? 'load' : method];
 
-	if (!handler) {
-		return method_not_allowed(mod, method);
+	if (!mod.load) {
+		return method_not_allowed(/** @type {Record<string, any>} */ (mod), method);
 	}
 
 	try {
 		// @ts-ignore
-		const result = await handler.call(null, event);
+		const result = await mod.load.call(null, event);
 
 		if (method === 'HEAD') {
 			return new Response();
 		}
 
-		if (method === 'GET') {
-			return json(result);
-		}
-
-		if (result?.errors) {
-			// @ts-ignore
-			return json({ errors: result.errors }, { status: result.status || 400 });
-		}
-
-		return new Response(undefined, {
-			status: 204,
-			// @ts-ignore
-			headers: result?.location ? { location: result.location } : undefined
-		});
+		return json(result);
 	} catch (e) {
 		const error = normalize_error(e);
 
@@ -381,11 +371,7 @@ export async function handle_json_request(event, options, mod) {
 			return redirect_response(error.status, error.location);
 		}
 
-		if (!(error instanceof HttpError)) {
-			options.handle_error(error, event);
-		}
-
-		return json(error_to_pojo(error, options.get_stack), {
+		return json(error_to_pojo(handle_error(event, options, error), options.get_stack), {
 			status: error instanceof HttpError ? error.status : 500
 		});
 	}
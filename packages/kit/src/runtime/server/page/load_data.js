@@ -1,33 +1,84 @@
-import { LoadURL, PrerenderingURL } from '../../../utils/url.js';
+import { LoadURL, PrerenderingURL, make_trackable } from '../../../utils/url.js';
 
 /**
- * Calls the user's `load` function.
+ * Calls the user's server `load` function, keeping track of what it uses
+ * so that the client can tell when the data needs to be reloaded
  * @param {{
  *   event: import('types').RequestEvent;
+ *   state: import('types').SSRState;
  *   node: import('types').SSRNode | undefined;
  *   parent: () => Promise<import('types').JSONObject | null>;
+ *   set_headers: import('types').SetHeaders;
  * }} opts
+ * @returns {Promise<import('types').ServerDataNode | null>}
  */
-export async function load_server_data({ event, node, parent }) {
+export async function load_server_data({ event, state, node, parent, set_headers }) {
 	if (!node?.server) return null;
 
-	const server_data = await node.server.load?.call(null, {
+	const uses = {
+		dependencies: new Set(),
+		params: new Set(),
+		parent: false,
+		url: false
+	};
+
+	const url = make_trackable(event.url, () => {
+		uses.url = true;
+	});
+
+	/** @type {Record<string, string>} */
+	const params = {};
+	for (const key in event.params) {
+		Object.defineProperty(params, key, {
+			get() {
+				uses.params.add(key);
+				return event.params[key];
+			},
+			enumerable: true
+		});
+	}
+
+	const result = await node.server.load?.call(null, {
 		// can't use destructuring here because it will always
 		// invoke event.clientAddress, which breaks prerendering
 		get clientAddress() {
 			return event.clientAddress;
 		},
+		cookies: event.cookies,
+		fetch: event.fetch,
+		/** @param {string[]} deps */
+		depends: (...deps) => {
+			for (const dep of deps) {
+				const { href } = new URL(dep, event.url);
+				uses.dependencies.add(href);
+			}
+		},
 		locals: event.locals,
-		params: event.params,
-		parent,
+		params,
+		get parent() {
+			// set on property access rather than invocation, like on the client
+			uses.parent = true;
+			return parent;
+		},
 		platform: event.platform,
 		request: event.request,
 		routeId: event.routeId,
-		setHeaders: event.setHeaders,
-		url: event.url
+		setHeaders: (headers) => set_headers(headers, /** @type {string} */ (node.server_id)),
+		url
 	});
 
-	return server_data ? unwrap_promises(server_data) : null;
+	const data = result ? await unwrap_promises(result, !!state.prerendering) : null;
+
+	return {
+		type: 'data',
+		data,
+		uses: {
+			dependencies: uses.dependencies.size > 0 ? Array.from(uses.dependencies) : undefined,
+			params: uses.params.size > 0 ? Array.from(uses.params) : undefined,
+			parent: uses.parent ? 1 : undefined,
+			url: uses.url ? 1 : undefined
+		}
+	};
 }
 
 /**
@@ -35,25 +86,28 @@ export async function load_server_data({ event, node, parent }) {
  * @param {{
  *   $session: Record<string, any>;
  *   event: import('types').RequestEvent;
- *   fetcher: typeof fetch;
+ *   fetched: import('./types').Fetched[];
  *   node: import('types').SSRNode | undefined;
  *   options: import('types').SSROptions;
  *   parent: () => Promise<Record<string, any>>;
- *   server_data_promise: Promise<import('types').JSONObject | null>;
+ *   server_data_promise: Promise<import('types').ServerDataNode | null>;
+ *   set_headers: import('types').SetHeaders;
  *   state: import('types').SSRState;
  * }} opts
  */
 export async function load_data({
 	$session,
 	event,
-	fetcher,
+	fetched,
 	node,
 	options,
 	parent,
 	server_data_promise,
+	set_headers,
 	state
 }) {
-	const server_data = await server_data_promise;
+	const server_data_node = await server_data_promise;
+	const server_data = server_data_node?.data ?? null;
 
 	if (!node?.shared?.load) {
 		return server_data;
@@ -72,23 +126,154 @@ export async function load_data({
 			}
 			return $session;
 		},
-		fetch: fetcher,
-		setHeaders: event.setHeaders,
+		fetch: async (resource, init = {}) => {
+			const response = await event.fetch(resource, init);
+
+			/** @type {string} */
+			let url;
+
+			/** @type {BodyInit | null | undefined} */
+			let body = init.body;
+
+			if (typeof resource === 'string' || resource instanceof URL) {
+				url = resource.toString();
+			} else {
+				url = resource.url;
+				if (body === undefined) body = resource.body;
+			}
+
+			// responses are inlined into the page, so that the client
+			// doesn't need to make the same requests during hydration
+			async function text() {
+				const text = await response.text();
+
+				/** @type {import('types').ResponseHeaders} */
+				const headers = {};
+				for (const [key, value] of response.headers) {
+					// TODO skip others besides set-cookie and etag?
+					if (key !== 'set-cookie' && key !== 'etag') {
+						headers[key] = value;
+					}
+				}
+
+				if (!body || typeof body === 'string') {
+					const status_number = Number(response.status);
+					if (isNaN(status_number)) {
+						throw new Error(
+							`response.status is not a number. value: "${
+								response.status
+							}" type: ${typeof response.status}`
+						);
+					}
+
+					fetched.push({
+						url,
+						body: /** @type {string | null | undefined} */ (body),
+						response: {
+							status: status_number,
+							statusText: response.statusText,
+							headers,
+							body: text
+						}
+					});
+				}
+
+				return text;
+			}
+
+			return new Proxy(response, {
+				get(response, key, _receiver) {
+					if (key === 'text') {
+						return text;
+					}
+
+					if (key === 'json') {
+						return async () => {
+							return JSON.parse(await text());
+						};
+					}
+
+					return Reflect.get(response, key, response);
+				}
+			});
+		},
+		setHeaders: (headers) => set_headers(headers, /** @type {string} */ (node.shared_id)),
 		depends: () => {},
-		parent
+		parent,
+		signal: event.request.signal
 	});
 
-	return data ? unwrap_promises(data) : null;
+	return data ? unwrap_promises(data, !!state.prerendering) : null;
 }
 
-/** @param {Record<string, any>} object */
-async function unwrap_promises(object) {
+/**
+ * Awaits top-level promises. Nested promises are left alone so that they can be
+ * streamed to the client, unless `deep` is `true` (when prerendering, there's
+ * no client to stream to)
+ * @param {Record<string, any>} object
+ * @param {boolean} deep
+ */
+async function unwrap_promises(object, deep) {
+	// a promise that rejects while we're awaiting an earlier one (or before the
+	// serializer gets to it) would otherwise be an unhandled rejection
+	catch_rejections(object);
+
 	/** @type {import('types').JSONObject} */
 	const unwrapped = {};
 
 	for (const key in object) {
-		unwrapped[key] = await object[key];
+		unwrapped[key] = deep ? await unwrap_nested_promises(object[key]) : await object[key];
 	}
 
 	return unwrapped;
 }
+
+/**
+ * @param {any} value
+ * @returns {Promise<any>}
+ */
+async function unwrap_nested_promises(value) {
+	value = await value;
+
+	if (Array.isArray(value)) {
+		return Promise.all(value.map(unwrap_nested_promises));
+	}
+
+	if (
+		value !== null &&
+		typeof value === 'object' &&
+		Object.getPrototypeOf(value) === Object.prototype
+	) {
+		/** @type {Record<string, any>} */
+		const unwrapped = {};
+
+		for (const key in value) {
+			unwrapped[key] = await unwrap_nested_promises(value[key]);
+		}
+
+		return unwrapped;
+	}
+
+	return value;
+}
+
+/**
+ * Marks every promise inside `value` as handled. Rejections still reach whoever
+ * awaits the promise later — the deferred serializer turns them into error chunks
+ * @param {any} value
+ */
+function catch_rejections(value) {
+	if (typeof value?.then === 'function') {
+		Promise.resolve(value).then(catch_rejections, () => {});
+	} else if (Array.isArray(value)) {
+		value.forEach(catch_rejections);
+	} else if (
+		value !== null &&
+		typeof value === 'object' &&
+		Object.getPrototypeOf(value) === Object.prototype
+	) {
+		for (const key in value) {
+			catch_rejections(value[key]);
+		}
+	}
+}
@@ -1,6 +1,5 @@
 import devalue from 'devalue';
 import { readable, writable } from 'svelte/store';
-import * as cookie from 'cookie';
 import { coalesce_to_error } from '../../../utils/error.js';
 import { hash } from '../../hash.js';
 import { render_json_payload_script } from '../../../utils/escape.js';
@@ -9,6 +8,11 @@ import { Csp } from './csp.js';
 import { PrerenderingURL } from '../../../utils/url.js';
 import { serialize_error } from '../utils.js';
 import { HttpError } from '../../../index/private.js';
+import {
+	create_deferred_serializer,
+	deferred_registry_script,
+	render_deferred_chunk_script
+} from './deferred.js';
 
 // TODO rename this function/module
 
@@ -22,22 +26,20 @@ const updated = {
  * @param {{
  *   branch: Array<import('./types').Loaded>;
  *   fetched: Array<import('./types').Fetched>;
- *   cookies: import('set-cookie-parser').Cookie[];
  *   options: import('types').SSROptions;
  *   state: import('types').SSRState;
  *   $session: any;
  *   page_config: { hydrate: boolean, router: boolean };
  *   status: number;
- *   error: HttpError | Error | null;
+ *   error: HttpError | Error | App.Error | null;
  *   event: import('types').RequestEvent;
  *   resolve_opts: import('types').RequiredResolveOptions;
- *   validation_errors: Record<string, string> | undefined;
+ *   action_result: import('types').ActionResult | undefined;
  * }} opts
  */
 export async function render_response({
 	branch,
 	fetched,
-	cookies,
 	options,
 	state,
 	$session,
@@ -46,7 +48,7 @@ export async function render_response({
 	error = null,
 	event,
 	resolve_opts,
-	validation_errors
+	action_result
 }) {
 	if (state.prerendering) {
 		if (options.csp.mode === 'nonce') {
@@ -72,9 +74,15 @@ export async function render_response({
 
 	let rendered;
 
-	const stack = error instanceof HttpError ? undefined : error?.stack;
+	// HttpErrors and the `App.Error` objects returned from `handleError` don't have a stack
+	const stack = error instanceof Error ? error.stack : undefined;
 
-	if (error && options.dev && !(error instanceof HttpError)) {
+	const form_value =
+		action_result?.type === 'success' || action_result?.type === 'invalid'
+			? action_result.data ?? null
+			: null;
+
+	if (options.dev && error instanceof Error) {
 		error.stack = options.get_stack(error);
 	}
 
@@ -110,9 +118,12 @@ export async function render_response({
 				routeId: event.routeId,
 				status,
 				url: state.prerendering ? new PrerenderingURL(event.url) : event.url,
-				data: branch.reduce((acc, { data }) => (Object.assign(acc, data), acc), {})
+				data: branch.reduce((acc, { data }) => (Object.assign(acc, data), acc), {}),
+				form: form_value,
+				state: {}
 			},
-			components: branch.map(({ node }) => node.component)
+			constructors: branch.map(({ node }) => node.component),
+			form: form_value
 		};
 
 		// TODO remove this for 1.0
@@ -138,8 +149,8 @@ export async function render_response({
 			props[`data_${i}`] = branch[i].data;
 		}
 
-		if (validation_errors) {
-			props.errors = validation_errors;
+		if (form_value?.errors) {
+			props.errors = form_value.errors;
 		}
 
 		rendered = options.root.render(props);
@@ -156,9 +167,50 @@ export async function render_response({
 
 	const target = hash(body);
 
+	const deferred = create_deferred_serializer(options, event);
+
+	/** @type {string[]} */
+	const serialized_data = [];
+
+	if (resolve_opts.ssr && page_config.hydrate) {
+		for (const { url, body, response } of fetched) {
+			serialized_data.push(
+				render_json_payload_script(
+					{ type: 'data', url, body: typeof body === 'string' ? hash(body) : undefined },
+					response
+				)
+			);
+		}
+
+		if (branch.some((node) => node.server_data)) {
+			serialized_data.push(
+				render_json_payload_script(
+					{ type: 'server_data' },
+					deferred.replace(branch.map(({ server_data }) => server_data))
+				)
+			);
+		}
+	}
+
+	const serialized =
+		resolve_opts.ssr && page_config.hydrate ? `\n\t${serialized_data.join('\n\t')}` : '';
+
+	// if `load` returned nested promises, the response is streamed and the app must
+	// start before the document has finished loading, which rules out a static import
+	// inside a (deferred) module script
+	const streaming = deferred.pending;
+
+	// with a hash-based CSP, the hash of every inline script must be in the header, which
+	// is sent before any chunk settles — so we wait for the chunks and inline them instead
+	const inline_chunks = streaming && csp.script_needs_hash;
+
+	const entry_import = streaming
+		? `import(${s(options.prefix + entry.file)}).then(function ({ set_public_env, start }) {`
+		: `import { set_public_env, start } from ${s(options.prefix + entry.file)};`;
+
 	// prettier-ignore
-	const init_app = `
-		import { set_public_env, start } from ${s(options.prefix + entry.file)};
+	const init_app = `${streaming ? deferred_registry_script : ''}
+		${entry_import}
 
 		set_public_env(${s(options.public_env)});
 
@@ -170,16 +222,22 @@ export async function render_response({
 			})},
 			route: ${!!page_config.router},
 			spa: ${!resolve_opts.ssr},
+			hash: ${options.hash_routing},
 			trailing_slash: ${s(options.trailing_slash)},
+			load_cache_max_age: ${options.load_cache_max_age},
+			focus: ${s(options.focus)},
 			hydrate: ${resolve_opts.ssr && page_config.hydrate ? `{
 				status: ${status},
 				error: ${error && serialize_error(error, e => e.stack)},
 				node_ids: [${branch.map(({ node }) => node.index).join(', ')}],
 				params: ${devalue(event.params)},
-				routeId: ${s(event.routeId)}
+				routeId: ${s(event.routeId)},
+				form: ${try_serialize(form_value, (error) => {
+					throw new Error(`Failed to serialize action data: ${error.message}`);
+				})}
 			}` : 'null'}
 		});
-	`;
+	${streaming ? '});' : ''}`;
 
 	// we use an anonymous function instead of an arrow function to support
 	// older browsers (https://github.com/sveltejs/kit/pull/5417)
@@ -233,7 +291,8 @@ export async function render_response({
 			}
 		}
 
-		const attributes = ['type="module"', `data-sveltekit-hydrate="${target}"`];
+		const attributes = [`data-sveltekit-hydrate="${target}"`];
+		if (!streaming) attributes.unshift('type="module"');
 
 		csp.add_script(init_app);
 
@@ -241,32 +300,16 @@ export async function render_response({
 			attributes.push(`nonce="${csp.nonce}"`);
 		}
 
-		body += `\n\t\t<script ${attributes.join(' ')}>${init_app}</script>`;
-	}
+		const script = `\n\t\t<script ${attributes.join(' ')}>${init_app}</script>`;
 
-	if (resolve_opts.ssr && page_config.hydrate) {
-		/** @type {string[]} */
-		const serialized_data = [];
-
-		for (const { url, body, response } of fetched) {
-			serialized_data.push(
-				render_json_payload_script(
-					{ type: 'data', url, body: typeof body === 'string' ? hash(body) : undefined },
-					response
-				)
-			);
-		}
+		// when streaming, the app starts immediately, so the data it reads must already be in the document
+		body += streaming ? serialized + script : script + serialized;
 
-		if (branch.some((node) => node.server_data)) {
-			serialized_data.push(
-				render_json_payload_script(
-					{ type: 'server_data' },
-					branch.map(({ server_data }) => server_data)
-				)
-			);
+		if (inline_chunks) {
+			for await (const chunk of deferred.chunks()) {
+				body += render_deferred_chunk_script(chunk, csp);
+			}
 		}
-
-		body += `\n\t${serialized_data.join('\n\t')}`;
 	}
 
 	if (options.service_worker) {
@@ -300,17 +343,22 @@ export async function render_response({
 		options.paths.assets || (segments.length > 0 ? segments.map(() => '..').join('/') : '.');
 
 	// TODO flush chunks as early as we can
-	const html =
-		(await resolve_opts.transformPageChunk({
-			html: options.template({ head, body, assets, nonce: /** @type {string} */ (csp.nonce) }),
-			done: true
-		})) || '';
-
-	const headers = new Headers({
-		'content-type': 'text/html',
-		etag: `"${hash(html)}"`
+	const template = options.template({
+		head,
+		body,
+		assets,
+		nonce: /** @type {string} */ (csp.nonce)
 	});
 
+	/**
+	 * @param {string} html
+	 * @param {boolean} done
+	 */
+	const transform = async (html, done) =>
+		(await resolve_opts.transformPageChunk({ html, done })) || '';
+
+	const headers = new Headers({ 'content-type': 'text/html' });
+
 	if (!state.prerendering) {
 		const csp_header = csp.csp_provider.get_header();
 		if (csp_header) {
@@ -321,26 +369,53 @@ export async function render_response({
 			headers.set('content-security-policy-report-only', report_only_header);
 		}
 
-		for (const new_cookie of cookies) {
-			const { name, value, ...options } = new_cookie;
-			// @ts-expect-error
-			headers.append('set-cookie', cookie.serialize(name, value, options));
-		}
-
 		if (link_header_preloads.size) {
 			headers.set('link', Array.from(link_header_preloads).join(', '));
 		}
 	}
 
-	if (error && options.dev && !(error instanceof HttpError)) {
+	if (options.dev && error instanceof Error) {
 		// reset stack, otherwise it may be 'fixed' a second time
 		error.stack = stack;
 	}
 
-	return new Response(html, {
-		status,
-		headers
-	});
+	if (!streaming || inline_chunks) {
+		const html = await transform(template, true);
+		headers.set('etag', `"${hash(html)}"`);
+
+		return new Response(html, {
+			status,
+			headers
+		});
+	}
+
+	const encoder = new TextEncoder();
+
+	// chunks are written before `</body>`, so that the document is still valid. every
+	// part of the response goes through `transformPageChunk`, and only the last is `done`
+	const index = template.lastIndexOf('</body>');
+	const before = index === -1 ? template : template.slice(0, index);
+	const after = index === -1 ? '' : template.slice(index);
+
+	return new Response(
+		new ReadableStream({
+			async start(controller) {
+				controller.enqueue(encoder.encode(await transform(before, false)));
+
+				for await (const chunk of deferred.chunks()) {
+					const script = render_deferred_chunk_script(chunk, csp);
+					controller.enqueue(encoder.encode(await transform(script, false)));
+				}
+
+				controller.enqueue(encoder.encode(await transform(after, true)));
+				controller.close();
+			}
+		}),
+		{
+			status,
+			headers
+		}
+	);
 }
 
 /**
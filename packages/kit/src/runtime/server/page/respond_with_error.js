@@ -1,8 +1,6 @@
 import { render_response } from './render.js';
 import { load_data, load_server_data } from './load_data.js';
 import { coalesce_to_error } from '../../../utils/error.js';
-import { GENERIC_ERROR } from '../utils.js';
-import { create_fetch } from './fetch.js';
 
 /**
  * @typedef {import('./types.js').Loaded} Loaded
@@ -17,8 +15,9 @@ import { create_fetch } from './fetch.js';
  *   state: SSRState;
  *   $session: any;
  *   status: number;
- *   error: Error;
+ *   error: import('../../../index/private.js').HttpError | Error | App.Error;
  *   resolve_opts: import('types').RequiredResolveOptions;
+ *   set_headers: import('types').SetHeaders;
  * }} opts
  */
 export async function respond_with_error({
@@ -28,14 +27,11 @@ export async function respond_with_error({
 	$session,
 	status,
 	error,
-	resolve_opts
+	resolve_opts,
+	set_headers
 }) {
-	const { fetcher, fetched, cookies } = create_fetch({
-		event,
-		options,
-		state,
-		route: GENERIC_ERROR
-	});
+	/** @type {import('./types').Fetched[]} */
+	const fetched = [];
 
 	try {
 		const branch = [];
@@ -45,8 +41,10 @@ export async function respond_with_error({
 
 			const server_data_promise = load_server_data({
 				event,
+				state,
 				node: default_layout,
-				parent: async () => ({})
+				parent: async () => ({}),
+				set_headers
 			});
 
 			const server_data = await server_data_promise;
@@ -54,11 +52,12 @@ export async function respond_with_error({
 			const data = await load_data({
 				$session,
 				event,
-				fetcher,
+				fetched,
 				node: default_layout,
 				options,
 				parent: async () => ({}),
 				server_data_promise,
+				set_headers,
 				state
 			});
 
@@ -88,10 +87,9 @@ export async function respond_with_error({
 			error,
 			branch,
 			fetched,
-			cookies,
 			event,
 			resolve_opts,
-			validation_errors: undefined
+			action_result: undefined
 		});
 	} catch (err) {
 		const error = coalesce_to_error(err);
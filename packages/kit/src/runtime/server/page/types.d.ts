@@ -1,4 +1,5 @@
-import { JSONValue, ResponseHeaders, SSRNode, CspDirectives } from 'types';
+import { CookieSerializeOptions } from 'cookie';
+import { JSONValue, ResponseHeaders, SSRNode, CspDirectives, ServerDataNode } from 'types';
 import { HttpError } from '../../../index/private';
 
 export interface Fetched {
@@ -18,10 +19,22 @@ export interface FetchState {
 	new_cookies: string[];
 }
 
+export interface NewCookie {
+	name: string;
+	value: string;
+	options: CookieSerializeOptions;
+}
+
+export interface DeferredChunk {
+	id: number;
+	data?: JSONValue;
+	error?: JSONValue;
+}
+
 export type Loaded = {
 	node: SSRNode;
 	data: Record<string, any> | null;
-	server_data: JSONValue;
+	server_data: ServerDataNode | null;
 };
 
 type CspMode = 'hash' | 'nonce' | 'auto';
@@ -22,7 +22,7 @@ export function is_pojo(body) {
  * Serialize an error into a JSON string through `error_to_pojo`.
  * This is necessary because `JSON.stringify(error) === '{}'`
  *
- * @param {Error | HttpError} error
+ * @param {Error | HttpError | App.Error} error
  * @param {(error: Error) => string | undefined} get_stack
  */
 export function serialize_error(error, get_stack) {
@@ -34,8 +34,9 @@ export function serialize_error(error, get_stack) {
  * and (in dev) `stack`, plus any custom properties, plus recursively
  * serialized `cause` properties.
  * Our own HttpError gets a meta property attached so we can identify it on the client.
+ * An `App.Error` returned from the `handleError` hook is already a POJO, and is returned as-is.
  *
- * @param {HttpError | Error } error
+ * @param {HttpError | Error | App.Error} error
  * @param {(error: Error) => string | undefined} get_stack
  */
 export function error_to_pojo(error, get_stack) {
@@ -47,6 +48,10 @@ export function error_to_pojo(error, get_stack) {
 		});
 	}
 
+	if (!(error instanceof Error)) {
+		return error;
+	}
+
 	const {
 		name,
 		message,
@@ -114,3 +119,17 @@ export function allowed_methods(mod) {
 
 	return allowed;
 }
+
+/**
+ * Reports an unexpected error to the `handleError` hook, and returns the error that should
+ * be shown to the user — the `App.Error` returned by the hook if there is one, otherwise
+ * the error itself. Expected errors (i.e. `HttpError`) are returned without calling the hook
+ * @param {import('types').RequestEvent} event
+ * @param {import('types').SSROptions} options
+ * @param {HttpError | Error} error
+ * @returns {HttpError | Error | App.Error}
+ */
+export function handle_error(event, options, error) {
+	if (error instanceof HttpError) return error;
+	return options.handle_error(error, event) ?? error;
+}
@@ -42,4 +42,13 @@ test('serialize_error', () => {
 	);
 });
 
+test('serialize_error leaves App.Error objects untouched', () => {
+	const error = { message: 'something went wrong', id: 'abc123' };
+
+	assert.equal(
+		serialize_error(error, () => 'stack'),
+		JSON.stringify({ message: 'something went wrong', id: 'abc123' })
+	);
+});
+
 test.run();
@@ -0,0 +1,37 @@
+// comments are sent periodically so that proxies don't close the connection for being idle
+const HEARTBEAT_INTERVAL = 30000;
+
+/**
+ * Responds with a stream of server-sent events containing the version of the app. The
+ * version is sent as soon as the client connects — when a new version is deployed, the
+ * old server goes away, and the client reconnects to the new one and learns about it
+ * @param {string} version
+ * @returns {Response}
+ */
+export function stream_version(version) {
+	const encoder = new TextEncoder();
+
+	/** @type {ReturnType<typeof setInterval>} */
+	let interval;
+
+	return new Response(
+		new ReadableStream({
+			start(controller) {
+				controller.enqueue(encoder.encode(`data: ${JSON.stringify({ version })}\n\n`));
+
+				interval = setInterval(() => {
+					controller.enqueue(encoder.encode(':\n\n'));
+				}, HEARTBEAT_INTERVAL);
+			},
+			cancel() {
+				clearInterval(interval);
+			}
+		}),
+		{
+			headers: {
+				'content-type': 'text/event-stream',
+				'cache-control': 'no-cache'
+			}
+		}
+	);
+}
@@ -0,0 +1,23 @@
+import { test } from 'uvu';
+import * as assert from 'uvu/assert';
+import { installPolyfills } from '../../node/polyfills.js';
+import { stream_version } from './version.js';
+
+installPolyfills();
+
+test('streams the version as a server-sent event', async () => {
+	const response = stream_version('1.2.3');
+
+	assert.equal(response.headers.get('content-type'), 'text/event-stream');
+	assert.equal(response.headers.get('cache-control'), 'no-cache');
+
+	const reader = /** @type {ReadableStream<Uint8Array>} */ (response.body).getReader();
+	const { value } = await reader.read();
+
+	assert.equal(new TextDecoder().decode(value), 'data: {"version":"1.2.3"}\n\n');
+
+	// stops the heartbeat, otherwise the test process wouldn't exit
+	await reader.cancel();
+});
+
+test.run();
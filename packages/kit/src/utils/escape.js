@@ -42,10 +42,7 @@ const render_json_payload_script_regex = new RegExp(
  * @example const html = render_json_payload_script({ type: 'data', url: '/data.json' }, { foo: 'bar' });
  */
 export function render_json_payload_script(attrs, payload) {
-	const safe_payload = JSON.stringify(payload).replace(
-		render_json_payload_script_regex,
-		(match) => render_json_payload_script_dict[match]
-	);
+	const safe_payload = render_json_payload(payload);
 
 	let safe_attrs = '';
 	for (const [key, value] of Object.entries(attrs)) {
@@ -56,6 +53,20 @@ export function render_json_payload_script(attrs, payload) {
 	return `<script type="application/json"${safe_attrs}>${safe_payload}</script>`;
 }
 
+/**
+ * Serializes `payload` to JSON that can be safely embedded anywhere inside a script element,
+ * including as an expression in executable code.
+ *
+ * @param {import('types').JSONValue} payload The data to serialize. Must be serializable to JSON.
+ * @returns {string}
+ */
+export function render_json_payload(payload) {
+	return JSON.stringify(payload).replace(
+		render_json_payload_script_regex,
+		(match) => render_json_payload_script_dict[match]
+	);
+}
+
 /**
  * When inside a double-quoted attribute value, only `&` and `"` hold special meaning.
  * @see https://html.spec.whatwg.org/multipage/parsing.html#attribute-value-(double-quoted)-state
@@ -1,6 +1,6 @@
 import { suite } from 'uvu';
 import * as assert from 'uvu/assert';
-import { render_json_payload_script, escape_html_attr } from './escape.js';
+import { render_json_payload, render_json_payload_script, escape_html_attr } from './escape.js';
 
 const json = suite('render_json_payload_script');
 
@@ -35,6 +35,13 @@ json('escapes the attribute values', () => {
 	);
 });
 
+json('escapes payloads embedded in executable scripts', () => {
+	assert.equal(
+		render_json_payload({ unsafe: '</script><!--\u2028' }),
+		'{"unsafe":"\\u003C/script>\\u003C!--\\u2028"}'
+	);
+});
+
 const attr = suite('escape_html_attr');
 
 attr('escapes special attribute characters', () => {
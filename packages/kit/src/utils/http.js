@@ -53,3 +53,81 @@ export function negotiate(accept, types) {
 
 	return accepted;
 }
+
+/**
+ * Returns `true` if the request has a content type that an HTML `<form>` can
+ * submit, which means a cross-site page can send it without a CORS preflight
+ * @param {Request} request
+ */
+export function is_form_content_type(request) {
+	const type = request.headers.get('content-type')?.split(';', 1)[0].trim().toLowerCase();
+
+	return (
+		type === 'application/x-www-form-urlencoded' ||
+		type === 'multipart/form-data' ||
+		type === 'text/plain'
+	);
+}
+
+// directives that relax caching, so they only survive a merge if both values have them
+const PERMISSIVE = new Set(['public', 'immutable', 'stale-while-revalidate', 'stale-if-error']);
+
+// directives whose value is a number of seconds, which is merged by taking the smallest
+const DURATIONS = new Set(['max-age', 's-maxage', 'stale-while-revalidate', 'stale-if-error']);
+
+/**
+ * Combines two `cache-control` values into one that is at least as restrictive
+ * as each of them, so that data from several `load` functions can share a response
+ * @param {string} a
+ * @param {string} b
+ */
+export function merge_cache_control(a, b) {
+	const x = parse_cache_control(a);
+	const y = parse_cache_control(b);
+
+	if (x.has('no-store') || y.has('no-store')) return 'no-store';
+
+	if (x.has('private') || y.has('private')) {
+		// shared caches mustn't store the response, and browsers shouldn't keep it
+		// for longer than the private value allows
+		for (const directives of [x, y]) {
+			directives.delete('public');
+			directives.delete('s-maxage');
+			if (!directives.has('private')) directives.delete('max-age');
+		}
+	}
+
+	/** @type {Map<string, string | null>} */
+	const merged = new Map();
+
+	for (const [name, value] of [...x, ...y]) {
+		if (merged.has(name)) continue;
+
+		const other = x.has(name) ? y : x;
+
+		if (PERMISSIVE.has(name) && !other.has(name)) continue;
+
+		if (DURATIONS.has(name) && other.has(name)) {
+			merged.set(name, String(Math.min(Number(value), Number(other.get(name)))));
+		} else {
+			merged.set(name, value);
+		}
+	}
+
+	return Array.from(merged)
+		.map(([name, value]) => (value === null ? name : `${name}=${value}`))
+		.join(', ');
+}
+
+/** @param {string} value */
+function parse_cache_control(value) {
+	/** @type {Map<string, string | null>} */
+	const directives = new Map();
+
+	for (const directive of value.split(',')) {
+		const [name, argument] = directive.trim().split('=');
+		if (name) directives.set(name.toLowerCase(), argument?.replace(/^"(.*)"$/, '$1') ?? null);
+	}
+
+	return directives;
+}
@@ -1,6 +1,9 @@
 import { test } from 'uvu';
 import * as assert from 'uvu/assert';
-import { negotiate } from './http.js';
+import { installPolyfills } from '../node/polyfills.js';
+import { is_form_content_type, merge_cache_control, negotiate } from './http.js';
+
+installPolyfills();
 
 test('handle valid accept header value', () => {
 	const accept = 'text/html';
@@ -12,4 +15,60 @@ test('handle invalid accept header value', () => {
 	assert.equal(negotiate(accept, ['text/html']), 'text/html');
 });
 
+test('merge_cache_control takes the smallest max-age', () => {
+	assert.equal(merge_cache_control('max-age=60', 'max-age=3600'), 'max-age=60');
+	assert.equal(
+		merge_cache_control('max-age=3600, s-maxage=600', 'max-age=60'),
+		'max-age=60, s-maxage=600'
+	);
+});
+
+test('merge_cache_control prefers private over public', () => {
+	assert.equal(merge_cache_control('public, max-age=60', 'private'), 'private');
+	assert.equal(merge_cache_control('public, max-age=60', 'public'), 'public, max-age=60');
+});
+
+test('merge_cache_control only keeps a max-age given alongside private', () => {
+	assert.equal(
+		merge_cache_control('public, max-age=3600, s-maxage=3600', 'private, max-age=60'),
+		'private, max-age=60'
+	);
+	assert.equal(
+		merge_cache_control('private, max-age=60', 'private, max-age=30'),
+		'private, max-age=30'
+	);
+	assert.equal(merge_cache_control('private', 'max-age=60, no-cache'), 'private, no-cache');
+});
+
+test('merge_cache_control drops permissive directives unless both values have them', () => {
+	assert.equal(merge_cache_control('max-age=60, immutable', 'max-age=120'), 'max-age=60');
+	assert.equal(
+		merge_cache_control('stale-while-revalidate=30', 'stale-while-revalidate=10'),
+		'stale-while-revalidate=10'
+	);
+});
+
+test('merge_cache_control keeps restrictive directives from either value', () => {
+	assert.equal(merge_cache_control('max-age=60', 'no-cache'), 'max-age=60, no-cache');
+	assert.equal(
+		merge_cache_control('MAX-AGE=60, must-revalidate', ''),
+		'max-age=60, must-revalidate'
+	);
+});
+
+test('merge_cache_control with no-store', () => {
+	assert.equal(merge_cache_control('public, max-age=3600', 'no-store'), 'no-store');
+});
+
+test('is_form_content_type recognises content types that forms can submit', () => {
+	/** @param {string} type */
+	const request = (type) => new Request('http://localhost', { headers: { 'content-type': type } });
+
+	assert.ok(is_form_content_type(request('application/x-www-form-urlencoded')));
+	assert.ok(is_form_content_type(request('multipart/form-data; boundary=something')));
+	assert.ok(is_form_content_type(request('Text/Plain;charset=UTF-8')));
+	assert.ok(!is_form_content_type(request('application/json')));
+	assert.ok(!is_form_content_type(new Request('http://localhost')));
+});
+
 test.run();
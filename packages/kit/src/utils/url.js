@@ -95,3 +95,34 @@ export class PrerenderingURL extends URL {
 		throw new Error('Cannot access url.searchParams on a page with prerendering enabled');
 	}
 }
+
+const tracked_url_properties = ['href', 'pathname', 'search', 'searchParams', 'toString', 'toJSON'];
+
+/**
+ * Returns a copy of `url` that calls `callback` whenever something that identifies
+ * the location (`href`, `pathname`, `search` etc) is read
+ * @param {URL} url
+ * @param {() => void} callback
+ */
+export function make_trackable(url, callback) {
+	const tracked = new URL(url);
+
+	for (const property of tracked_url_properties) {
+		let value = /** @type {any} */ (tracked)[property];
+
+		if (typeof value === 'function') {
+			value = value.bind(tracked);
+		}
+
+		Object.defineProperty(tracked, property, {
+			get() {
+				callback();
+				return value;
+			},
+			enumerable: true,
+			configurable: true
+		});
+	}
+
+	return tracked;
+}
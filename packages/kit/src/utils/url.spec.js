@@ -1,6 +1,6 @@
 import { suite } from 'uvu';
 import * as assert from 'uvu/assert';
-import { resolve, normalize_path, LoadURL, PrerenderingURL } from './url.js';
+import { resolve, normalize_path, LoadURL, PrerenderingURL, make_trackable } from './url.js';
 
 /**
  *
@@ -127,3 +127,18 @@ describe('PrerenderingURL', (test) => {
 		});
 	});
 });
+
+describe('make_trackable', (test) => {
+	test('calls the callback when the location is read', () => {
+		let calls = 0;
+		const url = make_trackable(new URL('https://kit.svelte.dev/docs?a=1'), () => (calls += 1));
+
+		assert.equal(url.origin, 'https://kit.svelte.dev');
+		assert.equal(calls, 0);
+
+		assert.equal(url.pathname, '/docs');
+		assert.equal(url.searchParams.get('a'), '1');
+		assert.equal(url.toString(), 'https://kit.svelte.dev/docs?a=1');
+		assert.equal(calls, 3);
+	});
+});
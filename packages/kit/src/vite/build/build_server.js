@@ -49,10 +49,12 @@ export class Server {
 	constructor(manifest) {
 		this.options = {
 			csp: ${s(config.kit.csp)},
+			csrf: ${s(config.kit.csrf)},
 			dev: false,
+			focus: ${s(config.kit.a11y.focus)},
 			get_stack: error => String(error), // for security
 			handle_error: (error, event) => {
-				this.options.hooks.handleError({
+				const public_error = this.options.hooks.handleError({
 					error,
 					event,
 
@@ -63,9 +65,12 @@ export class Server {
 					}
 				});
 				error.stack = this.options.get_stack(error);
+				return public_error;
 			},
+			hash_routing: ${s(config.kit.router.type === 'hash')},
 			hooks: null,
 			hydrate: ${s(config.kit.browser.hydrate)},
+			load_cache_max_age: ${s(config.kit.loadCache.maxAge)},
 			manifest,
 			method_override: ${s(config.kit.methodOverride)},
 			paths: { base, assets },
@@ -81,7 +86,9 @@ export class Server {
 			router: ${s(config.kit.browser.router)},
 			template,
 			template_contains_nonce: ${template.includes('%sveltekit.nonce%')},
-			trailing_slash: ${s(config.kit.trailingSlash)}
+			trailing_slash: ${s(config.kit.trailingSlash)},
+			version: ${s(config.kit.version)},
+			websocket_max_payload: ${s(config.kit.webSockets.maxPayload)}
 		};
 	}
 
@@ -113,8 +120,12 @@ export class Server {
 				getSession: module.getSession || (() => ({})),
 				handle: module.handle || (({ event, resolve }) => resolve(event)),
 				handleError: module.handleError || (({ error }) => console.error(error.stack)),
-				externalFetch: module.externalFetch || fetch
+				handleFetch: module.handleFetch || (({ request, fetch }) => fetch(request))
 			};
+
+			if (module.externalFetch) {
+				throw new Error('The externalFetch hook has been replaced by handleFetch. See https://kit.svelte.dev/docs/hooks#handlefetch');
+			}
 		}
 
 		return respond(request, this.options, options);
@@ -160,8 +171,10 @@ export async function build_server(options, client) {
 
 	// add entry points for every endpoint...
 	manifest_data.routes.forEach((route) => {
-		if (route.type === 'endpoint') {
-			const resolved = path.resolve(cwd, route.file);
+		const file = route.type === 'endpoint' ? route.file : route.endpoint;
+
+		if (file) {
+			const resolved = path.resolve(cwd, file);
 			const relative = decodeURIComponent(path.relative(config.kit.files.routes, resolved));
 			const name = posixify(path.join('entries/endpoints', relative.replace(/\.js$/, '')));
 			input[name] = resolved;
@@ -268,11 +281,13 @@ export async function build_server(options, client) {
 
 			imports.push(`import * as shared from '../${vite_manifest[node.shared].file}';`);
 			exports.push(`export { shared };`);
+			exports.push(`export const shared_id = ${s(node.shared)};`);
 		}
 
 		if (node.server) {
 			imports.push(`import * as server from '../${vite_manifest[node.server].file}';`);
 			exports.push(`export { server };`);
+			exports.push(`export const server_id = ${s(node.server)};`);
 		}
 
 		exports.push(
@@ -300,19 +315,21 @@ export async function build_server(options, client) {
 		fs.writeFileSync(out, `${imports.join('\n')}\n\n${exports.join('\n')}\n`);
 	});
 
+	const exports = get_exports(cwd, chunks);
+
 	return {
 		chunks,
 		vite_manifest,
-		methods: get_methods(cwd, chunks, manifest_data)
+		methods: get_methods(exports, manifest_data),
+		sockets: get_sockets(exports, manifest_data)
 	};
 }
 
 /**
  * @param {string} cwd
  * @param {import('rollup').OutputChunk[]} output
- * @param {import('types').ManifestData} manifest_data
  */
-function get_methods(cwd, output, manifest_data) {
+function get_exports(cwd, output) {
 	/** @type {Record<string, string[]>} */
 	const lookup = {};
 	output.forEach((chunk) => {
@@ -321,15 +338,43 @@ function get_methods(cwd, output, manifest_data) {
 		lookup[id] = chunk.exports;
 	});
 
+	return lookup;
+}
+
+/**
+ * @param {Record<string, string[]>} lookup
+ * @param {import('types').ManifestData} manifest_data
+ */
+function get_methods(lookup, manifest_data) {
 	/** @type {Record<string, import('types').HttpMethod[]>} */
 	const methods = {};
 	manifest_data.routes.forEach((route) => {
-		const file = route.type === 'endpoint' ? route.file : route.leaf.server;
+		const files = route.type === 'endpoint' ? [route.file] : [route.leaf.server, route.endpoint];
 
-		if (file && lookup[file]) {
-			methods[file] = lookup[file].filter(is_http_method);
+		for (const file of files) {
+			if (file && lookup[file]) {
+				methods[file] = lookup[file].filter(is_http_method);
+			}
 		}
 	});
 
 	return methods;
 }
+
+/**
+ * @param {Record<string, string[]>} lookup
+ * @param {import('types').ManifestData} manifest_data
+ */
+function get_sockets(lookup, manifest_data) {
+	/** @type {string[]} */
+	const sockets = [];
+	manifest_data.routes.forEach((route) => {
+		const file = route.type === 'endpoint' ? route.file : route.endpoint;
+
+		if (file && lookup[file]?.includes('socket')) {
+			sockets.push(file);
+		}
+	});
+
+	return sockets;
+}
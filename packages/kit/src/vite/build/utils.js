@@ -117,6 +117,9 @@ export const get_default_config = function ({ config, input, ssr, outDir }) {
 			__SVELTEKIT_APP_VERSION__: JSON.stringify(config.kit.version.name),
 			__SVELTEKIT_APP_VERSION_FILE__: JSON.stringify(`${config.kit.appDir}/version.json`),
 			__SVELTEKIT_APP_VERSION_POLL_INTERVAL__: JSON.stringify(config.kit.version.pollInterval),
+			__SVELTEKIT_APP_VERSION_STREAM__: JSON.stringify(
+				config.kit.version.push ? `${config.kit.appDir}/version` : null
+			),
 			__SVELTEKIT_DEV__: 'false'
 		},
 		publicDir: ssr ? false : config.kit.files.assets,
@@ -3,7 +3,7 @@ import colors from 'kleur';
 import path from 'path';
 import sirv from 'sirv';
 import { URL } from 'url';
-import { getRequest, setResponse } from '../../node/index.js';
+import { getRequest, handleUpgrade, setResponse } from '../../node/index.js';
 import { installPolyfills } from '../../node/polyfills.js';
 import { coalesce_to_error } from '../../utils/error.js';
 import { posixify } from '../../utils/filesystem.js';
@@ -103,6 +103,7 @@ export async function dev(vite, vite_config, svelte_config, illegal_imports) {
 							module_nodes.push(module_node);
 
 							result.shared = module;
+							result.shared_id = node.shared;
 
 							prevent_illegal_vite_imports(
 								module_node,
@@ -115,6 +116,7 @@ export async function dev(vite, vite_config, svelte_config, illegal_imports) {
 						if (node.server) {
 							const { module } = await resolve(node.server);
 							result.server = module;
+							result.server_id = node.server;
 						}
 
 						// in dev we inline all styles to avoid FOUC. this gets populated lazily so that
@@ -168,7 +170,13 @@ export async function dev(vite, vite_config, svelte_config, illegal_imports) {
 							layouts: route.layouts.map((id) =>
 								id ? manifest_data.nodes.indexOf(id) : undefined
 							),
-							leaf: manifest_data.nodes.indexOf(route.leaf)
+							leaf: manifest_data.nodes.indexOf(route.leaf),
+							endpoint: route.endpoint
+								? async () => {
+										const url = path.resolve(cwd, /** @type {string} */ (route.endpoint));
+										return await vite.ssrLoadModule(url);
+								  }
+								: null
 						};
 					}
 
@@ -178,6 +186,7 @@ export async function dev(vite, vite_config, svelte_config, illegal_imports) {
 						pattern,
 						names,
 						types,
+						layouts: route.layouts.map((id) => (id ? manifest_data.nodes.indexOf(id) : undefined)),
 						load: async () => {
 							const url = path.resolve(cwd, route.file);
 							return await vite.ssrLoadModule(url);
@@ -282,6 +291,183 @@ export async function dev(vite, vite_config, svelte_config, illegal_imports) {
 		}
 	});
 
+	/**
+	 * Renders a response using the latest hooks, root component and environment variables
+	 * @param {import('http').IncomingMessage} req
+	 * @param {Request} request
+	 * @param {import('types').RequestOptions['upgrade']} [upgrade]
+	 * @returns {Promise<Response>}
+	 */
+	async function render(req, request, upgrade) {
+		// For some reason using runtime_prefix here is buggy, since Vite will later load the modules
+		// again with a slightly different url (with the drive letter) on windows
+		const runtime_base = `/@fs${
+			// Windows/Linux separation - Windows starts with a drive letter, we need a / in front there
+			runtime_directory.startsWith('/') ? '' : '/'
+		}${runtime_directory}`;
+
+		const { set_private_env } = await vite.ssrLoadModule(`${runtime_base}/env-private.js`);
+		const { set_public_env } = await vite.ssrLoadModule(`${runtime_base}/env-public.js`);
+
+		const env = get_env(vite_config.mode, svelte_config.kit.env.publicPrefix);
+		set_private_env(env.private);
+		set_public_env(env.public);
+
+		/** @type {Partial<import('types').Hooks>} */
+		const user_hooks = resolve_entry(svelte_config.kit.files.hooks)
+			? await vite.ssrLoadModule(`/${svelte_config.kit.files.hooks}`)
+			: {};
+
+		const handle = user_hooks.handle || (({ event, resolve }) => resolve(event));
+
+		/** @type {import('types').Hooks} */
+		const hooks = {
+			getSession: user_hooks.getSession || (() => ({})),
+			handle,
+			handleError:
+				user_hooks.handleError ||
+				(({ /** @type {Error & { frame?: string; handler?: string }} */ error }) => {
+					console.error(colors.bold().red(error.message));
+					if (error.handler) {
+						console.error(colors.gray(`Thrown by the ${error.handler} handle function`));
+					}
+					if (error.frame) {
+						console.error(colors.gray(error.frame));
+					}
+					if (error.stack) {
+						console.error(colors.gray(error.stack));
+					}
+				}),
+			handleFetch: user_hooks.handleFetch || (({ request, fetch }) => fetch(request))
+		};
+
+		if (/** @type {any} */ (hooks).getContext) {
+			// TODO remove this for 1.0
+			throw new Error(
+				'The getContext hook has been removed. See https://kit.svelte.dev/docs/hooks'
+			);
+		}
+
+		if (/** @type {any} */ (hooks).serverFetch) {
+			// TODO remove this for 1.0
+			throw new Error('The serverFetch hook has been replaced by handleFetch.');
+		}
+
+		if (/** @type {any} */ (user_hooks).externalFetch) {
+			// TODO remove this for 1.0
+			throw new Error(
+				'The externalFetch hook has been replaced by handleFetch. See https://kit.svelte.dev/docs/hooks#handlefetch'
+			);
+		}
+
+		// TODO the / prefix will probably fail if outDir is outside the cwd (which
+		// could be the case in a monorepo setup), but without it these modules
+		// can get loaded twice via different URLs, which causes failures. Might
+		// require changes to Vite to fix
+		const { default: root } = await vite.ssrLoadModule(
+			`/${posixify(path.relative(cwd, `${svelte_config.kit.outDir}/generated/root.svelte`))}`
+		);
+
+		const paths = await vite.ssrLoadModule(`${runtime_base}/paths.js`);
+
+		paths.set_paths({
+			base: svelte_config.kit.paths.base,
+			assets
+		});
+
+		const template = load_template(cwd, svelte_config);
+
+		return respond(
+			request,
+			{
+				csp: svelte_config.kit.csp,
+				csrf: svelte_config.kit.csrf,
+				dev: true,
+				focus: svelte_config.kit.a11y.focus,
+				get_stack: (error) => fix_stack_trace(error),
+				handle_error: (error, event) => {
+					return hooks.handleError({
+						error: new Proxy(error, {
+							get: (target, property) => {
+								if (property === 'stack') {
+									return fix_stack_trace(error);
+								}
+
+								return Reflect.get(target, property, target);
+							}
+						}),
+						event,
+
+						// TODO remove for 1.0
+						// @ts-expect-error
+						get request() {
+							throw new Error(
+								'request in handleError has been replaced with event. See https://github.com/sveltejs/kit/pull/3384 for details'
+							);
+						}
+					});
+				},
+				hash_routing: svelte_config.kit.router.type === 'hash',
+				hooks,
+				hydrate: svelte_config.kit.browser.hydrate,
+				load_cache_max_age: svelte_config.kit.loadCache.maxAge,
+				manifest,
+				method_override: svelte_config.kit.methodOverride,
+				paths: {
+					base: svelte_config.kit.paths.base,
+					assets
+				},
+				prefix: '',
+				prerender: {
+					default: svelte_config.kit.prerender.default,
+					enabled: svelte_config.kit.prerender.enabled
+				},
+				public_env: env.public,
+				read: (file) => fs.readFileSync(path.join(svelte_config.kit.files.assets, file)),
+				root,
+				router: svelte_config.kit.browser.router,
+				template: ({ head, body, assets, nonce }) => {
+					return (
+						template
+							.replace(/%sveltekit\.assets%/g, assets)
+							.replace(/%sveltekit\.nonce%/g, nonce)
+							// head and body must be replaced last, in case someone tries to sneak in %sveltekit.assets% etc
+							.replace('%sveltekit.head%', () => head)
+							.replace('%sveltekit.body%', () => body)
+					);
+				},
+				template_contains_nonce: template.includes('%sveltekit.nonce%'),
+				trailing_slash: svelte_config.kit.trailingSlash,
+				version: svelte_config.kit.version,
+				websocket_max_payload: svelte_config.kit.webSockets.maxPayload
+			},
+			{
+				getClientAddress: () => {
+					const { remoteAddress } = req.socket;
+					if (remoteAddress) return remoteAddress;
+					throw new Error('Could not determine clientAddress');
+				},
+				upgrade
+			}
+		);
+	}
+
+	// Vite handles its own HMR connections — everything else is handled by `socket` exports
+	vite.httpServer?.on('upgrade', (req, socket, head) => {
+		if (req.headers['sec-websocket-protocol'] === 'vite-hmr') return;
+
+		const base = `${vite.config.server.https ? 'https' : 'http'}://${
+			req.headers[':authority'] || req.headers.host
+		}`;
+
+		handleUpgrade(base, req, socket, head, (request, upgrade) =>
+			render(req, request, upgrade)
+		).catch((e) => {
+			console.error(fix_stack_trace(coalesce_to_error(e)));
+			socket.destroy();
+		});
+	});
+
 	return () => {
 		const serve_static_middleware = vite.middlewares.stack.find(
 			(middleware) =>
@@ -316,72 +502,6 @@ export async function dev(vite, vite_config, svelte_config, illegal_imports) {
 					);
 				}
 
-				// For some reason using runtime_prefix here is buggy, since Vite will later load the modules
-				// again with a slightly different url (with the drive letter) on windows
-				const runtime_base = `/@fs${
-					// Windows/Linux separation - Windows starts with a drive letter, we need a / in front there
-					runtime_directory.startsWith('/') ? '' : '/'
-				}${runtime_directory}`;
-
-				const { set_private_env } = await vite.ssrLoadModule(`${runtime_base}/env-private.js`);
-				const { set_public_env } = await vite.ssrLoadModule(`${runtime_base}/env-public.js`);
-
-				const env = get_env(vite_config.mode, svelte_config.kit.env.publicPrefix);
-				set_private_env(env.private);
-				set_public_env(env.public);
-
-				/** @type {Partial<import('types').Hooks>} */
-				const user_hooks = resolve_entry(svelte_config.kit.files.hooks)
-					? await vite.ssrLoadModule(`/${svelte_config.kit.files.hooks}`)
-					: {};
-
-				const handle = user_hooks.handle || (({ event, resolve }) => resolve(event));
-
-				/** @type {import('types').Hooks} */
-				const hooks = {
-					getSession: user_hooks.getSession || (() => ({})),
-					handle,
-					handleError:
-						user_hooks.handleError ||
-						(({ /** @type {Error & { frame?: string }} */ error }) => {
-							console.error(colors.bold().red(error.message));
-							if (error.frame) {
-								console.error(colors.gray(error.frame));
-							}
-							if (error.stack) {
-								console.error(colors.gray(error.stack));
-							}
-						}),
-					externalFetch: user_hooks.externalFetch || fetch
-				};
-
-				if (/** @type {any} */ (hooks).getContext) {
-					// TODO remove this for 1.0
-					throw new Error(
-						'The getContext hook has been removed. See https://kit.svelte.dev/docs/hooks'
-					);
-				}
-
-				if (/** @type {any} */ (hooks).serverFetch) {
-					// TODO remove this for 1.0
-					throw new Error('The serverFetch hook has been renamed to externalFetch.');
-				}
-
-				// TODO the / prefix will probably fail if outDir is outside the cwd (which
-				// could be the case in a monorepo setup), but without it these modules
-				// can get loaded twice via different URLs, which causes failures. Might
-				// require changes to Vite to fix
-				const { default: root } = await vite.ssrLoadModule(
-					`/${posixify(path.relative(cwd, `${svelte_config.kit.outDir}/generated/root.svelte`))}`
-				);
-
-				const paths = await vite.ssrLoadModule(`${runtime_base}/paths.js`);
-
-				paths.set_paths({
-					base: svelte_config.kit.paths.base,
-					assets
-				});
-
 				let request;
 
 				try {
@@ -391,74 +511,7 @@ export async function dev(vite, vite_config, svelte_config, illegal_imports) {
 					return res.end(err.reason || 'Invalid request body');
 				}
 
-				const template = load_template(cwd, svelte_config);
-
-				const rendered = await respond(
-					request,
-					{
-						csp: svelte_config.kit.csp,
-						dev: true,
-						get_stack: (error) => fix_stack_trace(error),
-						handle_error: (error, event) => {
-							hooks.handleError({
-								error: new Proxy(error, {
-									get: (target, property) => {
-										if (property === 'stack') {
-											return fix_stack_trace(error);
-										}
-
-										return Reflect.get(target, property, target);
-									}
-								}),
-								event,
-
-								// TODO remove for 1.0
-								// @ts-expect-error
-								get request() {
-									throw new Error(
-										'request in handleError has been replaced with event. See https://github.com/sveltejs/kit/pull/3384 for details'
-									);
-								}
-							});
-						},
-						hooks,
-						hydrate: svelte_config.kit.browser.hydrate,
-						manifest,
-						method_override: svelte_config.kit.methodOverride,
-						paths: {
-							base: svelte_config.kit.paths.base,
-							assets
-						},
-						prefix: '',
-						prerender: {
-							default: svelte_config.kit.prerender.default,
-							enabled: svelte_config.kit.prerender.enabled
-						},
-						public_env: env.public,
-						read: (file) => fs.readFileSync(path.join(svelte_config.kit.files.assets, file)),
-						root,
-						router: svelte_config.kit.browser.router,
-						template: ({ head, body, assets, nonce }) => {
-							return (
-								template
-									.replace(/%sveltekit\.assets%/g, assets)
-									.replace(/%sveltekit\.nonce%/g, nonce)
-									// head and body must be replaced last, in case someone tries to sneak in %sveltekit.assets% etc
-									.replace('%sveltekit.head%', () => head)
-									.replace('%sveltekit.body%', () => body)
-							);
-						},
-						template_contains_nonce: template.includes('%sveltekit.nonce%'),
-						trailing_slash: svelte_config.kit.trailingSlash
-					},
-					{
-						getClientAddress: () => {
-							const { remoteAddress } = req.socket;
-							if (remoteAddress) return remoteAddress;
-							throw new Error('Could not determine clientAddress');
-						}
-					}
-				);
+				const rendered = await render(req, request);
 
 				if (rendered.status === 404) {
 					// @ts-expect-error
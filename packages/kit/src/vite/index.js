@@ -236,7 +236,8 @@ function kit() {
 				},
 				define: {
 					__SVELTEKIT_DEV__: 'true',
-					__SVELTEKIT_APP_VERSION_POLL_INTERVAL__: '0'
+					__SVELTEKIT_APP_VERSION_POLL_INTERVAL__: '0',
+					__SVELTEKIT_APP_VERSION_STREAM__: 'null'
 				},
 				publicDir: svelte_config.kit.files.assets,
 				resolve: {
@@ -2,7 +2,7 @@ import fs from 'fs';
 import { join } from 'path';
 import sirv from 'sirv';
 import { pathToFileURL } from 'url';
-import { getRequest, setResponse } from '../../node/index.js';
+import { getRequest, handleUpgrade, setResponse } from '../../node/index.js';
 import { installPolyfills } from '../../node/polyfills.js';
 import { SVELTE_KIT_ASSETS } from '../../core/constants.js';
 import { loadEnv } from 'vite';
@@ -49,6 +49,25 @@ export async function preview(vite, vite_config, svelte_config) {
 		env: loadEnv(vite_config.mode, process.cwd(), '')
 	});
 
+	// WebSocket connections, handled by `socket` exports
+	vite.httpServer.on('upgrade', (req, socket, head) => {
+		const host = req.headers['host'];
+
+		handleUpgrade(`${protocol}://${host}`, req, socket, head, (request, upgrade) =>
+			server.respond(request, {
+				getClientAddress: () => {
+					const { remoteAddress } = req.socket;
+					if (remoteAddress) return remoteAddress;
+					throw new Error('Could not determine clientAddress');
+				},
+				upgrade
+			})
+		).catch((error) => {
+			console.error(error);
+			socket.destroy();
+		});
+	});
+
 	return () => {
 		// generated client assets and the contents of `static`
 		vite.middlewares.use(
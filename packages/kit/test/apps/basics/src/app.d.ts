@@ -1,4 +1,9 @@
 declare namespace App {
+	interface Error {
+		message: string;
+		code?: string;
+	}
+
 	interface Locals {
 		answer: number;
 		name: string;
@@ -6,6 +11,10 @@ declare namespace App {
 		params: Record<string, string>;
 	}
 
+	interface PageState {
+		active?: boolean;
+	}
+
 	interface Platform {}
 
 	interface Session {
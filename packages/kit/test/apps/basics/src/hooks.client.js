@@ -0,0 +1,15 @@
+/** @type {import('@sveltejs/kit').HandleClientError} */
+export function handleError({ error, event }) {
+	if (event.url.pathname.startsWith('/actions/enhance')) {
+		// so that tests can check which errors were reported
+		const w = /** @type {any} */ (window);
+		w.handled_errors = [...(w.handled_errors ?? []), error.message];
+	}
+
+	if (event.url.pathname.startsWith('/errors/app-error')) {
+		return {
+			message: `${error.message} (handled by hooks.client.js)`,
+			code: 'CLIENT'
+		};
+	}
+}
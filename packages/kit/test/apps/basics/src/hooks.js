@@ -1,5 +1,4 @@
 import fs from 'fs';
-import cookie from 'cookie';
 import { sequence } from '../../../../src/hooks';
 
 /** @type {import('@sveltejs/kit').GetSession} */
@@ -26,6 +25,13 @@ export const handleError = ({ event, error }) => {
 		: {};
 	errors[event.url.pathname] = error.stack || error.message;
 	fs.writeFileSync('test/errors.json', JSON.stringify(errors));
+
+	if (event.url.pathname.startsWith('/errors/app-error')) {
+		return {
+			message: `${error.message} (handled by hooks.js)`,
+			code: 'SERVER'
+		};
+	}
 };
 
 export const handle = sequence(
@@ -36,19 +42,26 @@ export const handle = sequence(
 		return resolve(event);
 	},
 	({ event, resolve }) => {
-		const cookies = cookie.parse(event.request.headers.get('cookie') || '');
-		event.locals.name = cookies.name;
+		event.locals.name = event.cookies.get('name');
 		return resolve(event);
 	},
 	async ({ event, resolve }) => {
 		if (event.url.pathname === '/errors/error-in-handle') {
+			event.cookies.set('handle_error', 'yes', { path: '/errors' });
 			throw new Error('Error in handle');
 		}
 
+		if (event.url.pathname === '/cookies/handle-redirect') {
+			event.cookies.set('from_handle', 'yes', { path: '/cookies' });
+			return Response.redirect(new URL('/cookies', event.url), 303);
+		}
+
 		const response = await resolve(event, {
 			ssr: !event.url.pathname.startsWith('/no-ssr'),
 			transformPageChunk: event.url.pathname.startsWith('/transform-page-chunk')
 				? ({ html }) => html.replace('__REPLACEME__', 'Worked!')
+				: event.url.pathname === '/streaming/transform'
+				? ({ html, done }) => `${html}<!-- done: ${done} -->`
 				: undefined
 		});
 		response.headers.append('set-cookie', 'name=SvelteKit; path=/; HttpOnly');
@@ -57,15 +70,20 @@ export const handle = sequence(
 	}
 );
 
-/** @type {import('@sveltejs/kit').ExternalFetch} */
-export async function externalFetch(request) {
-	let newRequest = request;
+/** @type {import('@sveltejs/kit').HandleFetch} */
+export async function handleFetch({ request, fetch }) {
 	if (request.url.endsWith('/server-fetch-request.json')) {
-		newRequest = new Request(
+		request = new Request(
 			request.url.replace('/server-fetch-request.json', '/server-fetch-request-modified.json'),
 			request
 		);
 	}
 
-	return fetch(newRequest);
+	if (new URL(request.url).pathname === '/load/handle-fetch.json') {
+		const headers = new Headers(request.headers);
+		headers.set('x-secret', 'swordfish');
+		request = new Request(request, { headers });
+	}
+
+	return fetch(request);
 }
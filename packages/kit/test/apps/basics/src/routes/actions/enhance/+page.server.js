@@ -0,0 +1,34 @@
+let count = 0;
+
+/** @type {import('./$types').PageServerLoad} */
+export function load() {
+	return { count };
+}
+
+/** @type {import('./$types').Actions} */
+export const actions = {
+	increment: () => {
+		count += 1;
+		return { result: 'incremented' };
+	},
+	login: async ({ request }) => {
+		const data = await request.formData();
+		const username = data.get('username');
+
+		if (!username) {
+			return {
+				errors: {
+					username: 'missing'
+				}
+			};
+		}
+
+		return { result: `logged in as ${username}` };
+	},
+	redirect: () => {
+		return { location: '/actions/named' };
+	},
+	error: () => {
+		throw new Error('oops');
+	}
+};
@@ -0,0 +1,23 @@
+/** @type {import('./$types').Actions} */
+export const actions = {
+	default: () => {
+		return { result: 'default' };
+	},
+	first: () => {
+		return { result: 'first' };
+	},
+	second: async ({ request }) => {
+		const data = await request.formData();
+		const username = data.get('username');
+
+		if (!username) {
+			return {
+				errors: {
+					username: 'missing'
+				}
+			};
+		}
+
+		return { result: `second: ${username}` };
+	}
+};
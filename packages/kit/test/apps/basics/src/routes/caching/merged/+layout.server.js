@@ -0,0 +1,6 @@
+/** @type {import('./$types').LayoutServerLoad} */
+export function load({ setHeaders }) {
+	setHeaders({
+		'cache-control': 'public, max-age=3600'
+	});
+}
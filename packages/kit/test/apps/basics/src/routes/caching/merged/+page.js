@@ -0,0 +1,6 @@
+/** @type {import('./$types').PageLoad} */
+export function load({ setHeaders }) {
+	setHeaders({
+		'cache-control': 'private, max-age=300'
+	});
+}
@@ -0,0 +1,7 @@
+/** @type {import('./$types').PageServerLoad} */
+export function load({ setHeaders }) {
+	setHeaders({
+		'cache-control': 'public, max-age=60',
+		'x-merged': 'true'
+	});
+}
@@ -0,0 +1,6 @@
+/** @type {import('./$types').PageLoad} */
+export function load({ setHeaders }) {
+	setHeaders({
+		'x-merged': 'false'
+	});
+}
@@ -0,0 +1,6 @@
+/** @type {import('./$types').PageServerLoad} */
+export function load({ setHeaders }) {
+	setHeaders({
+		'x-merged': 'true'
+	});
+}
@@ -0,0 +1,11 @@
+/** @type {import('./$types').PageServerLoad} */
+export function load({ cookies }) {
+	const visits = Number(cookies.get('visits') ?? 0) + 1;
+	cookies.set('visits', String(visits), { path: '/cookies' });
+
+	return {
+		visits,
+		// cookies that are set are immediately readable
+		echoed: cookies.get('visits')
+	};
+}
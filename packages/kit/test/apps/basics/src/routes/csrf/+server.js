@@ -0,0 +1,4 @@
+/** @type {import('./$types').RequestHandler} */
+export function POST() {
+	return new Response('ok');
+}
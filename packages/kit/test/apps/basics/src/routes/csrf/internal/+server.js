@@ -0,0 +1,9 @@
+/** @type {import('./$types').RequestHandler} */
+export async function GET({ fetch }) {
+	const response = await fetch('/csrf', {
+		method: 'POST',
+		body: new URLSearchParams({ name: 'value' })
+	});
+
+	return new Response(`${response.status} ${await response.text()}`);
+}
@@ -0,0 +1,4 @@
+/** @type {import('@sveltejs/kit').RequestHandler} */
+export function GET({ fetch }) {
+	return fetch('/load/fetch-credentialed.json');
+}
@@ -0,0 +1,10 @@
+import { browser } from '$app/env';
+
+/** @type {import('./$types').PageLoad} */
+export function load() {
+	if (browser) {
+		throw new Error('Crashing in the browser');
+	}
+
+	return {};
+}
@@ -0,0 +1,4 @@
+/** @type {import('./$types').PageServerLoad} */
+export function load() {
+	throw new Error('Crashing on the server');
+}
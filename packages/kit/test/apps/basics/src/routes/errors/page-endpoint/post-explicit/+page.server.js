@@ -1,5 +1,7 @@
 import { error } from '@sveltejs/kit';
 
-export const POST = () => {
-	throw error(400, 'oops');
+export const actions = {
+	default: () => {
+		throw error(400, 'oops');
+	}
 };
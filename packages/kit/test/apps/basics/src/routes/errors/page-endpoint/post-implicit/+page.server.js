@@ -1,5 +1,7 @@
 import { FancyError } from '../_shared.js';
 
-export const POST = () => {
-	throw new FancyError('oops');
+export const actions = {
+	default: () => {
+		throw new FancyError('oops');
+	}
 };
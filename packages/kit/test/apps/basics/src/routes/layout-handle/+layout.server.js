@@ -0,0 +1,10 @@
+/** @type {import('@sveltejs/kit').Handle} */
+export async function handle({ event, resolve }) {
+	if (event.url.searchParams.has('denied')) {
+		return new Response('denied', { status: 403 });
+	}
+
+	const response = await resolve(event);
+	response.headers.append('x-layout-handle', 'outer');
+	return response;
+}
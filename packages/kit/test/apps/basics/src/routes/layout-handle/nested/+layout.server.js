@@ -0,0 +1,13 @@
+/** @type {import('@sveltejs/kit').Handle} */
+export async function handle({ event, resolve }) {
+	const response = await resolve(event);
+	response.headers.append('x-layout-handle', 'inner');
+	return response;
+}
+
+/** @type {import('./$types').LayoutServerLoad} */
+export function load() {
+	return {
+		nested: true
+	};
+}
@@ -0,0 +1,6 @@
+import { json } from '@sveltejs/kit';
+
+/** @type {import('@sveltejs/kit').RequestHandler} */
+export function GET({ request }) {
+	return json({ secret: request.headers.get('x-secret') });
+}
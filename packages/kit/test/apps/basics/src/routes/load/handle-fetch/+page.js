@@ -0,0 +1,6 @@
+/** @type {import('@sveltejs/kit').Load} */
+export async function load({ fetch }) {
+	const res = await fetch('/load/handle-fetch.json');
+	const { secret } = await res.json();
+	return { secret };
+}
@@ -0,0 +1,6 @@
+/** @type {import('./$types').PageServerLoad} */
+export async function load({ fetch }) {
+	const res = await fetch('/load/fetch-credentialed.json');
+	const { name } = await res.json();
+	return { name };
+}
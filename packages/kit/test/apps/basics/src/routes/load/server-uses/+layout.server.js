@@ -0,0 +1,9 @@
+let count = 0;
+
+/** @type {import('./$types').LayoutServerLoad} */
+export function load({ depends }) {
+	depends('custom:server-uses');
+
+	count += 1;
+	return { layout_count: count };
+}
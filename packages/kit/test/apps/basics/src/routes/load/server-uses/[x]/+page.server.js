@@ -0,0 +1,4 @@
+/** @type {import('./$types').PageServerLoad} */
+export function load({ params }) {
+	return { x: params.x };
+}
@@ -0,0 +1,14 @@
+import { json } from '@sveltejs/kit';
+
+/** @type {import('./$types').RequestHandler} */
+export function GET() {
+	return json(
+		{},
+		{
+			headers: {
+				// readable by client-side code, so it must not become HttpOnly when forwarded
+				'set-cookie': 'theme=dark; Path=/load/set-cookie-fetch'
+			}
+		}
+	);
+}
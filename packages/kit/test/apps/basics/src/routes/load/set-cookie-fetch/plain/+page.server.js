@@ -0,0 +1,4 @@
+/** @type {import('./$types').PageServerLoad} */
+export async function load({ fetch }) {
+	await fetch('/load/set-cookie-fetch/plain.json');
+}
@@ -1,3 +1,6 @@
-export const POST = () => {
-	return {};
+export const prerender = true;
+export const actions = {
+	default: () => {
+		return {};
+	}
 };
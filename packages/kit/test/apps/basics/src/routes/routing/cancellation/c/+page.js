@@ -0,0 +1,14 @@
+import { browser } from '$app/env';
+
+/** @type {import('@sveltejs/kit').Load} */
+export async function load({ signal }) {
+	if (browser) {
+		window.load_signal = signal;
+
+		await new Promise((f) => {
+			signal.addEventListener('abort', f);
+		});
+	}
+
+	return {};
+}
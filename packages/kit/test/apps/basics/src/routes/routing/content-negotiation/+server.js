@@ -0,0 +1,11 @@
+import { json } from '@sveltejs/kit';
+
+/** @type {import('./$types').RequestHandler} */
+export function GET() {
+	return json({ message: 'hi' });
+}
+
+/** @type {import('./$types').RequestHandler} */
+export function PUT() {
+	return new Response('put');
+}
@@ -0,0 +1,5 @@
+/** @type {import('./$types').PageServerLoad} */
+export function load({ url, depends }) {
+	depends('/routing/preloading/target');
+	return { search: url.search };
+}
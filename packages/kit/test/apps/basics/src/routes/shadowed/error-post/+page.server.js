@@ -4,13 +4,16 @@ export function load() {
 	};
 }
 
-export async function POST({ request }) {
-	const data = await request.formData();
+/** @type {import('./$types').Actions} */
+export const actions = {
+	default: async ({ request }) => {
+		const data = await request.formData();
 
-	return {
-		status: 400,
-		errors: {
-			post_message: `echo: ${data.get('message')}`
-		}
-	};
-}
+		return {
+			status: 400,
+			errors: {
+				post_message: `echo: ${data.get('message')}`
+			}
+		};
+	}
+};
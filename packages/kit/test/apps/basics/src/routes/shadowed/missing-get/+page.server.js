@@ -1 +1,4 @@
-export const POST = () => {};
+/** @type {import('./$types').Actions} */
+export const actions = {
+	default: () => {}
+};
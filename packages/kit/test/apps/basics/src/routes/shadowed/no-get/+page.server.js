@@ -1,3 +1,6 @@
-export function POST() {
-	return {};
-}
+/** @type {import('./$types').Actions} */
+export const actions = {
+	default: () => {
+		return {};
+	}
+};
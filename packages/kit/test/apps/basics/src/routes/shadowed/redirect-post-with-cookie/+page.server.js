@@ -1,6 +1,9 @@
 import { redirect } from '@sveltejs/kit';
 
-export function POST({ setHeaders }) {
-	setHeaders({ 'set-cookie': 'shadow-redirect=happy' });
-	throw redirect(302, '/shadowed/redirected');
-}
+/** @type {import('./$types').Actions} */
+export const actions = {
+	default: ({ cookies }) => {
+		cookies.set('shadow-redirect', 'happy');
+		throw redirect(302, '/shadowed/redirected');
+	}
+};
@@ -0,0 +1,8 @@
+let count = 0;
+
+/** @type {import('./$types').PageLoad} */
+export function load() {
+	return {
+		count: (count += 1)
+	};
+}
@@ -0,0 +1,10 @@
+/** @type {import('./$types').PageServerLoad} */
+export function load() {
+	return {
+		// the nested promise rejects before this is awaited
+		slow: new Promise((fulfil) => setTimeout(() => fulfil('done'), 50)),
+		streamed: {
+			failing: Promise.reject(new Error('early'))
+		}
+	};
+}
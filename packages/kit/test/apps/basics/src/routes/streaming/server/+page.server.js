@@ -0,0 +1,10 @@
+/** @type {import('./$types').PageServerLoad} */
+export function load() {
+	return {
+		fast: 'hello',
+		streamed: {
+			slow: new Promise((fulfil) => setTimeout(() => fulfil('done'), 100)),
+			failing: new Promise((fulfil, reject) => setTimeout(() => reject(new Error('oops')), 50))
+		}
+	};
+}
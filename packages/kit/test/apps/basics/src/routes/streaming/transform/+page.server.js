@@ -0,0 +1,8 @@
+/** @type {import('./$types').PageServerLoad} */
+export function load() {
+	return {
+		streamed: {
+			slow: new Promise((fulfil) => setTimeout(() => fulfil('done'), 100))
+		}
+	};
+}
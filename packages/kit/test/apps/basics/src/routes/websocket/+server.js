@@ -0,0 +1,13 @@
+/** @type {import('./$types').SocketHandler} */
+export function socket(socket, { locals }) {
+	socket.send(`answer: ${locals.answer}`);
+
+	socket.onmessage = (event) => {
+		socket.send(`echo: ${event.data}`);
+	};
+}
+
+/** @type {import('./$types').RequestHandler} */
+export function GET() {
+	return new Response('not a WebSocket request');
+}
@@ -1,6 +1,9 @@
 /** @type {import('@sveltejs/kit').Config} */
 const config = {
 	kit: {
+		csrf: {
+			trustedOrigins: ['https://trusted.example']
+		},
 		prerender: {
 			onError: 'continue'
 		},
@@ -20,6 +20,7 @@ test.describe('beforeNavigate', () => {
 
 		expect(page.url()).toBe(baseURL + '/before-navigate/prevent-navigation');
 		expect(await page.innerHTML('pre')).toBe('true');
+		expect(await page.textContent('#navigation')).toBe('link false');
 	});
 
 	test('prevents navigation triggered by goto', async ({ page, app, baseURL }) => {
@@ -27,6 +28,13 @@ test.describe('beforeNavigate', () => {
 		await app.goto('/before-navigate/a');
 		expect(page.url()).toBe(baseURL + '/before-navigate/prevent-navigation');
 		expect(await page.innerHTML('pre')).toBe('true');
+		expect(await page.textContent('#navigation')).toBe('goto false');
+	});
+
+	test('reports when navigation will unload the page', async ({ page, app }) => {
+		await page.goto('/before-navigate/prevent-navigation');
+		await app.goto('https://example.com');
+		expect(await page.textContent('#navigation')).toBe('goto true');
 	});
 
 	test('prevents navigation triggered by back button', async ({ page, app, baseURL }) => {
@@ -36,6 +44,7 @@ test.describe('beforeNavigate', () => {
 
 		await page.goBack();
 		expect(await page.innerHTML('pre')).toBe('true');
+		expect(await page.textContent('#navigation')).toBe('popstate false');
 		expect(page.url()).toBe(baseURL + '/before-navigate/prevent-navigation');
 	});
 
@@ -224,9 +233,45 @@ test.describe('afterNavigate', () => {
 	test('calls callback', async ({ page, clicknav }) => {
 		await page.goto('/after-navigate/a');
 		expect(await page.textContent('h1')).toBe('undefined -> /after-navigate/a');
+		expect(await page.textContent('#type')).toBe('enter');
 
 		await clicknav('[href="/after-navigate/b"]');
 		expect(await page.textContent('h1')).toBe('/after-navigate/a -> /after-navigate/b');
+		expect(await page.textContent('#type')).toBe('link');
+
+		await page.goBack();
+		expect(await page.textContent('h1')).toBe('/after-navigate/b -> /after-navigate/a');
+		expect(await page.textContent('#type')).toBe('popstate');
+	});
+});
+
+test.describe('onNavigate', () => {
+	test('runs callbacks before the page updates, and cleanup functions afterwards', async ({
+		page,
+		clicknav
+	}) => {
+		await page.goto('/on-navigate/a');
+		await clicknav('[href="/on-navigate/b"]');
+
+		expect(await page.textContent('h1')).toBe('b');
+		await expect(page.locator('#log')).toHaveText(
+			'link to on-navigate/b while showing a\ndone, showing b'
+		);
+	});
+
+	test('runs for goto and popstate navigations', async ({ page, app }) => {
+		await page.goto('/on-navigate/a');
+		await app.goto('/on-navigate/b');
+		await page.goBack();
+
+		await expect(page.locator('#log')).toHaveText(
+			[
+				'goto to on-navigate/b while showing a',
+				'done, showing b',
+				'popstate to on-navigate/a while showing b',
+				'done, showing a'
+			].join('\n')
+		);
 	});
 });
 
@@ -240,6 +285,16 @@ test.describe('a11y', () => {
 		]);
 		await expect(page.locator('#input')).toBeFocused();
 	});
+
+	test('announces the announcement exported by the page', async ({ page, clicknav }) => {
+		await page.goto('/accessibility/a');
+
+		await clicknav('[href="/accessibility/announcement"]');
+		expect(await page.innerHTML('[aria-live]')).toBe('announcing /accessibility/announcement');
+
+		await clicknav('[href="/accessibility/b"]');
+		expect(await page.innerHTML('[aria-live]')).toBe('b');
+	});
 });
 
 test.describe('CSS', () => {
@@ -264,6 +319,117 @@ test.describe('Endpoints', () => {
 	});
 });
 
+test.describe('Actions', () => {
+	test('use:enhance submits without reloading and invalidates data', async ({ page }) => {
+		await page.goto('/actions/enhance');
+		const count = Number(await page.textContent('.count'));
+
+		/** @type {string[]} */
+		const requests = [];
+		page.on('request', (request) => requests.push(request.resourceType()));
+
+		await page.click('#increment');
+		await expect(page.locator('.form')).toHaveText('incremented');
+
+		expect(await page.textContent('.page-form')).toBe('incremented');
+		expect(await page.textContent('.count')).toBe(String(count + 1));
+		expect(requests).not.toContain('document');
+	});
+
+	test('use:enhance surfaces validation errors and calls the submit callbacks', async ({
+		page
+	}) => {
+		await page.goto('/actions/enhance');
+
+		await page.click('#login');
+		await expect(page.locator('.errors')).toHaveText('missing');
+		await expect(page.locator('.pending')).toHaveText('false');
+		expect(await page.textContent('.status')).toBe('400');
+
+		await page.fill('input[name="username"]', 'alice');
+		await page.click('#login');
+		await expect(page.locator('.form')).toHaveText('logged in as alice');
+		expect(await page.textContent('.errors')).toBe('none');
+		expect(await page.textContent('.status')).toBe('200');
+	});
+
+	test('use:enhance follows redirects returned from an action', async ({ page }) => {
+		await page.goto('/actions/enhance');
+		await page.click('#redirect');
+		await page.waitForURL('/actions/named');
+	});
+
+	test('use:enhance renders the error page when an action throws', async ({ page }) => {
+		await page.goto('/actions/enhance');
+		await page.click('#error');
+		await expect(page.locator('#message')).toHaveText(
+			'This is your custom error page saying: "oops"'
+		);
+	});
+
+	test('use:enhance passes errors thrown by the callback to handleError', async ({ page }) => {
+		await page.goto('/actions/enhance');
+		await page.click('#throwing-callback');
+
+		await page.waitForFunction(() =>
+			/** @type {any} */ (window).handled_errors?.includes('callback error')
+		);
+	});
+
+	test('use:enhance passes network errors to handleError', async ({ page }) => {
+		await page.goto('/actions/enhance');
+		await page.route('/actions/enhance?/increment', (route) => route.abort());
+
+		await page.click('#increment');
+
+		await page.waitForFunction(() => /** @type {any} */ (window).handled_errors?.length > 0);
+		expect(await page.textContent('#message')).toContain('This is your custom error page');
+	});
+
+	test('use:enhance only updates the page with results of its own actions', async ({ page }) => {
+		await page.goto('/actions/enhance');
+
+		// a successful action invalidates the current page's data, and only then applies the result
+		await Promise.all([
+			page.waitForResponse((response) => response.url().includes('/actions/enhance/__data.json')),
+			page.click('#other-page')
+		]);
+		await page.waitForTimeout(100);
+
+		expect(await page.textContent('.form')).toBe('none');
+		expect(await page.textContent('.page-form')).toBe('none');
+	});
+
+	test('use:enhance renders the error page when an action on another page throws', async ({
+		page
+	}) => {
+		await page.goto('/actions/named');
+		await page.click('#other-page-error');
+		await expect(page.locator('#message')).toHaveText(
+			'This is your custom error page saying: "oops"'
+		);
+	});
+});
+
+test.describe('Streaming', () => {
+	test('resolves nested promises streamed after the document', async ({ page }) => {
+		await page.goto('/streaming/server');
+
+		expect(await page.textContent('.fast')).toBe('hello');
+		await expect(page.locator('.failing')).toHaveText('oops');
+		await expect(page.locator('.slow')).toHaveText('done');
+	});
+
+	test('resolves nested promises streamed from __data.json', async ({ page, clicknav }) => {
+		await page.goto('/streaming/nav');
+		await clicknav('[href="/streaming/server"]');
+
+		expect(await page.textContent('.fast')).toBe('hello');
+		await expect(page.locator('.failing')).toHaveText('oops');
+		await expect(page.locator('.slow')).toHaveText('done');
+	});
+});
+
 test.describe('Errors', () => {
 	test('client-side load errors', async ({ page }) => {
 		await page.goto('/errors/load-client');
@@ -293,6 +459,24 @@ test.describe('Errors', () => {
 		expect(await page.innerHTML('h1')).toBe('555');
 	});
 
+	test('client-side errors are passed to handleError in hooks.client.js', async ({ page }) => {
+		await page.goto('/errors/app-error/client');
+
+		expect(await page.textContent('#message')).toBe(
+			'This is your custom error page saying: "Crashing in the browser (handled by hooks.client.js)"'
+		);
+		expect(await page.innerHTML('h1')).toBe('500');
+	});
+
+	test('errors handled by the server are not passed to hooks.client.js', async ({ page, app }) => {
+		await page.goto('/errors/load-error-client');
+		await app.goto('/errors/app-error/server');
+
+		expect(await page.textContent('#message')).toBe(
+			'This is your custom error page saying: "Crashing on the server (handled by hooks.js)"'
+		);
+	});
+
 	test('client-side 4xx status without error from load()', async ({ page }) => {
 		await page.goto('/errors/load-status-without-error-client');
 
@@ -302,9 +486,73 @@ test.describe('Errors', () => {
 		);
 		expect(await page.innerHTML('h1')).toBe('401');
 	});
+
+	test('does not check for a new version when rendering an ordinary error page', async ({
+		page,
+		app
+	}) => {
+		await page.goto('/');
+
+		/** @type {string[]} */
+		const requests = [];
+		page.on('request', (request) => requests.push(request.url()));
+
+		await app.goto('/errors/load-error-client');
+		expect(await page.innerHTML('h1')).toBe('555');
+
+		expect(requests.filter((url) => url.includes('version.json'))).toEqual([]);
+	});
+
+	test('renders the nearest error page if server data cannot be fetched', async ({
+		page,
+		clicknav
+	}) => {
+		await page.goto('/errors/page-endpoint');
+		await page.route('**/get-explicit/__data.json*', (route) => route.abort('failed'));
+		await clicknav('#get-explicit');
+
+		const { status } = JSON.parse(await page.textContent('pre'));
+		expect(status).toBe(503);
+	});
+
+	test('renders the nearest error page with the status of a failed server data response', async ({
+		page,
+		clicknav
+	}) => {
+		await page.goto('/errors/page-endpoint');
+		await page.route('**/get-explicit/__data.json*', (route) =>
+			route.fulfill({ status: 502, contentType: 'text/html', body: '<h1>Bad Gateway</h1>' })
+		);
+		await clicknav('#get-explicit');
+
+		const { status } = JSON.parse(await page.textContent('pre'));
+		expect(status).toBe(502);
+	});
 });
 
 test.describe('Load', () => {
+	test('only reruns server load functions whose dependencies changed', async ({
+		page,
+		clicknav
+	}) => {
+		await page.goto('/load/server-uses/a');
+		const count = await page.textContent('.layout-count');
+
+		/** @type {string[]} */
+		const requests = [];
+		page.on('request', (request) => requests.push(request.url()));
+
+		await clicknav('[href="/load/server-uses/b"]');
+		expect(await page.textContent('.x')).toBe('b');
+		expect(await page.textContent('.layout-count')).toBe(count);
+		expect(requests).toContainEqual(
+			expect.stringContaining('/load/server-uses/b/__data.json?x-sveltekit-invalidated=001')
+		);
+
+		await page.click('button');
+		await expect(page.locator('.layout-count')).not.toHaveText(/** @type {string} */ (count));
+	});
+
 	test('load function is only called when necessary', async ({ app, page }) => {
 		await page.goto('/load/change-detection/one/a');
 		expect(await page.textContent('h1')).toBe('layout loads: 1');
@@ -517,6 +765,127 @@ test.describe('Prefetching', () => {
 		await app.goto('/routing/prefetched/hash-route#please-dont-show-me');
 		await expect(page.locator('p')).toHaveText('Loaded 1 times.');
 	});
+
+	test('preloads code eagerly when sveltekit:preload-code="eager"', async ({ page }) => {
+		/** @type {string[]} */
+		const requests = [];
+		page.on('request', (r) => requests.push(r.url()));
+
+		await page.goto('/routing/preloading');
+		await page.waitForLoadState('networkidle');
+
+		if (process.env.DEV) {
+			expect(requests.some((url) => url.endsWith('/routing/preloading/eager/+page.svelte'))).toBe(
+				true
+			);
+		} else {
+			expect(requests.some((url) => url.includes('preloading/eager'))).toBe(true);
+		}
+	});
+
+	test('preloads only code on hover when sveltekit:preload-code="hover"', async ({
+		baseURL,
+		page
+	}) => {
+		await page.goto('/routing/preloading');
+
+		/** @type {string[]} */
+		const requests = [];
+		page.on('request', (r) => requests.push(r.url()));
+
+		await page.hover('#hover-code');
+		await page.waitForTimeout(100);
+		await page.waitForLoadState('networkidle');
+
+		expect(
+			requests.some((url) => url.startsWith(`${baseURL}/routing/preloading/target/__data.json`))
+		).toBe(false);
+	});
+
+	test('preloads data on hover when sveltekit:preload-data is set', async ({ baseURL, page }) => {
+		await page.goto('/routing/preloading');
+
+		await Promise.all([
+			page.waitForRequest(`${baseURL}/routing/preloading/target/__data.json?data`),
+			page.hover('#hover-data')
+		]);
+	});
+
+	test('preloads data on tap when sveltekit:preload-data="tap"', async ({ baseURL, page }) => {
+		await page.goto('/routing/preloading');
+
+		/** @type {string[]} */
+		const requests = [];
+		page.on('request', (r) => requests.push(r.url()));
+
+		await page.hover('#tap-data');
+		await page.waitForTimeout(100);
+		expect(requests.some((url) => url.includes('__data.json'))).toBe(false);
+
+		await Promise.all([
+			page.waitForRequest(`${baseURL}/routing/preloading/target/__data.json?tap`),
+			page.dispatchEvent('#tap-data', 'mousedown')
+		]);
+	});
+
+	test('keeps more than one prefetched page', async ({ app, page }) => {
+		await page.goto('/routing/preloading');
+
+		await app.prefetch('/routing/preloading/target?a');
+		await app.prefetch('/routing/preloading/target?b');
+
+		/** @type {string[]} */
+		const requests = [];
+		page.on('request', (r) => requests.push(r.url()));
+
+		await app.goto('/routing/preloading/target?a');
+		expect(await page.textContent('h1')).toBe('target?a');
+
+		await app.goto('/routing/preloading/target?b');
+		expect(await page.textContent('h1')).toBe('target?b');
+
+		expect(requests).toEqual([]);
+	});
+
+	test('discards prefetched pages that depend on an invalidated resource', async ({
+		app,
+		baseURL,
+		page
+	}) => {
+		await page.goto('/routing/preloading');
+		await app.prefetch('/routing/preloading/target?a');
+		await app.invalidate('/routing/preloading/target');
+
+		await Promise.all([
+			page.waitForRequest(`${baseURL}/routing/preloading/target/__data.json?a`),
+			app.goto('/routing/preloading/target?a')
+		]);
+	});
+
+	test('reuses server data when navigating back', async ({ app, page }) => {
+		await page.goto('/routing/preloading/target?a');
+		await app.goto('/routing/preloading/target?b');
+
+		/** @type {string[]} */
+		const requests = [];
+		page.on('request', (r) => requests.push(r.url()));
+
+		await page.goBack();
+		expect(await page.textContent('h1')).toBe('target?a');
+		expect(requests.filter((url) => url.includes('__data.json'))).toEqual([]);
+	});
+
+	test('does not preload data when the closest attribute is "off"', async ({ page }) => {
+		await page.goto('/routing/preloading');
+
+		/** @type {string[]} */
+		const requests = [];
+		page.on('request', (r) => requests.push(r.url()));
+
+		await page.hover('#off');
+		await page.waitForTimeout(100);
+		expect(requests.some((url) => url.includes('__data.json'))).toBe(false);
+	});
 });
 
 test.describe('Routing', () => {
@@ -576,6 +945,115 @@ test.describe('Routing', () => {
 			await close();
 		}
 	});
+
+	test('aborts the signal passed to load when navigation is superseded', async ({
+		baseURL,
+		page,
+		clicknav
+	}) => {
+		await page.goto('/routing/cancellation');
+		await page.click('[href="/routing/cancellation/c"]');
+		await page.waitForFunction(() => window.load_signal);
+		expect(await page.evaluate(() => window.load_signal.aborted)).toBe(false);
+
+		await clicknav('[href="/routing/cancellation/b"]');
+
+		expect(await page.url()).toBe(`${baseURL}/routing/cancellation/b`);
+		expect(await page.textContent('h1')).toBe('b');
+		expect(await page.evaluate(() => window.load_signal.aborted)).toBe(true);
+	});
+});
+
+test.describe('Shallow routing', () => {
+	test('pushState creates a history entry without running load', async ({ page }) => {
+		await page.goto('/shallow-routing');
+		expect(await page.textContent('h1')).toBe('inactive');
+		expect(await page.textContent('#count')).toBe('1');
+
+		await page.click('[data-id="push"]');
+		expect(await page.textContent('h1')).toBe('active');
+		expect(await page.textContent('#count')).toBe('1');
+
+		await page.goBack();
+		expect(await page.textContent('h1')).toBe('inactive');
+		expect(await page.textContent('#count')).toBe('1');
+
+		await page.goForward();
+		expect(await page.textContent('h1')).toBe('active');
+		expect(await page.textContent('#count')).toBe('1');
+	});
+
+	test('pushState can change the URL without changing $page.url', async ({ baseURL, page }) => {
+		await page.goto('/shallow-routing');
+
+		await page.click('[data-id="push-url"]');
+		expect(page.url()).toBe(`${baseURL}/shallow-routing/a`);
+		expect(await page.textContent('h1')).toBe('active');
+		expect(await page.textContent('#url')).toBe('/shallow-routing');
+
+		await page.goBack();
+		expect(page.url()).toBe(`${baseURL}/shallow-routing`);
+		expect(await page.textContent('h1')).toBe('inactive');
+		expect(await page.textContent('#count')).toBe('1');
+	});
+
+	test('replaceState replaces the current history entry', async ({ baseURL, page }) => {
+		await page.goto('/shallow-routing');
+
+		await page.click('[data-id="push"]');
+		await page.click('[data-id="replace"]');
+		expect(await page.textContent('h1')).toBe('inactive');
+
+		await page.goBack();
+		expect(page.url()).toBe(`${baseURL}/shallow-routing`);
+		expect(await page.textContent('h1')).toBe('inactive');
+
+		await page.goForward();
+		expect(await page.textContent('h1')).toBe('inactive');
+		expect(await page.textContent('#count')).toBe('1');
+	});
+});
+
+test.describe('Snapshots', () => {
+	test('restores snapshot on history navigation', async ({ page, clicknav }) => {
+		await page.goto('/snapshot/a');
+
+		await page.fill('#page-input', 'hello');
+		await page.fill('#layout-input', 'world');
+		await clicknav('[href="/snapshot/b"]');
+
+		await page.goBack();
+		expect(await page.inputValue('#page-input')).toBe('hello');
+		expect(await page.inputValue('#layout-input')).toBe('world');
+	});
+
+	test('does not restore snapshot when navigating to a new history entry', async ({
+		page,
+		clicknav
+	}) => {
+		await page.goto('/snapshot/a');
+
+		await page.fill('#page-input', 'hello');
+		await clicknav('[href="/snapshot/b"]');
+		await clicknav('[href="/snapshot/a"]');
+
+		expect(await page.inputValue('#page-input')).toBe('');
+	});
+
+	test('restores snapshot after a reload', async ({ page, clicknav }) => {
+		await page.goto('/snapshot/a');
+
+		await page.fill('#page-input', 'hello');
+		await clicknav('[href="/snapshot/b"]');
+		await page.reload();
+
+		await page.goBack();
+		expect(await page.inputValue('#page-input')).toBe('hello');
+
+		await page.fill('#page-input', 'goodbye');
+		await page.reload();
+		expect(await page.inputValue('#page-input')).toBe('goodbye');
+	});
 });
 
 test.describe('Shadow DOM', () => {
@@ -1,6 +1,7 @@
 import { expect } from '@playwright/test';
 import { test } from '../../../utils.js';
 import { createHash, randomBytes } from 'node:crypto';
+import * as http from 'node:http';
 
 /** @typedef {import('@playwright/test').Response} Response */
 
@@ -8,11 +9,72 @@ test.skip(({ javaScriptEnabled }) => javaScriptEnabled);
 
 test.describe.configure({ mode: 'parallel' });
 
+test.describe('Actions', () => {
+	test('Responds with an ActionResult for JSON requests', async ({ request }) => {
+		const response = await request.post('/actions/named?/first', {
+			headers: {
+				accept: 'application/json'
+			}
+		});
+
+		expect(response.status()).toBe(200);
+		expect(await response.json()).toEqual({
+			type: 'success',
+			status: 200,
+			data: { result: 'first' }
+		});
+	});
+
+	test('Responds with invalid ActionResult for validation errors', async ({ request, baseURL }) => {
+		const response = await request.post('/actions/named?/second', {
+			headers: {
+				accept: 'application/json',
+				origin: /** @type {string} */ (baseURL)
+			},
+			form: {}
+		});
+
+		expect(await response.json()).toEqual({
+			type: 'invalid',
+			status: 400,
+			data: { errors: { username: 'missing' } }
+		});
+	});
+
+	test('Responds with 405 to PUT requests for pages', async ({ request }) => {
+		const response = await request.put('/actions/named');
+
+		expect(response.status()).toBe(405);
+		expect(response.headers()['allow']).toBe('GET, HEAD, POST');
+	});
+});
+
 test.describe('Caching', () => {
 	test('caches pages', async ({ request }) => {
 		const response = await request.get('/caching');
 		expect(response.headers()['cache-control']).toBe('public, max-age=30');
 	});
+
+	test('combines cache-control headers from several load functions', async ({ request }) => {
+		const response = await request.get('/caching/merged');
+		expect(response.headers()['cache-control']).toBe('max-age=60, private');
+		expect(response.headers()['x-merged']).toBe('true');
+	});
+
+	test('only applies cache-control to __data.json responses', async ({ request }) => {
+		const response = await request.get('/caching/merged/__data.json');
+		expect(response.headers()['cache-control']).toBe('public, max-age=60');
+		expect(response.headers()['x-merged']).toBe(undefined);
+	});
+
+	test('reports conflicting headers', async ({ request }) => {
+		const response = await request.get('/caching/merged/conflict');
+		expect(response.status()).toBe(500);
+		expect(response.headers()['cache-control']).toBe(undefined);
+		expect(await response.text()).toContain(
+			'header is already set by src/routes/caching/merged/conflict/+page.server.js and cannot be set again by src/routes/caching/merged/conflict/+page.js'
+		);
+	});
 });
 
 test.describe('Content-Type', () => {
@@ -22,7 +84,121 @@ test.describe('Content-Type', () => {
 	});
 });
 
+test.describe('Cookies', () => {
+	test('cookies.set adds a set-cookie header with default options', async ({ request }) => {
+		const response = await request.get('/cookies');
+
+		const cookies = response
+			.headersArray()
+			.filter((obj) => obj.name === 'set-cookie')
+			.map((obj) => obj.value);
+
+		expect(cookies).toContain(
+			`visits=1; Path=/cookies; HttpOnly;${process.env.DEV ? '' : ' Secure;'} SameSite=Lax`
+		);
+	});
+
+	test('cookies set in handle are added to responses returned by handle', async ({ baseURL }) => {
+		// the redirect mustn't be followed, so we can't use `request`
+		/** @type {import('http').IncomingMessage} */
+		const response = await new Promise((fulfil, reject) => {
+			http
+				.get(`${baseURL}/cookies/handle-redirect`, (res) => {
+					res.resume();
+					fulfil(res);
+				})
+				.on('error', reject);
+		});
+
+		expect(response.statusCode).toBe(303);
+		expect(response.headers['set-cookie']).toContain(
+			`from_handle=yes; Path=/cookies; HttpOnly;${process.env.DEV ? '' : ' Secure;'} SameSite=Lax`
+		);
+	});
+
+	test('cookies set in handle are added to error responses', async ({ request }) => {
+		const response = await request.get('/errors/error-in-handle');
+		expect(response.status()).toBe(500);
+		expect(response.headers()['set-cookie']).toContain('handle_error=yes');
+	});
+
+	test('cookies set by subrequests are forwarded with their own attributes', async ({
+		request
+	}) => {
+		const response = await request.get('/load/set-cookie-fetch/plain');
+
+		const cookies = response
+			.headersArray()
+			.filter((obj) => obj.name === 'set-cookie')
+			.map((obj) => obj.value);
+
+		expect(cookies).toContain('theme=dark; Path=/load/set-cookie-fetch');
+	});
+
+	test('cookies.set is reflected in cookies.get', async ({ request }) => {
+		const response = await request.get('/cookies', {
+			headers: { cookie: 'visits=41' }
+		});
+
+		const html = await response.text();
+		expect(html).toContain('visits: 42');
+		expect(html).toContain('echoed: 42');
+	});
+});
+
+test.describe('CSRF', () => {
+	test('blocks cross-site form submissions', async ({ request }) => {
+		const response = await request.post('/csrf', {
+			headers: { origin: 'https://evil.example' },
+			form: {}
+		});
+
+		expect(response.status()).toBe(403);
+		expect(await response.text()).toBe('Cross-site POST form submissions are forbidden');
+	});
+
+	test('responds with JSON if requested', async ({ request }) => {
+		const response = await request.post('/csrf', {
+			headers: { origin: 'https://evil.example', accept: 'application/json' },
+			multipart: { name: 'value' }
+		});
+
+		expect(response.status()).toBe(403);
+		expect(await response.json()).toEqual({
+			message: 'Cross-site POST form submissions are forbidden'
+		});
+	});
+
+	test('allows same-origin and trusted form submissions', async ({ request, baseURL }) => {
+		for (const origin of [/** @type {string} */ (baseURL), 'https://trusted.example']) {
+			const response = await request.post('/csrf', { headers: { origin }, form: {} });
+			expect(response.status()).toBe(200);
+		}
+	});
+
+	test('allows form submissions made with event.fetch', async ({ request }) => {
+		const response = await request.get('/csrf/internal');
+		expect(await response.text()).toBe('200 ok');
+	});
+
+	test('allows cross-site requests that are not form submissions', async ({ request }) => {
+		const response = await request.post('/csrf', {
+			headers: { origin: 'https://evil.example' },
+			data: { json: true }
+		});
+
+		expect(response.status()).toBe(200);
+	});
+});
+
 test.describe('Endpoints', () => {
+	test('event.fetch makes credentialed requests from endpoints', async ({ request }) => {
+		const response = await request.get('/endpoint-output/fetch', {
+			headers: { cookie: 'name=SvelteKit' }
+		});
+		expect(await response.json()).toEqual({ name: 'SvelteKit' });
+	});
+
 	test('HEAD with matching headers but without body', async ({ request }) => {
 		const url = '/endpoint-output/body';
 
@@ -183,6 +359,30 @@ test.describe('Errors', () => {
 	});
 });
 
+test.describe('Layout handle', () => {
+	test('wraps pages, outermost layout first', async ({ request }) => {
+		const response = await request.get('/layout-handle/nested');
+		expect(response.headers()['x-layout-handle']).toBe('inner, outer');
+	});
+
+	test('wraps __data.json requests', async ({ request }) => {
+		const response = await request.get('/layout-handle/nested/__data.json');
+		expect(response.headers()['x-layout-handle']).toBe('inner, outer');
+	});
+
+	test('wraps endpoints', async ({ request }) => {
+		const response = await request.get('/layout-handle/nested/endpoint');
+		expect(await response.text()).toBe('ok');
+		expect(response.headers()['x-layout-handle']).toBe('inner, outer');
+	});
+
+	test('can respond without resolving', async ({ request }) => {
+		const response = await request.get('/layout-handle/nested/endpoint?denied');
+		expect(response.status()).toBe(403);
+		expect(await response.text()).toBe('denied');
+	});
+});
+
 test.describe('Load', () => {
 	test('fetching a non-existent resource in root layout fails without hanging', async ({
 		request
@@ -190,9 +390,66 @@ test.describe('Load', () => {
 		const response = await request.get('/errors/error-in-layout');
 		expect(await response.text()).toContain('Error: 500');
 	});
+
+	test('event.fetch makes credentialed requests from server load functions', async ({
+		request
+	}) => {
+		const response = await request.get('/load/server-fetch-credentialed', {
+			headers: { cookie: 'name=SvelteKit' }
+		});
+		expect(await response.text()).toContain('<h1>Hello SvelteKit!</h1>');
+	});
+});
+
+test.describe('Server data', () => {
+	test('__data.json includes uses and skips nodes the client can reuse', async ({ request }) => {
+		let response = await request.get('/load/server-uses/a/__data.json');
+		let { nodes } = await response.json();
+
+		expect(nodes[1]).toMatchObject({
+			type: 'data',
+			uses: { dependencies: ['custom:server-uses'] }
+		});
+		expect(nodes[2]).toEqual({ type: 'data', data: { x: 'a' }, uses: { params: ['x'] } });
+
+		response = await request.get('/load/server-uses/a/__data.json?x-sveltekit-invalidated=001');
+		({ nodes } = await response.json());
+
+		expect(nodes[1]).toEqual({ type: 'skip' });
+		expect(nodes[2]).toEqual({ type: 'data', data: { x: 'a' }, uses: { params: ['x'] } });
+	});
 });
 
 test.describe('Routing', () => {
+	test('renders the page for requests that accept HTML', async ({ request }) => {
+		const response = await request.get('/routing/content-negotiation', {
+			headers: { accept: 'text/html,application/xhtml+xml,*/*;q=0.8' }
+		});
+		expect(await response.text()).toContain('<h1>Hi</h1>');
+	});
+
+	test('uses the endpoint for other requests to a page route', async ({ request }) => {
+		let response = await request.get('/routing/content-negotiation', {
+			headers: { accept: 'application/json' }
+		});
+		expect(await response.json()).toEqual({ message: 'hi' });
+
+		response = await request.put('/routing/content-negotiation');
+		expect(await response.text()).toBe('put');
+	});
+
+	test('sets Vary: Accept when a page and an endpoint share a route', async ({ request }) => {
+		let response = await request.get('/routing/content-negotiation', {
+			headers: { accept: 'text/html' }
+		});
+		expect(response.headers()['vary']).toBe('Accept');
+
+		response = await request.get('/routing/content-negotiation', {
+			headers: { accept: 'application/json' }
+		});
+		expect(response.headers()['vary']).toBe('Accept');
+	});
+
 	test('event.params are available in handle', async ({ request }) => {
 		const response = await request.get('/routing/params-in-handle/banana');
 		expect(await response.json()).toStrictEqual({
@@ -265,8 +522,68 @@ test.describe('Shadowed pages', () => {
 			}
 		});
 
-		expect(response.status()).toBe(204);
-		expect(await response.text()).toEqual('');
+		expect(response.status()).toBe(200);
+		expect(await response.json()).toEqual({ type: 'success', status: 200 });
+	});
+});
+
+test.describe('Streaming', () => {
+	test('renders the shell before streaming nested promises', async ({ request }) => {
+		const response = await request.get('/streaming/server');
+		const html = await response.text();
+
+		expect(response.headers()['etag']).toBeUndefined();
+		expect(html).toContain('<p class="slow">loading</p>');
+		expect(html).toContain('__sveltekit_defer(1).fulfil("done")');
+		expect(html.indexOf('__sveltekit_defer(2).reject(')).toBeLessThan(
+			html.indexOf('__sveltekit_defer(1).fulfil(')
+		);
+		expect(html.indexOf('__sveltekit_defer(1).fulfil(')).toBeLessThan(html.indexOf('</body>'));
+		expect(html.trimEnd().endsWith('</html>')).toBe(true);
+	});
+
+	test('streams nested promises from __data.json', async ({ request }) => {
+		const response = await request.get('/streaming/server/__data.json');
+		expect(response.headers()['content-type']).toBe('text/sveltekit-data');
+
+		const [payload, ...chunks] = (await response.text())
+			.trim()
+			.split('\n')
+			.map((line) => JSON.parse(line));
+
+		expect(payload.nodes[1].data).toEqual({
+			fast: 'hello',
+			streamed: {
+				slow: { __sveltekit_deferred: 1 },
+				failing: { __sveltekit_deferred: 2 }
+			}
+		});
+
+		expect(chunks[0]).toMatchObject({ id: 2, error: { message: 'oops' } });
+		expect(chunks[1]).toEqual({ id: 1, data: 'done' });
+	});
+
+	test('passes streamed chunks through transformPageChunk', async ({ request }) => {
+		const response = await request.get('/streaming/transform');
+		const html = await response.text();
+
+		// the document up to `</body>`, the chunk that settles the promise, and the rest of the document
+		expect(html.match(/<!-- done: (true|false) -->/g)).toEqual([
+			'<!-- done: false -->',
+			'<!-- done: false -->',
+			'<!-- done: true -->'
+		]);
+		expect(html).toContain('__sveltekit_defer(1).fulfil("done")</script>\n<!-- done: false -->');
+		expect(html).toMatch(/<\/html>\s*<!-- done: true -->\s*$/);
+	});
+
+	test('streams nested promises that reject before they are serialized', async ({ request }) => {
+		const response = await request.get('/streaming/early-rejection');
+		const html = await response.text();
+
+		expect(response.status()).toBe(200);
+		expect(html).toContain('<p class="slow">done</p>');
+		expect(html).toMatch(/__sveltekit_defer\(1\)\.reject\(\{.*"message":"early"/);
 	});
 });
 
@@ -314,6 +631,89 @@ test.describe('Static files', () => {
 	});
 });
 
+test.describe('WebSockets', () => {
+	test('socket handler accepts connections and can read locals', async ({ page }) => {
+		await page.goto('/');
+
+		const messages = await page.evaluate(
+			() =>
+				new Promise((fulfil, reject) => {
+					const socket = new WebSocket(`${location.origin.replace('http', 'ws')}/websocket`);
+
+					/** @type {string[]} */
+					const messages = [];
+
+					socket.onopen = () => socket.send('hello');
+					socket.onerror = () => reject(new Error('WebSocket connection failed'));
+					socket.onmessage = (event) => {
+						messages.push(event.data);
+
+						if (messages.length === 2) {
+							socket.close();
+							fulfil(messages);
+						}
+					};
+				})
+		);
+
+		expect(messages).toEqual(['answer: 42', 'echo: hello']);
+	});
+
+	test('refuses cross-site WebSocket handshakes', async ({ baseURL }) => {
+		/** @param {string} origin */
+		const handshake = (origin) =>
+			new Promise((fulfil, reject) => {
+				const req = http.get(`${baseURL}/websocket`, {
+					headers: {
+						connection: 'Upgrade',
+						upgrade: 'websocket',
+						origin,
+						'sec-websocket-key': randomBytes(16).toString('base64'),
+						'sec-websocket-version': '13'
+					}
+				});
+
+				req.on('response', (res) => {
+					res.resume();
+					fulfil(res.statusCode);
+				});
+				req.on('upgrade', (res, socket) => {
+					socket.destroy();
+					fulfil(res.statusCode);
+				});
+				req.on('error', reject);
+			});
+
+		expect(await handshake('https://evil.example')).toBe(403);
+		expect(await handshake('https://trusted.example')).toBe(101);
+		expect(await handshake(new URL(/** @type {string} */ (baseURL)).origin)).toBe(101);
+	});
+
+	test('leaves other upgrade requests to other listeners', async ({ page }) => {
+		await page.goto('/');
+
+		const message = await page.evaluate(
+			() =>
+				new Promise((fulfil, reject) => {
+					const socket = new WebSocket(`${location.origin.replace('http', 'ws')}/other-socket`);
+
+					socket.onerror = () => reject(new Error('WebSocket connection failed'));
+					socket.onmessage = (event) => {
+						socket.close();
+						fulfil(event.data);
+					};
+				})
+		);
+
+		expect(message).toBe('hello from another plugin');
+	});
+
+	test('routes with a socket handler respond to regular requests', async ({ request }) => {
+		const response = await request.get('/websocket');
+		expect(await response.text()).toBe('not a WebSocket request');
+	});
+});
+
 test.describe('Miscellaneous', () => {
 	test('does not serve version.json with an immutable cache header', async ({ request }) => {
 		// this isn't actually a great test, because caching behaviour is down to adapters.
@@ -147,6 +147,47 @@ test.describe('CSS', () => {
 	});
 });
 
+test.describe('Actions', () => {
+	test('Calls the default action when no action is named', async ({ page }) => {
+		await page.goto('/actions/named');
+		await Promise.all([page.waitForNavigation(), page.click('#default')]);
+
+		expect(await page.textContent('.form')).toBe('default');
+		expect(await page.textContent('.page-form')).toBe('default');
+	});
+
+	test('Calls the action selected with ?/name', async ({ page }) => {
+		await page.goto('/actions/named');
+		await Promise.all([page.waitForNavigation(), page.click('#first')]);
+
+		expect(await page.textContent('.form')).toBe('first');
+	});
+
+	test('Surfaces validation errors returned from a named action', async ({ page }) => {
+		await page.goto('/actions/named');
+		const [response] = await Promise.all([page.waitForNavigation(), page.click('#second')]);
+
+		expect(response?.status()).toBe(400);
+		expect(await page.textContent('.errors')).toBe('missing');
+
+		await page.fill('input[name="username"]', 'alice');
+		await Promise.all([page.waitForNavigation(), page.click('#second')]);
+
+		expect(await page.textContent('.form')).toBe('second: alice');
+		expect(await page.textContent('.errors')).toBe('none');
+	});
+
+	test('Renders a 404 for a missing named action', async ({ page }) => {
+		await page.goto('/actions/named');
+		const [response] = await Promise.all([page.waitForNavigation(), page.click('#missing')]);
+
+		expect(response?.status()).toBe(404);
+		expect(await page.textContent('#message')).toBe(
+			'This is your custom error page saying: "No action with name \'missing\' found"'
+		);
+	});
+});
+
 test.describe('Shadowed pages', () => {
 	test('Loads props from an endpoint', async ({ page, clicknav }) => {
 		await page.goto('/shadowed');
@@ -385,6 +426,14 @@ test.describe('Errors', () => {
 		});
 	}
 
+	test('handleError can return the error shown to the user', async ({ page }) => {
+		await page.goto('/errors/app-error/server');
+
+		expect(await page.textContent('#message')).toBe(
+			'This is your custom error page saying: "Crashing on the server (handled by hooks.js)"'
+		);
+	});
+
 	test('server-side load errors', async ({ page }) => {
 		await page.goto('/errors/load-server');
 
@@ -512,14 +561,12 @@ test.describe('Errors', () => {
 		);
 	});
 
-	test('prerendering a page with a mutative page endpoint results in a catchable error', async ({
-		page
-	}) => {
+	test('prerendering a page with form actions results in a catchable error', async ({ page }) => {
 		await page.goto('/prerendering/mutative-endpoint');
 		expect(await page.textContent('h1')).toBe('500');
 
 		expect(await page.textContent('#message')).toBe(
-			'This is your custom error page saying: "Cannot prerender pages that have endpoints with mutative methods"'
+			'This is your custom error page saying: "Cannot prerender pages with actions"'
 		);
 	});
 
@@ -586,7 +633,7 @@ test.describe('Errors', () => {
 
 		if (process.env.DEV) {
 			const lines = stack.split('\n');
-			expect(lines[1]).toContain('+page.server.js:4:8');
+			expect(lines[1]).toContain('+page.server.js:5:9');
 		}
 
 		const error = read_errors('/errors/page-endpoint/post-implicit');
@@ -772,6 +819,11 @@ test.describe('Load', () => {
 		}
 	});
 
+	test('handleFetch can modify internal requests', async ({ page }) => {
+		await page.goto('/load/handle-fetch');
+		expect(await page.textContent('h1')).toBe('the secret is swordfish');
+	});
+
 	test('makes credentialed fetches to endpoints by default', async ({ page, clicknav }) => {
 		await page.goto('/load');
 		await clicknav('[href="/load/fetch-credentialed"]');
@@ -1134,10 +1186,12 @@ test.describe('$app/stores', () => {
 
 			const res = await Promise.all([
 				page.click('a[href="/store/navigating/b"]'),
-				page.textContent('#navigating')
+				page.textContent('#navigating'),
+				page.textContent('#navigating-type')
 			]);
 
 			expect(res[1]).toBe('navigating from /store/navigating/a to /store/navigating/b');
+			expect(res[2]).toBe('link');
 
 			await page.waitForSelector('#not-navigating');
 			expect(await page.textContent('#nav-status')).toBe('not currently navigating');
@@ -1,6 +1,32 @@
+import * as crypto from 'crypto';
 import * as path from 'path';
 import { sveltekit } from '@sveltejs/kit/vite';
 
+/**
+ * A WebSocket server registered by another plugin, which SvelteKit must leave alone
+ * @param {import('http').Server | null} server
+ */
+function other_socket(server) {
+	server?.on('upgrade', (req, socket) => {
+		if (req.url !== '/other-socket') return;
+
+		const accept = crypto
+			.createHash('sha1')
+			.update(req.headers['sec-websocket-key'] + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')
+			.digest('base64');
+
+		const message = Buffer.from('hello from another plugin');
+
+		socket.write(
+			'HTTP/1.1 101 Switching Protocols\r\n' +
+				'upgrade: websocket\r\n' +
+				'connection: Upgrade\r\n' +
+				`sec-websocket-accept: ${accept}\r\n\r\n`
+		);
+		socket.write(Buffer.concat([Buffer.from([0x81, message.length]), message]));
+	});
+}
+
 /** @type {import('vite').UserConfig} */
 const config = {
 	build: {
@@ -12,7 +38,14 @@ const config = {
 		// the reload confuses Playwright
 		include: ['cookie', 'marked']
 	},
-	plugins: [sveltekit()],
+	plugins: [
+		sveltekit(),
+		{
+			name: 'other-socket',
+			configureServer: (server) => other_socket(server.httpServer),
+			configurePreviewServer: (server) => other_socket(server.httpServer)
+		}
+	],
 	server: {
 		fs: {
 			allow: [path.resolve('../../../src')]
@@ -0,0 +1 @@
+export { config as default } from '../../utils.js';
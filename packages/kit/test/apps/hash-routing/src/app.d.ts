@@ -0,0 +1 @@
+/// <reference types="@sveltejs/kit" />
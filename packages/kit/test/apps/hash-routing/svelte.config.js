@@ -0,0 +1,10 @@
+/** @type {import('@sveltejs/kit').Config} */
+const config = {
+	kit: {
+		router: {
+			type: 'hash'
+		}
+	}
+};
+
+export default config;
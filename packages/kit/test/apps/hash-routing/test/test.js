@@ -0,0 +1,43 @@
+import { expect } from '@playwright/test';
+import { test } from '../../../utils.js';
+
+test.skip(({ javaScriptEnabled }) => !javaScriptEnabled);
+
+test.describe.configure({ mode: 'parallel' });
+
+test.describe('router.type: hash', () => {
+	test('navigates to routes in the hash', async ({ page, clicknav }) => {
+		await page.goto('/');
+		await clicknav('[href="#/anchor"]');
+
+		expect(new URL(page.url()).hash).toBe('#/anchor');
+		expect(await page.textContent('#page-url')).toBe('/anchor');
+	});
+
+	test('resolves in-page anchors against the current route', async ({ page }) => {
+		await page.goto('/#/anchor');
+		expect(await page.textContent('#page-url')).toBe('/anchor');
+
+		await page.click('[href="#section"]');
+
+		expect(new URL(page.url()).hash).toBe('#/anchor#section');
+		expect(await page.textContent('#page-url')).toBe('/anchor#section');
+		expect(await page.evaluate(() => scrollY)).toBeGreaterThan(0);
+
+		await page.goBack();
+		expect(new URL(page.url()).hash).toBe('#/anchor');
+		expect(await page.textContent('#page-url')).toBe('/anchor');
+	});
+
+	test('resolves fragments entered in the address bar against the current route', async ({
+		page
+	}) => {
+		await page.goto('/#/anchor');
+		expect(await page.textContent('#page-url')).toBe('/anchor');
+
+		await page.evaluate(() => (location.hash = 'section'));
+
+		await expect(page).toHaveURL(/\/#\/anchor#section$/);
+		expect(await page.textContent('#page-url')).toBe('/anchor#section');
+	});
+});
@@ -4,4 +4,6 @@ export function load() {
 	};
 }
 
-export function POST() {}
+export const actions = {
+	default: () => {}
+};
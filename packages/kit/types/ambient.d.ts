@@ -5,8 +5,12 @@
  * /// <reference types="@sveltejs/kit" />
  *
  * declare namespace App {
+ * 	interface Error {}
+ *
  * 	interface Locals {}
  *
+ * 	interface PageState {}
+ *
  * 	interface Platform {}
  *
  * 	interface PrivateEnv {}
@@ -17,7 +21,7 @@
  * }
  * ```
  *
- * By populating these interfaces, you will gain type safety when using `env`, `event.locals`, `event.platform`, `session` and `stuff`.
+ * By populating these interfaces, you will gain type safety when using `env`, `event.locals`, `event.platform`, `session`, `stuff`, `$page.error` and `$page.state`.
  *
  * Note that since it's an ambient declaration file, you have to be careful when using `import` statements. Once you add an `import`
  * at the top level, the declaration file is no longer considered ambient and you lose access to these typings in other files.
@@ -44,11 +48,23 @@
  *
  */
 declare namespace App {
+	/**
+	 * The shape of the objects returned from the `handleError` hooks in `src/hooks.js` and `src/hooks.client.js`, which become [`$page.error`](https://kit.svelte.dev/docs/modules#$app-stores) when an unexpected error occurs.
+	 */
+	export interface Error {
+		message: string;
+	}
+
 	/**
 	 * The interface that defines `event.locals`, which can be accessed in [hooks](https://kit.svelte.dev/docs/hooks) (`handle`, `handleError` and `getSession`) and [endpoints](https://kit.svelte.dev/docs/routing#endpoints).
 	 */
 	export interface Locals {}
 
+	/**
+	 * The shape of `$page.state`, which can be manipulated with the [`pushState`](https://kit.svelte.dev/docs/modules#$app-navigation-pushstate) and [`replaceState`](https://kit.svelte.dev/docs/modules#$app-navigation-replacestate) functions from `$app/navigation`.
+	 */
+	export interface PageState {}
+
 	/**
 	 * If your adapter provides [platform-specific context](https://kit.svelte.dev/docs/adapters#supported-environments-platform-specific-context) via `event.platform`, you can specify it here.
 	 */
@@ -125,6 +141,78 @@ declare module '$env/dynamic/public' {
 	export let env: App.PublicEnv;
 }
 
+/**
+ * ```ts
+ * import { applyAction, enhance } from '$app/forms';
+ * ```
+ */
+declare module '$app/forms' {
+	import type { ActionResult } from '@sveltejs/kit';
+
+	export type SubmitFunction<
+		Success extends Record<string, unknown> | undefined = Record<string, any>,
+		Invalid extends Record<string, unknown> | undefined = Record<string, any>
+	> = (input: {
+		action: URL;
+		data: FormData;
+		form: HTMLFormElement;
+		controller: AbortController;
+		cancel: () => void;
+	}) =>
+		| void
+		| ((opts: {
+				action: URL;
+				data: FormData;
+				form: HTMLFormElement;
+				result: ActionResult<Success, Invalid>;
+				/**
+				 * Call this to get the default behavior of a form submission response.
+				 * @param opts.reset Set this to `false` if you don't want the `<form>` values to be reset after a successful submission.
+				 */
+				update: (opts?: { reset: boolean }) => Promise<void>;
+		  }) => void)
+		| Promise<
+				| void
+				| ((opts: {
+						action: URL;
+						data: FormData;
+						form: HTMLFormElement;
+						result: ActionResult<Success, Invalid>;
+						update: (opts?: { reset: boolean }) => Promise<void>;
+				  }) => void)
+		  >;
+
+	/**
+	 * This action enhances a `<form>` element that otherwise would work without JavaScript.
+	 *
+	 * The submit function is called upon submission with the given FormData and the `action` that should be triggered.
+	 * If `cancel` is called, the form will not be submitted.
+	 * You can use the abort `controller` to cancel the submission in case another one starts.
+	 * If a function is returned, that function is called with the response from the server.
+	 * If nothing is returned, the fallback will be used: on success, all data is invalidated, `form` and `$page.form`
+	 * are updated and the `<form>` is reset; if the action returns `errors`, only `form` and `$page.form` are updated;
+	 * a redirect navigates with `goto`; and an error renders the nearest `+error.svelte`. `form` and `$page.form`
+	 * are only updated if the action belongs to the current page. If the callback throws, the error is passed to the
+	 * client `handleError` hook.
+	 *
+	 * @param form The form element
+	 * @param submit Submit callback
+	 */
+	export function enhance<
+		Success extends Record<string, unknown> | undefined = Record<string, any>,
+		Invalid extends Record<string, unknown> | undefined = Record<string, any>
+	>(form: HTMLFormElement, submit?: SubmitFunction<Success, Invalid>): { destroy: () => void };
+
+	/**
+	 * Updates the `form` property of the current page with the given data and updates `$page.status`.
+	 * In case of an error, it renders the nearest `+error.svelte` page; in case of a redirect, it navigates with `goto`.
+	 */
+	export function applyAction<
+		Success extends Record<string, unknown> | undefined = Record<string, any>,
+		Invalid extends Record<string, unknown> | undefined = Record<string, any>
+	>(result: ActionResult<Success, Invalid>): Promise<void>;
+}
+
 /**
  * ```ts
  * import {
@@ -133,12 +221,17 @@ declare module '$env/dynamic/public' {
  * 	disableScrollHandling,
  * 	goto,
  * 	invalidate,
+ * 	onNavigate,
  * 	prefetch,
- * 	prefetchRoutes
+ * 	prefetchRoutes,
+ * 	pushState,
+ * 	replaceState
  * } from '$app/navigation';
  * ```
  */
 declare module '$app/navigation' {
+	import { AfterNavigate, BeforeNavigate, OnNavigate } from '@sveltejs/kit';
+
 	/**
 	 * If called when the page is being updated following a navigation (in `onMount` or `afterNavigate` or an action, for example), this disables SvelteKit's built-in scroll handling.
 	 * This is generally discouraged, since it breaks user expectations.
@@ -167,7 +260,7 @@ declare module '$app/navigation' {
 	 *  1. ensuring that the code for the page is loaded, and
 	 *  2. calling the page's load function with the appropriate options.
 	 *
-	 * This is the same behaviour that SvelteKit triggers when the user taps or mouses over an `<a>` element with `sveltekit:prefetch`.
+	 * This is the same behaviour that SvelteKit triggers when the user taps or mouses over an `<a>` element with `sveltekit:prefetch` or `sveltekit:preload-data`.
 	 * If the next navigation is to `href`, the values returned from load will be used, making navigation instantaneous.
 	 * Returns a Promise that resolves when the prefetch is complete.
 	 *
@@ -185,19 +278,44 @@ declare module '$app/navigation' {
 	 * Returns a Promise that resolves when the routes have been prefetched.
 	 */
 	export function prefetchRoutes(routes?: string[]): Promise<void>;
+	/**
+	 * Creates a new history entry with the given `$page.state`, without navigating — no `load` functions run, and the page stays as it is apart from `$page.state`.
+	 * Going back and forth between this entry and others created on the same page only updates `$page.state`, which makes it possible to (for example) close a modal with the back button.
+	 * `$page.url` continues to reflect the page that is showing. `$page.state` is empty when the page is server-rendered, or when the user reloads.
+	 *
+	 * @param url The URL of the new entry, relative to the current one. Pass `''` to keep the current URL
+	 * @param state The value of `$page.state` for the new entry. It must be serializable with the structured clone algorithm
+	 */
+	export function pushState(url: string | URL, state: App.PageState): void;
+	/**
+	 * Like [`pushState`](https://kit.svelte.dev/docs/modules#$app-navigation-pushstate), except that the current history entry is replaced rather than a new one being created.
+	 *
+	 * @param url The URL of the entry, relative to the current one. Pass `''` to keep the current URL
+	 * @param state The value of `$page.state` for the entry. It must be serializable with the structured clone algorithm
+	 */
+	export function replaceState(url: string | URL, state: App.PageState): void;
+
+	/**
+	 * A navigation interceptor that triggers before we navigate to a new URL (internal or external) whether by clicking a link, calling `goto`, using the browser back/forward controls, or leaving the app.
+	 * Calling `cancel` prevents the navigation from starting. `navigation.type` tells you what kind of navigation it is, and `navigation.willUnload` whether the page will be unloaded.
+	 */
+	export function beforeNavigate(fn: (navigation: BeforeNavigate) => void): void;
 
 	/**
-	 * A navigation interceptor that triggers before we navigate to a new URL (internal or external) whether by clicking a link, calling `goto`, or using the browser back/forward controls.
-	 * This is helpful if we want to conditionally prevent a navigation from completing or lookup the upcoming url.
+	 * A lifecycle function that runs immediately before we navigate to a new URL, after the data for the new page has loaded but before the page is updated. It is not called for navigations that unload the page.
+	 *
+	 * If the callback returns a promise, SvelteKit waits for it to resolve before updating the page — this makes it possible to use `document.startViewTransition`. Avoid promises that are slow to resolve, since navigation will appear stalled to the user.
+	 *
+	 * If a function (or a promise that resolves to a function) is returned from the callback, it will be called once the DOM has updated and the navigation is complete.
 	 */
-	export function beforeNavigate(
-		fn: (navigation: { from: URL; to: URL | null; cancel: () => void }) => void
+	export function onNavigate(
+		fn: (navigation: OnNavigate) => void | (() => void) | Promise<void | (() => void)>
 	): void;
 
 	/**
-	 * A lifecycle function that runs when the page mounts, and also whenever SvelteKit navigates to a new URL but stays on this component.
+	 * A lifecycle function that runs when the page mounts (with `navigation.type === 'enter'`), and also whenever SvelteKit navigates to a new URL but stays on this component.
 	 */
-	export function afterNavigate(fn: (navigation: { from: URL | null; to: URL }) => void): void;
+	export function afterNavigate(fn: (navigation: AfterNavigate) => void): void;
 }
 
 /**
@@ -248,7 +366,7 @@ declare module '$app/stores' {
 	export const page: Readable<Page>;
 	/**
 	 * A readable store.
-	 * When navigating starts, its value is `{ from: URL, to: URL }`,
+	 * When navigating starts, its value is a `Navigation` object with `from`, `to`, `type`, `willUnload` and `complete` properties (and `delta` for back/forward navigations),
 	 * When navigating finishes, its value reverts to `null`.
 	 */
 	export const navigating: Readable<Navigation | null>;
@@ -258,7 +376,7 @@ declare module '$app/stores' {
 	 */
 	export const session: Writable<App.Session>;
 	/**
-	 *  A readable store whose initial value is `false`. If [`version.pollInterval`](https://kit.svelte.dev/docs/configuration#version) is a non-zero value, SvelteKit will poll for new versions of the app and update the store value to `true` when it detects one. `updated.check()` will force an immediate check, regardless of polling.
+	 *  A readable store whose initial value is `false`. If [`version.pollInterval`](https://kit.svelte.dev/docs/configuration#version) is a non-zero value, SvelteKit will poll for new versions of the app and update the store value to `true` when it detects one. If `version.push` is `true`, the server notifies the client of new versions instead. `updated.check()` will force an immediate check, regardless of polling.
 	 */
 	export const updated: Readable<boolean> & { check: () => boolean };
 }
@@ -327,6 +445,10 @@ declare module '@sveltejs/kit/hooks' {
 	 * first post-processing
 	 * ```
 	 *
+	 * Each handler receives the `event` that the previous one passed to `resolve`, so changes to `event.locals` are visible further down the chain. If more than one handler passes options to `resolve`, they are merged — the last handler to specify `ssr` wins, and `transformPageChunk` functions are applied in the order the handlers were passed to `sequence`.
+	 *
+	 * If one of the handlers throws an error, its function name is available as `error.handler` in [`handleError`](https://kit.svelte.dev/docs/hooks#handleerror).
+	 *
 	 * @param handlers The chain of `handle` functions
 	 */
 	export function sequence(...handlers: Handle[]): Handle;
@@ -356,6 +478,25 @@ declare module '@sveltejs/kit/node' {
 		request: import('http').IncomingMessage
 	): Promise<Request>;
 	export function setResponse(res: import('http').ServerResponse, response: Response): void;
+	/**
+	 * Handles the `upgrade` event of a Node server. The request is passed to `respond` along with
+	 * an `upgrade` function, which should be passed to `server.respond` as an option — if a
+	 * `socket` handler accepts the connection, the WebSocket handshake is completed and the handler is called,
+	 * otherwise the response is written to the socket and the connection is closed.
+	 *
+	 * Resolves to `false` without touching the socket if the request doesn't match a route that exports
+	 * `socket`, so that other `upgrade` listeners can handle it.
+	 */
+	export function handleUpgrade(
+		base: string,
+		req: import('http').IncomingMessage,
+		socket: import('stream').Duplex,
+		head: Buffer,
+		respond: (
+			request: Request,
+			upgrade: (handler: import('@sveltejs/kit').UpgradeHandler) => Response
+		) => Promise<Response>
+	): Promise<boolean>;
 }
 
 declare module '@sveltejs/kit/vite' {
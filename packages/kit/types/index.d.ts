@@ -4,6 +4,7 @@
 import './ambient.js';
 
 import { CompileOptions } from 'svelte/types/compiler/interfaces';
+import { CookieParseOptions, CookieSerializeOptions } from 'cookie';
 import {
 	AdapterEntry,
 	CspDirectives,
@@ -24,6 +25,19 @@ import { HttpError, Redirect } from '../src/index/private.js';
 export interface Adapter {
 	name: string;
 	adapt(builder: Builder): MaybePromise<void>;
+	/**
+	 * Features of the deployment platform. The build fails if the app uses a feature that the adapter doesn't declare
+	 */
+	supports?: {
+		/**
+		 * Whether the platform can accept WebSocket connections, which are handled by `socket` exports in `+server.js` files
+		 */
+		webSockets?: boolean;
+		/**
+		 * Whether requests can be kept open indefinitely, as the connection used by `version.push` is. Serverless platforms usually keep a function running for as long as its request is open
+		 */
+		longLivedRequests?: boolean;
+	};
 }
 
 export type AwaitedProperties<input extends Record<string, any> | void> = input extends void
@@ -36,11 +50,19 @@ export type AwaitedProperties<input extends Record<string, any> | void> = input
 	? input
 	: unknown;
 
-export type AwaitedErrors<T extends (...args: any) => any> = Awaited<ReturnType<T>> extends {
-	errors?: any;
-}
-	? Awaited<ReturnType<T>>['errors']
-	: undefined;
+export type AwaitedActions<T extends Record<string, (...args: any) => any>> = {
+	[Key in keyof T]: Exclude<Awaited<ReturnType<T[Key]>>, void | { location: string }>;
+}[keyof T];
+
+export type AwaitedErrors<T extends Record<string, (...args: any) => any>> =
+	| {
+			[Key in keyof T]: Awaited<ReturnType<T[Key]>> extends infer R
+				? R extends { errors: infer E }
+					? E
+					: never
+				: never;
+	  }[keyof T]
+	| undefined;
 
 export interface Builder {
 	log: Logger;
@@ -111,7 +133,38 @@ export interface Config {
 	preprocess?: any;
 }
 
+export interface Cookies {
+	/**
+	 * Gets a cookie that was previously set with `cookies.set`, or from the request headers.
+	 */
+	get(name: string, opts?: CookieParseOptions): string | undefined;
+
+	/**
+	 * Sets a cookie. This will add a `set-cookie` header to the response, but also make the cookie available via `cookies.get` during the current request.
+	 *
+	 * The `httpOnly` and `secure` options are `true` by default (except in development, where `secure` is `false`), and must be explicitly disabled if you want cookies to be readable by client-side JavaScript and/or transmitted over HTTP. The `sameSite` option defaults to `lax`.
+	 */
+	set(name: string, value: string, opts?: CookieSerializeOptions): void;
+
+	/**
+	 * Deletes a cookie by setting its value to an empty string and setting the expiry date in the past. Pass the same `path` and `domain` options that were used to set it.
+	 */
+	delete(name: string, opts?: CookieSerializeOptions): void;
+
+	/**
+	 * Serializes a cookie name-value pair into a `set-cookie` header string, using the same defaults as `cookies.set`. Use this if you're constructing a response manually.
+	 */
+	serialize(name: string, value: string, opts?: CookieSerializeOptions): string;
+}
+
 export interface KitConfig {
+	a11y?: {
+		announcer?: {
+			enabled?: boolean;
+			politeness?: 'assertive' | 'polite';
+		};
+		focus?: 'body' | 'autofocus';
+	};
 	adapter?: Adapter;
 	alias?: Record<string, string>;
 	appDir?: string;
@@ -124,6 +177,10 @@ export interface KitConfig {
 		directives?: CspDirectives;
 		reportOnly?: CspDirectives;
 	};
+	csrf?: {
+		checkOrigin?: boolean;
+		trustedOrigins?: string[];
+	};
 	env?: {
 		publicPrefix: string;
 	};
@@ -138,6 +195,9 @@ export interface KitConfig {
 		template?: string;
 	};
 	inlineStyleThreshold?: number;
+	loadCache?: {
+		maxAge?: number;
+	};
 	methodOverride?: {
 		parameter?: string;
 		allowed?: string[];
@@ -162,6 +222,9 @@ export interface KitConfig {
 		onError?: PrerenderOnErrorValue;
 		origin?: string;
 	};
+	router?: {
+		type?: 'pathname' | 'hash';
+	};
 	serviceWorker?: {
 		register?: boolean;
 		files?: (filepath: string) => boolean;
@@ -170,11 +233,11 @@ export interface KitConfig {
 	version?: {
 		name?: string;
 		pollInterval?: number;
+		push?: boolean;
+	};
+	webSockets?: {
+		maxPayload?: number;
 	};
-}
-
-export interface ExternalFetch {
-	(req: Request): Promise<Response>;
 }
 
 export interface GetSession {
@@ -189,7 +252,18 @@ export interface Handle {
 }
 
 export interface HandleError {
-	(input: { error: Error & { frame?: string }; event: RequestEvent }): void;
+	(input: {
+		error: Error & { frame?: string; handler?: string };
+		event: RequestEvent;
+	}): void | App.Error;
+}
+
+export interface HandleFetch {
+	(input: { event: RequestEvent; request: Request; fetch: typeof fetch }): MaybePromise<Response>;
+}
+
+export interface HandleClientError {
+	(input: { error: Error; event: NavigationEvent }): void | App.Error;
 }
 
 /**
@@ -219,11 +293,82 @@ export interface LoadEvent<
 	url: URL;
 	parent: () => Promise<ParentData>;
 	depends: (...deps: string[]) => void;
+	/**
+	 * Aborted when the result of `load` is no longer needed — in the browser, this happens when the user navigates somewhere else before the navigation finishes. Requests made with `fetch` use it automatically, but it can be passed to other APIs that support cancellation
+	 */
+	signal: AbortSignal;
+}
+
+export interface AfterNavigate extends Navigation {
+	type: Exclude<NavigationType, 'leave'>;
+	willUnload: false;
+}
+
+export interface BeforeNavigate extends Navigation {
+	/**
+	 * Call this to prevent the navigation from starting
+	 */
+	cancel(): void;
 }
 
 export interface Navigation {
-	from: URL;
-	to: URL;
+	/**
+	 * Where navigation was triggered from, or `null` if the app is starting
+	 */
+	from: NavigationTarget | null;
+	/**
+	 * Where navigation is going to, or `null` if the user is leaving the app
+	 */
+	to: NavigationTarget | null;
+	/**
+	 * The type of navigation — see [`NavigationType`](https://kit.svelte.dev/docs/types#sveltejs-kit-navigationtype)
+	 */
+	type: NavigationType;
+	/**
+	 * Whether the navigation will result in the page being unloaded (i.e. not a client-side navigation)
+	 */
+	willUnload: boolean;
+	/**
+	 * In case of a history back/forward navigation, the number of steps to go back/forward
+	 */
+	delta?: number;
+	/**
+	 * A promise that resolves once the navigation is complete, and rejects if it is cancelled or aborted
+	 */
+	complete: Promise<void>;
+}
+
+export interface OnNavigate extends Navigation {
+	type: Exclude<NavigationType, 'enter' | 'leave'>;
+	willUnload: false;
+}
+
+export interface NavigationTarget {
+	/**
+	 * The parameters of the target page, or `null` if the target is not part of the app
+	 */
+	params: Record<string, string> | null;
+	/**
+	 * The id of the target route, or `null` if the target is not part of the app
+	 */
+	routeId: string | null;
+	url: URL;
+}
+
+/**
+ * - `enter`: The app has hydrated
+ * - `form`: A form submitted with `use:enhance` resulted in a redirect
+ * - `leave`: The user is leaving the app by closing the tab, reloading, or navigating to a different document
+ * - `link`: Navigation was triggered by a link click
+ * - `goto`: Navigation was triggered by a `goto(...)` call, or a redirect
+ * - `popstate`: Navigation was triggered by back/forward navigation or, with hash-based routing, by changing the route in the address bar
+ */
+export type NavigationType = 'enter' | 'form' | 'leave' | 'link' | 'goto' | 'popstate';
+
+export interface NavigationEvent<Params extends Record<string, string> = Record<string, string>> {
+	params: Params;
+	routeId: string | null;
+	url: URL;
 }
 
 export interface Page<Params extends Record<string, string> = Record<string, string>> {
@@ -231,8 +376,10 @@ export interface Page<Params extends Record<string, string> = Record<string, str
 	params: Params;
 	routeId: string | null;
 	status: number;
-	error: HttpError | Error | null;
+	error: HttpError | Error | App.Error | null;
 	data: Record<string, any>;
+	form: any;
+	state: App.PageState;
 }
 
 export interface ParamMatcher {
@@ -241,6 +388,15 @@ export interface ParamMatcher {
 
 export interface RequestEvent<Params extends Record<string, string> = Record<string, string>> {
 	clientAddress: string;
+	cookies: Cookies;
+	/**
+	 * `fetch` is equivalent to the [native `fetch` web API](https://developer.mozilla.org/en-US/docs/Web/API/fetch), with a few additional features:
+	 *
+	 * - it can be used to make credentialed requests on the server, as it inherits the `cookie` and `authorization` headers for the page request
+	 * - it can make relative requests on the server (ordinarily, `fetch` requires a URL with an origin when used in a server context)
+	 * - internal requests (e.g. for `+server.js` routes) go direct to the handler function when running on the server, without the overhead of an HTTP call
+	 */
+	fetch: typeof fetch;
 	locals: App.Locals;
 	params: Params;
 	platform: Readonly<App.Platform>;
@@ -259,6 +415,46 @@ export interface RequestHandler<Params extends Record<string, string> = Record<s
 	(event: RequestEvent<Params>): MaybePromise<Response>;
 }
 
+/**
+ * The server side of a WebSocket connection, passed to the `socket` handler exported from a `+server.js` file. It has the same API as the browser's [`WebSocket`](https://developer.mozilla.org/en-US/docs/Web/API/WebSocket) — text messages are received as strings, and binary messages as `ArrayBuffer` objects.
+ */
+export interface Socket extends EventTarget {
+	readonly readyState: 0 | 1 | 2 | 3;
+	readonly bufferedAmount: number;
+	onmessage: ((event: MessageEvent) => void) | null;
+	onclose: ((event: SocketCloseEvent) => void) | null;
+	onerror: ((event: Event) => void) | null;
+	send(data: string | ArrayBufferLike | ArrayBufferView): void;
+	close(code?: number, reason?: string): void;
+}
+
+/**
+ * Passed to the `upgrade` function provided by platforms that accept WebSocket connections, once a `socket` handler has accepted the connection.
+ */
+export interface UpgradeHandler {
+	/** The size in bytes of the largest message the connection should accept. */
+	maxPayload: number;
+	/** Called with the connection once the handshake is complete. */
+	open(socket: Socket): MaybePromise<void>;
+	/** Reports an error thrown by the `socket` handler or one of its event listeners, after which the connection is closed. */
+	error(error: unknown): void;
+}
+
+export interface SocketCloseEvent extends Event {
+	code: number;
+	reason: string;
+	wasClean: boolean;
+}
+
+/**
+ * A `(socket: Socket, event: RequestEvent) => void` function exported as `socket` from a +server.js file, which accepts WebSocket connections to that route. It is called once the connection is open, after the `handle` hook has run, so `event.locals` is populated.
+ *
+ * It receives `Params` as the first generic argument, which you can skip by using [generated types](/docs/types#generated-types) instead.
+ */
+export interface SocketHandler<Params extends Record<string, string> = Record<string, string>> {
+	(socket: Socket, event: RequestEvent<Params>): MaybePromise<void>;
+}
+
 export interface ResolveOptions {
 	ssr?: boolean;
 	transformPageChunk?: (input: { html: string; done: boolean }) => MaybePromise<string | undefined>;
@@ -276,6 +472,16 @@ export interface ServerInitOptions {
 	env: Record<string, string>;
 }
 
+/**
+ * The type of the `snapshot` object that a `+page.svelte` or `+layout.svelte` component can export,
+ * to preserve ephemeral state (such as the contents of a form) across history navigation.
+ * The value returned from `capture` must be JSON-serializable.
+ */
+export interface Snapshot<T = any> {
+	capture: () => T;
+	restore: (snapshot: T) => void;
+}
+
 export interface SSRManifest {
 	appDir: string;
 	assets: Set<string>;
@@ -311,16 +517,45 @@ export interface ServerLoadEvent<
 	ParentData extends JSONObject | null = JSONObject | null
 > extends RequestEvent<Params> {
 	parent: () => Promise<ParentData>;
+	depends: (...deps: string[]) => void;
 }
 
-export interface Action<Params extends Record<string, string> = Record<string, string>> {
-	(event: RequestEvent<Params>): MaybePromise<
-		| { status?: number; errors: Record<string, string>; location?: never }
-		| { status?: never; errors?: never; location: string }
-		| void
-	>;
+/**
+ * Shape of a form action method that is part of `export const actions = {..}` in `+page.server.js`.
+ * See [form actions](https://kit.svelte.dev/docs/routing#page-actions) for more information.
+ *
+ * An action can return a `{ status?, errors }` object if there are validation errors (`status` defaults to `400`),
+ * a `{ status?, location }` object to redirect the user to another page (`status` defaults to `303`),
+ * or any other data, which will be available to the page as `form`.
+ */
+export interface Action<
+	Params extends Record<string, string> = Record<string, string>,
+	OutputData extends Record<string, any> | void = Record<string, any> | void
+> {
+	(event: RequestEvent<Params>): MaybePromise<OutputData>;
 }
 
+/**
+ * Shape of the `export const actions = {..}` object in `+page.server.js`.
+ * The `default` action is invoked when the form's `action` attribute doesn't select a named one with `?/name`.
+ */
+export type Actions<
+	Params extends Record<string, string> = Record<string, string>,
+	OutputData extends Record<string, any> | void = Record<string, any> | void
+> = Record<string, Action<Params, OutputData>>;
+
+/**
+ * When calling a form action via a request with `accept: application/json`, the response will be of this shape.
+ */
+export type ActionResult<
+	Success extends Record<string, any> | undefined = Record<string, any>,
+	Invalid extends Record<string, any> | undefined = Record<string, any>
+> =
+	| { type: 'success'; status: number; data?: Success }
+	| { type: 'invalid'; status: number; data: Invalid }
+	| { type: 'redirect'; status: number; location: string }
+	| { type: 'error'; error: any };
+
 // TODO figure out how to just re-export from '../src/index/index.js' without
 // breaking the site
 
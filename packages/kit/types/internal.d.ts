@@ -1,13 +1,13 @@
 import { OutputAsset, OutputChunk } from 'rollup';
 import { SvelteComponent } from 'svelte/internal';
 import {
-	Action,
+	Actions,
 	Config,
-	ExternalFetch,
 	ServerLoad,
 	GetSession,
 	Handle,
 	HandleError,
+	HandleFetch,
 	KitConfig,
 	Load,
 	RequestEvent,
@@ -15,9 +15,17 @@ import {
 	ResolveOptions,
 	Server,
 	ServerInitOptions,
+	SocketHandler,
 	SSRManifest
 } from './index.js';
-import { HttpMethod, MaybePromise, RequestOptions, TrailingSlash } from './private.js';
+import {
+	HttpMethod,
+	JSONObject,
+	MaybePromise,
+	RequestOptions,
+	ResponseHeaders,
+	TrailingSlash
+} from './private.js';
 
 export interface ServerModule {
 	Server: typeof InternalServer;
@@ -56,6 +64,8 @@ export interface BuildData {
 	server: {
 		chunks: OutputChunk[];
 		methods: Record<string, HttpMethod[]>;
+		/** `+server.js` files that export a `socket` handler */
+		sockets: string[];
 		vite_manifest: import('vite').Manifest;
 	};
 }
@@ -86,15 +96,16 @@ export interface EndpointData {
 	id: string;
 	pattern: RegExp;
 	file: string;
+	layouts: Array<PageNode | undefined>;
 }
 
 export type GetParams = (match: RegExpExecArray) => Record<string, string>;
 
 export interface Hooks {
-	externalFetch: ExternalFetch;
 	getSession: GetSession;
 	handle: Handle;
 	handleError: HandleError;
+	handleFetch: HandleFetch;
 }
 
 export interface ImportNode {
@@ -137,6 +148,8 @@ export interface PageData {
 	errors: Array<PageNode | undefined>;
 	layouts: Array<PageNode | undefined>;
 	leaf: PageNode;
+	/** a `+server.js` file in the same directory as the page */
+	endpoint?: string;
 }
 
 export type PayloadScriptAttributes =
@@ -185,13 +198,47 @@ export interface SSRComponent {
 
 export type SSRComponentLoader = () => Promise<SSRComponent>;
 
+/**
+ * Sets headers on the response. `source` describes who set them
+ * (e.g. the path to a `+page.js` file), so that conflicts can be reported
+ */
+export type SetHeaders = (headers: ResponseHeaders, source: string) => void;
+
 export interface SSREndpoint {
 	type: 'endpoint';
 	id: string;
 	pattern: RegExp;
 	names: string[];
 	types: string[];
-	load(): Promise<Partial<Record<HttpMethod, RequestHandler>>>;
+	layouts: Array<number | undefined>;
+	load(): Promise<EndpointModule>;
+}
+
+export type EndpointModule = Partial<Record<HttpMethod, RequestHandler>> & {
+	socket?: SocketHandler;
+};
+
+/**
+ * The result of a server `load` function. `uses` tells the client
+ * when the data can be reused in a subsequent navigation
+ */
+export interface ServerDataNode {
+	type: 'data';
+	data: JSONObject | null;
+	uses: {
+		dependencies?: string[];
+		params?: string[];
+		parent?: number | void; // 1 or undefined
+		url?: number | void; // 1 or undefined
+	};
+}
+
+/**
+ * Signals that the server `load` function was not run, because the
+ * client indicated that it can reuse the data it already has
+ */
+export interface ServerDataSkippedNode {
+	type: 'skip';
 }
 
 export interface SSRNode {
@@ -207,6 +254,11 @@ export interface SSRNode {
 	/** inlined styles */
 	inline_styles?: () => MaybePromise<Record<string, string>>;
 
+	/** path to the `+page.js` or `+layout.js` file, relative to the project root */
+	shared_id?: string;
+	/** path to the `+page.server.js` or `+layout.server.js` file, relative to the project root */
+	server_id?: string;
+
 	shared: {
 		load?: Load;
 		hydrate?: boolean;
@@ -217,11 +269,9 @@ export interface SSRNode {
 
 	server: {
 		load?: ServerLoad;
-		HEAD?: ServerLoad;
-		POST?: Action;
-		PATCH?: Action;
-		PUT?: Action;
-		DELETE?: Action;
+		actions?: Actions;
+		/** wraps requests for routes beneath the layout — only used by `+layout.server.js` */
+		handle?: Handle;
 	};
 }
 
@@ -229,11 +279,18 @@ export type SSRNodeLoader = () => Promise<SSRNode>;
 
 export interface SSROptions {
 	csp: ValidatedConfig['kit']['csp'];
+	csrf: ValidatedConfig['kit']['csrf'];
 	dev: boolean;
+	focus: ValidatedConfig['kit']['a11y']['focus'];
 	get_stack: (error: Error) => string | undefined;
-	handle_error(error: Error & { frame?: string }, event: RequestEvent): void;
+	handle_error(
+		error: Error & { frame?: string; handler?: string },
+		event: RequestEvent
+	): void | App.Error;
+	hash_routing: boolean;
 	hooks: Hooks;
 	hydrate: boolean;
+	load_cache_max_age: number;
 	manifest: SSRManifest;
 	method_override: MethodOverride;
 	paths: {
@@ -263,6 +320,8 @@ export interface SSROptions {
 	}): string;
 	template_contains_nonce: boolean;
 	trailing_slash: TrailingSlash;
+	version: ValidatedConfig['kit']['version'];
+	websocket_max_payload: number;
 }
 
 export interface SSRPage {
@@ -274,6 +333,7 @@ export interface SSRPage {
 	errors: Array<number | undefined>;
 	layouts: Array<number | undefined>;
 	leaf: number;
+	endpoint: (() => Promise<EndpointModule>) | null;
 }
 
 export interface SSRErrorPage {
@@ -290,9 +350,10 @@ export type SSRRoute = SSREndpoint | SSRPage;
 export interface SSRState {
 	fallback?: string;
 	getClientAddress: () => string;
-	initiator?: SSRPage | SSRErrorPage;
+	initiator?: SSRRoute | SSRErrorPage;
 	platform?: any;
 	prerendering?: PrerenderOptions;
+	upgrade?: RequestOptions['upgrade'];
 }
 
 export type StrictBody = string | Uint8Array;
@@ -309,5 +370,6 @@ declare global {
 	const __SVELTEKIT_APP_VERSION__: string;
 	const __SVELTEKIT_APP_VERSION_FILE__: string;
 	const __SVELTEKIT_APP_VERSION_POLL_INTERVAL__: number;
+	const __SVELTEKIT_APP_VERSION_STREAM__: string | null;
 	const __SVELTEKIT_DEV__: boolean;
 }
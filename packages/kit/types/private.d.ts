@@ -210,6 +210,12 @@ export type PrerenderOnErrorValue = 'fail' | 'continue' | PrerenderErrorHandler;
 export interface RequestOptions {
 	getClientAddress: () => string;
 	platform?: App.Platform;
+	/**
+	 * Provided by platforms that can accept WebSocket connections. When a `socket` handler accepts
+	 * an upgrade request, it is passed to this function, which returns the response whose headers
+	 * (such as `set-cookie`) should be sent with the handshake
+	 */
+	upgrade?: (handler: import('./index').UpgradeHandler) => Response;
 }
 
 /** `string[]` is only for set-cookie, everything else must be type of `string` */